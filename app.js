@@ -4,50 +4,79 @@
  * Main application logic for the OSI Model educational website.
  * 
  * Features:
- *   - Dark mode toggle with localStorage persistence.
+ *   - Shared header/nav and layer pages rendered from the layer registry
+ *     (layers.js), so every page uses the same template.
+ *   - Header search across every layer's sections (search.js), with
+ *     highlighted snippets that link to the section.
+ *   - Glossary terms in layer content get definition tooltips, and
+ *     glossary.html lists every term (glossary.js).
+ *   - Light, dark, high-contrast and system themes with accent palettes
+ *     (theme.js applies them); a header toggle and a homepage settings panel.
  *   - Baconian cipher puzzle interaction (chip reveal, guess checking, hints).
- *   - Keyboard accessibility (Tab, Space, Enter, 'd' for dark mode toggle).
+ *   - Puzzle progress saved across reloads and pages (see progress.js).
+ *   - Printable worksheets and answer keys for each puzzle, printed in place
+ *     or downloaded as standalone HTML/SVG (see worksheet.js).
+ *   - Scores, streaks and a progress dashboard on the homepage.
+ *   - Keyboard accessibility (Tab, Space, Enter, 'd' for dark mode toggle,
+ *     '/' to search). Shortcuts are registered with shortcuts.js, and '?'
+ *     opens an overlay listing them where students can change their keys.
+ *   - Toast notifications (toast.js) for solved puzzles, unlocked hints,
+ *     restored progress and a first-visit keyboard tip.
  *   - Smooth animations respecting prefers-reduced-motion.
  *   - Accessible ARIA attributes for interactive elements.
  * 
- * Global function: initializePuzzle(layerName, expectedPlaintext)
- *   Initializes a puzzle on a page. Called from layer4.html and layer5.html.
+ * Global function: initializePuzzle(config)
+ *   Initializes a puzzle on a page from a puzzle manifest entry.
+ *   Also accepts the older (layerName, expectedPlaintext) signature.
+ * 
+ * Puzzles are normally rendered from the manifest in puzzles.js: every entry
+ * for the current page is rendered into its [data-puzzle] placeholder.
  */
 
 /**
- * Initialize dark mode toggle and persistence
+ * Puzzles initialized on this page, keyed by puzzle ID
+ * ({ config, hintsUsed }), so handlers can look up their puzzle's settings.
+ * hintsUsed records every hint level taken ({ level, text, at }) for other
+ * features, and is mirrored in the progress store.
  */
-function initializeDarkMode() {
-    const themeToggle = document.getElementById('themeToggle');
-    
-    if (!themeToggle) return;
+const puzzleRegistry = {};
 
-    // Restore saved theme preference
-    const savedTheme = localStorage.getItem('theme');
-    if (savedTheme === 'dark') {
+/**
+ * Initialize the header's dark mode toggle. The saved theme itself was
+ * already applied by theme.js before the page was drawn. Without theme.js
+ * the toggle falls back to a plain light/dark switch saved under `theme`.
+ */
+function initializeDarkMode() {
+    if (!window.ThemeManager && localStorage.getItem('theme') === 'dark') {
         document.documentElement.classList.add('dark-mode');
-        updateThemeIcon();
     }
 
-    // Listen for toggle button clicks
-    themeToggle.addEventListener('click', toggleDarkMode);
-
-    // Listen for keyboard shortcut (d key)
-    document.addEventListener('keydown', (e) => {
-        if ((e.key === 'd' || e.key === 'D') && !isTextInputFocused(e)) {
-            e.preventDefault();
-            toggleDarkMode();
-        }
+    // Keep the toggle and the settings panel in step with every theme change,
+    // including the device switching between light and dark in system mode
+    window.addEventListener('themechange', () => {
+        updateThemeIcon();
+        syncThemeSettings();
     });
+
+    const themeToggle = document.getElementById('themeToggle');
+    if (!themeToggle) return;
+
+    updateThemeIcon();
+    themeToggle.addEventListener('click', toggleDarkMode);
 }
 
 /**
- * Toggle dark mode and save preference
+ * Toggle between the light and dark themes (the header button and 'd').
+ * This picks a fixed mode, so the page stops following the device setting.
  */
 function toggleDarkMode() {
-    const isDarkMode = document.documentElement.classList.toggle('dark-mode');
-    localStorage.setItem('theme', isDarkMode ? 'dark' : 'light');
-    updateThemeIcon();
+    if (!window.ThemeManager) {
+        const isDarkMode = document.documentElement.classList.toggle('dark-mode');
+        localStorage.setItem('theme', isDarkMode ? 'dark' : 'light');
+        updateThemeIcon();
+        return;
+    }
+    window.ThemeManager.setMode(window.ThemeManager.getTheme() === 'dark' ? 'light' : 'dark');
 }
 
 /**
@@ -57,18 +86,113 @@ function updateThemeIcon() {
     const themeToggle = document.getElementById('themeToggle');
     if (!themeToggle) return;
 
-    const isDarkMode = document.documentElement.classList.contains('dark-mode');
+    const isDarkMode = window.ThemeManager
+        ? window.ThemeManager.getTheme() === 'dark'
+        : document.documentElement.classList.contains('dark-mode');
     const icon = themeToggle.querySelector('.theme-icon');
     icon.textContent = isDarkMode ? '☀️' : '🌙';
     themeToggle.setAttribute('aria-label', isDarkMode ? 'Toggle light mode' : 'Toggle dark mode');
 }
 
 /**
- * Check if a text input or textarea is currently focused
+ * Render the theme settings panel into [data-theme-settings] (homepage):
+ * a mode choice (system, light, dark, high contrast) and an accent palette
+ * choice, including a custom color
+ */
+function renderThemeSettings() {
+    const container = document.querySelector('[data-theme-settings]');
+    if (!container || !window.ThemeManager) return;
+
+    const modeLabels = {
+        system: 'Match my device',
+        light: 'Light',
+        dark: 'Dark',
+        'high-contrast': 'High contrast'
+    };
+    const palettes = window.ThemeManager.PALETTES;
+
+    container.innerHTML = `
+        <h3 class="section-heading">Theme</h3>
+        <fieldset class="theme-fieldset">
+            <legend>Appearance</legend>
+            <div class="theme-options">
+                ${window.ThemeManager.MODES.map(mode => `
+                <label class="theme-option">
+                    <input type="radio" name="themeMode" value="${mode}" /> ${modeLabels[mode]}
+                </label>`).join('')}
+            </div>
+        </fieldset>
+        <fieldset class="theme-fieldset">
+            <legend>Accent color</legend>
+            <div class="theme-options">
+                ${Object.keys(palettes).map(name => `
+                <label class="theme-option">
+                    <input type="radio" name="themePalette" value="${name}" />
+                    <span class="theme-swatch" style="background-color: ${palettes[name].light}" aria-hidden="true"></span> ${palettes[name].label}
+                </label>`).join('')}
+                <label class="theme-option">
+                    <input type="radio" name="themePalette" value="custom" /> Custom
+                </label>
+                <input type="color" class="theme-custom-accent" id="themeCustomAccent" aria-label="Custom accent color" />
+            </div>
+        </fieldset>
+        <p class="theme-note" id="themeNote" aria-live="polite"></p>
+    `;
+
+    container.addEventListener('change', (e) => {
+        if (e.target.name === 'themeMode') {
+            window.ThemeManager.setMode(e.target.value);
+        } else if (e.target.name === 'themePalette') {
+            window.ThemeManager.setPalette(e.target.value);
+        } else if (e.target.id === 'themeCustomAccent') {
+            window.ThemeManager.setPalette('custom', e.target.value);
+        }
+    });
+
+    // Preview the custom color while it is being picked
+    document.getElementById('themeCustomAccent').addEventListener('input', (e) => {
+        window.ThemeManager.setPalette('custom', e.target.value);
+    });
+
+    syncThemeSettings();
+}
+
+/**
+ * Check the theme settings panel's controls that match the saved settings
+ */
+function syncThemeSettings() {
+    const container = document.querySelector('[data-theme-settings]');
+    if (!container || !container.querySelector('input') || !window.ThemeManager) return;
+
+    const settings = window.ThemeManager.getSettings();
+    const theme = window.ThemeManager.getTheme();
+    container.querySelectorAll('input[name="themeMode"]').forEach(input => {
+        input.checked = input.value === settings.mode;
+    });
+    container.querySelectorAll('input[name="themePalette"]').forEach(input => {
+        input.checked = input.value === settings.palette;
+    });
+    document.getElementById('themeCustomAccent').value = settings.customAccent;
+
+    const note = document.getElementById('themeNote');
+    if (theme === 'high-contrast') {
+        note.textContent = 'High contrast uses its own colors, so the accent color is not shown.';
+    } else if (settings.mode === 'system') {
+        note.textContent = `Following your device: currently ${theme}.`;
+    } else {
+        note.textContent = '';
+    }
+}
+
+/**
+ * Check if focus is somewhere the student types text (input, textarea,
+ * select or contenteditable), so single-key shortcuts should stay quiet
  */
 function isTextInputFocused(e) {
     const activeElement = document.activeElement;
-    return activeElement && (activeElement.tagName === 'INPUT' || activeElement.tagName === 'TEXTAREA');
+    if (window.ShortcutManager) return window.ShortcutManager.isEditable(activeElement);
+    return Boolean(activeElement) &&
+        (['INPUT', 'TEXTAREA', 'SELECT'].indexOf(activeElement.tagName) !== -1 || activeElement.isContentEditable);
 }
 
 /**
@@ -89,7 +213,7 @@ function toggleChip(chipCard) {
  */
 function revealAllChips(containerId) {
     const container = document.getElementById(containerId);
-    if (!container) return;
+    if (!container || isPracticeMode(container)) return;
 
     const chipCards = container.querySelectorAll('.chip-card');
     const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
@@ -105,6 +229,27 @@ function revealAllChips(containerId) {
             }, delay);
         }
     });
+
+    // Save the final state now rather than after the staggered animation
+    if (container.dataset.puzzleId) {
+        window.PuzzleProgress.updatePuzzle(container.dataset.puzzleId, {
+            revealed: Array.from(chipCards).map((card, index) => index)
+        });
+    }
+}
+
+/**
+ * Save which chips in a puzzle are currently revealed
+ * @param {HTMLElement} chipsContainer - The puzzle's .cipher-chips element
+ */
+function saveRevealedChips(chipsContainer) {
+    if (!chipsContainer.dataset.puzzleId) return;
+
+    const revealed = [];
+    chipsContainer.querySelectorAll('.chip-card').forEach((card, index) => {
+        if (card.classList.contains('revealed')) revealed.push(index);
+    });
+    window.PuzzleProgress.updatePuzzle(chipsContainer.dataset.puzzleId, { revealed: revealed });
 }
 
 /**
@@ -121,7 +266,7 @@ function getDecodedText(containerId) {
     chipCards.forEach(card => {
         const encoded = card.getAttribute('data-group');
         if (encoded) {
-            const decoded = window.BaconianCipher.decodeGroup(encoded);
+            const decoded = window.BaconianCipher.decodeGroup(encoded, container.dataset.alphabet);
             plaintext += decoded;
         }
     });
@@ -130,22 +275,54 @@ function getDecodedText(containerId) {
 }
 
 /**
- * Check user's guess against expected plaintext
+ * Check user's guess against expected plaintext and record the attempt.
+ * Dispatches a 'puzzleguess' event on document with { puzzleId, guess, correct, firstSolve, attempts, score },
+ * where firstSolve is true only for the guess that first solves the puzzle,
+ * and a 'puzzlehintunlocked' event with { puzzleId } when a wrong guess first shows the Hint button.
+ * @param {string} layerName - Base name for IDs
+ * @param {string} expectedPlaintext - The correct plaintext answer
+ * @param {string} [alphabet] - Alphabet mode, so 'bacon24' accepts J for I and V for U
  */
-function checkGuess(layerName, expectedPlaintext) {
+function checkGuess(layerName, expectedPlaintext, alphabet) {
     const guessInput = document.getElementById(`${layerName}Guess`);
     const feedbackArea = document.getElementById(`${layerName}Feedback`);
     const hintButton = document.getElementById(`${layerName}Hint`);
 
     if (!guessInput || !feedbackArea) return;
 
-    const userGuess = window.BaconianCipher.normalizePlaintext(guessInput.value);
-    const normalizedExpected = window.BaconianCipher.normalizePlaintext(expectedPlaintext);
+    const userGuess = window.BaconianCipher.normalizePlaintext(guessInput.value, alphabet);
+    const normalizedExpected = window.BaconianCipher.normalizePlaintext(expectedPlaintext, alphabet);
+
+    let record = null;
+    if (userGuess !== '') {
+        const correct = userGuess === normalizedExpected;
+        const chipsContainer = document.getElementById(`${layerName}Chips`);
+        const chipCards = chipsContainer ? chipsContainer.querySelectorAll('.chip-card') : [];
+        // In practice mode, chips earned by decoding them don't count against the score
+        const board = {
+            chipCount: chipCards.length,
+            revealed: chipsContainer && isPracticeMode(chipsContainer)
+                ? window.PuzzleProgress.getPuzzle(layerName).gaveUp.length
+                : Array.from(chipCards).filter(card => card.classList.contains('revealed')).length
+        };
+        const solvedBefore = Boolean(window.PuzzleProgress.getPuzzle(layerName).solvedAt);
+        record = window.PuzzleProgress.recordAttempt(layerName, userGuess, correct, board);
+        document.dispatchEvent(new CustomEvent('puzzleguess', {
+            detail: {
+                puzzleId: layerName,
+                guess: userGuess,
+                correct: correct,
+                firstSolve: correct && !solvedBefore,
+                attempts: record.attempts.length,
+                score: record.score
+            }
+        }));
+    }
 
     if (userGuess === normalizedExpected) {
         // Correct guess
         feedbackArea.className = 'feedback-area success';
-        feedbackArea.textContent = `✓ Correct! The answer is "${expectedPlaintext}". Well done!`;
+        feedbackArea.textContent = `✓ Correct! The answer is "${expectedPlaintext}". Well done! Score: ${record.score}`;
         if (hintButton) hintButton.style.display = 'none';
     } else if (userGuess === '') {
         // Empty guess
@@ -153,44 +330,308 @@ function checkGuess(layerName, expectedPlaintext) {
         feedbackArea.textContent = '';
     } else {
         // Incorrect guess
+        const puzzle = puzzleRegistry[layerName];
+        const nearMiss = describeNearMiss(userGuess, normalizedExpected);
         feedbackArea.className = 'feedback-area error';
-        feedbackArea.textContent = `✗ That's not quite right. Try again!`;
-        if (hintButton) hintButton.style.display = 'inline-block';
+        feedbackArea.textContent = nearMiss ? `✗ So close! ${nearMiss}` : `✗ That's not quite right. Try again!`;
+        if (puzzle && puzzle.config.feedback === 'letters') {
+            renderLetterFeedback(feedbackArea, userGuess, normalizedExpected, alphabet);
+        }
+        if (hintButton && hintButton.style.display !== 'inline-block') {
+            hintButton.style.display = 'inline-block';
+            if (!hintButton.disabled) {
+                document.dispatchEvent(new CustomEvent('puzzlehintunlocked', {
+                    detail: { puzzleId: layerName }
+                }));
+            }
+        }
+    }
+}
+
+/**
+ * Describe a guess that is one edit away from the answer
+ * @param {string} guess - Normalized guess
+ * @param {string} answer - Normalized answer
+ * @returns {string|null} - What is off, or null if the guess isn't a near miss
+ */
+function describeNearMiss(guess, answer) {
+    if (window.BaconianCipher.editDistance(guess, answer) !== 1) return null;
+
+    if (guess.length < answer.length) return 'You are missing one letter.';
+    if (guess.length > answer.length) return 'You have one extra letter.';
+
+    const differences = guess.split('').filter((letter, i) => letter !== answer[i]).length;
+    return differences === 2 ? 'Two neighbouring letters are swapped.' : 'One letter is wrong.';
+}
+
+/**
+ * Append Wordle-style letter tiles to the feedback area, with a text version
+ * of the marks for the aria-live announcement
+ * @param {HTMLElement} feedbackArea - The puzzle's feedback element
+ * @param {string} guess - Normalized guess
+ * @param {string} answer - Normalized answer
+ * @param {string} [alphabet] - Alphabet mode
+ */
+function renderLetterFeedback(feedbackArea, guess, answer, alphabet) {
+    const marks = window.BaconianCipher.compareGuess(guess, answer, alphabet);
+    const statusText = { correct: 'correct', present: 'wrong position', absent: 'not in the answer' };
+
+    const tiles = document.createElement('span');
+    tiles.className = 'letter-tiles';
+    tiles.setAttribute('aria-hidden', 'true');
+    marks.forEach(mark => {
+        const tile = document.createElement('span');
+        tile.className = `letter-tile tile-${mark.status}`;
+        tile.textContent = mark.letter;
+        tiles.appendChild(tile);
+    });
+
+    const summary = document.createElement('span');
+    summary.className = 'visually-hidden';
+    summary.textContent = ' ' + marks.map(mark => `${mark.letter} ${statusText[mark.status]}`).join(', ') + '.';
+
+    feedbackArea.appendChild(summary);
+    feedbackArea.appendChild(tiles);
+}
+
+/**
+ * Build the hint ladder for a puzzle: the ordered hint levels the Hint button
+ * steps through, capped by the puzzle's maxHints setting
+ *   - mapping: explain the A = 0 / B = 1 mapping for the puzzle's table
+ *   - custom:<n>: the puzzle's own hints from the manifest
+ *   - worked: decode one group step by step
+ *   - letter: reveal the next unrevealed letter
+ *   - length: show the answer length and the positions found so far
+ * @param {object} config - Puzzle config
+ * @returns {array} - Hint level IDs, in order
+ */
+function getHintLadder(config) {
+    const customHints = (config.hints || []).map((hint, i) => `custom:${i}`);
+    const ladder = ['mapping'].concat(customHints, ['worked', 'letter', 'length']);
+    return typeof config.maxHints === 'number' ? ladder.slice(0, Math.max(0, config.maxHints)) : ladder;
+}
+
+/**
+ * Get the hint levels a puzzle has used so far
+ * @param {string} layerName - Puzzle ID
+ * @returns {array} - { level, text, at } records, oldest first
+ */
+function getHintsUsed(layerName) {
+    const puzzle = puzzleRegistry[layerName];
+    return puzzle ? puzzle.hintsUsed.slice() : [];
+}
+
+/**
+ * Write the text for one hint level, taking any action it implies
+ * (the 'letter' level flips the next unrevealed chip, recorded as a give-up
+ * in practice mode)
+ * @param {string} level - Hint level ID from getHintLadder
+ * @param {object} puzzle - Registry entry for the puzzle
+ * @param {HTMLElement} chipContainer - The puzzle's .cipher-chips element
+ * @returns {string} - Hint text
+ */
+function buildHintText(level, puzzle, chipContainer) {
+    const alphabet = window.BaconianCipher.getAlphabet(chipContainer.dataset.alphabet);
+    const chipCards = Array.from(chipContainer.querySelectorAll('.chip-card'));
+    const answer = window.BaconianCipher.normalizePlaintext(puzzle.config.plaintext, alphabet.id);
+
+    if (level === 'mapping') {
+        return `Each group is a 5-bit binary number: A = 0 and B = 1, most significant bit first (place values 16, 8, 4, 2, 1). ${alphabet.hint}`;
+    }
+
+    if (level.indexOf('custom:') === 0) {
+        return puzzle.config.hints[Number(level.split(':')[1])];
+    }
+
+    if (level === 'worked') {
+        const card = chipCards.find(chip => !chip.classList.contains('revealed')) || chipCards[0];
+        const steps = card ? window.BaconianCipher.explainGroup(card.getAttribute('data-group'), alphabet.id) : null;
+        if (!steps) {
+            return 'Extract the A/B groups first, then decode them five letters at a time.';
+        }
+        const sum = steps.terms.length ? steps.terms.join(' + ') : '0';
+        return `Take ${steps.group}. Swap A → 0 and B → 1 to get ${steps.binary}. ` +
+            `Add the place values of the 1s (16, 8, 4, 2, 1): ${sum} = ${steps.index}. ` +
+            `Counting from A = 0 in the ${alphabet.name}, index ${steps.index} is ${steps.letter}.`;
+    }
+
+    if (level === 'letter') {
+        if (!chipCards.length) {
+            return 'Extract the A/B groups first, then decode them five letters at a time.';
+        }
+        const card = chipCards.find(chip => !chip.classList.contains('revealed'));
+        if (!card) {
+            return 'Every letter is already revealed — read the chips from left to right.';
+        }
+        // In practice mode a letter given away by a hint counts like giving up on its chip
+        if (isPracticeMode(chipContainer)) {
+            const check = card.parentElement.querySelector('.chip-check');
+            if (check) check.remove();
+            window.PuzzleProgress.recordGiveUp(chipContainer.dataset.puzzleId, chipCards.indexOf(card));
+        }
+        toggleChip(card);
+        return `Letter ${chipCards.indexOf(card) + 1} is ${window.BaconianCipher.decodeGroup(card.getAttribute('data-group'), alphabet.id)}.`;
+    }
+
+    // 'length': answer length plus the letters revealed so far in position
+    const pattern = answer.split('').map((letter, i) => {
+        const card = chipCards[i];
+        return card && card.classList.contains('revealed') ? letter : '_';
+    }).join(' ');
+    return `The answer has ${answer.length} letters: ${pattern}`;
+}
+
+/**
+ * Show every hint a puzzle has used and update the Hint button's label
+ * @param {string} layerName - Puzzle ID
+ */
+function renderHintList(layerName) {
+    const puzzle = puzzleRegistry[layerName];
+    const hintButton = document.getElementById(`${layerName}Hint`);
+    const hintList = document.getElementById(`${layerName}HintText`);
+
+    if (hintList) {
+        hintList.textContent = '';
+        puzzle.hintsUsed.forEach(hint => {
+            const item = document.createElement('li');
+            item.textContent = hint.text;
+            hintList.appendChild(item);
+        });
+        hintList.hidden = puzzle.hintsUsed.length === 0;
+    }
+
+    if (hintButton) {
+        const remaining = getHintLadder(puzzle.config).length - puzzle.hintsUsed.length;
+        hintButton.disabled = remaining <= 0;
+        if (puzzle.hintsUsed.length === 0) {
+            hintButton.textContent = 'Hint';
+        } else {
+            hintButton.textContent = remaining <= 0 ? 'No Hints Left' : `Hint (${remaining} left)`;
+        }
     }
 }
 
 /**
- * Show hint: reveal the first chip's letter
+ * Show the next hint on the puzzle's hint ladder and record that it was used.
+ * Dispatches a 'puzzlehint' event on document with { puzzleId, level, used, remaining }.
  * Modified per user request: flip-chip & spacing improvements
  */
 function showHint(layerName) {
     const chipContainer = document.getElementById(`${layerName}Chips`);
-    if (!chipContainer) return;
+    const puzzle = puzzleRegistry[layerName];
+    if (!chipContainer || !puzzle) return;
 
-    const firstCard = chipContainer.querySelector('.chip-card');
-    if (firstCard && !firstCard.classList.contains('revealed')) {
-        toggleChip(firstCard);
+    const ladder = getHintLadder(puzzle.config);
+    const level = ladder[puzzle.hintsUsed.length];
+    if (!level) {
+        renderHintList(layerName);
+        return;
     }
+
+    const text = buildHintText(level, puzzle, chipContainer);
+    puzzle.hintsUsed.push({ level: level, text: text, at: Date.now() });
+    window.PuzzleProgress.updatePuzzle(layerName, { hintsUsed: puzzle.hintsUsed });
+    saveRevealedChips(chipContainer);
+
+    renderHintList(layerName);
+    const remaining = ladder.length - puzzle.hintsUsed.length;
+
+    document.dispatchEvent(new CustomEvent('puzzlehint', {
+        detail: { puzzleId: layerName, level: level, used: puzzle.hintsUsed.length, remaining: remaining }
+    }));
 }
 
 /**
- * Initialize a Baconian cipher puzzle on a page
- * @param {string} layerName - Base name for IDs (e.g., 'layer4', 'layer5')
- * @param {string} expectedPlaintext - The correct plaintext answer
- * Modified per user request: flip-chip & spacing improvements
+ * Render chip cards into an empty container from the puzzle plaintext
+ * @param {HTMLElement} chipsContainer - The .cipher-chips element
+ * @param {string} plaintext - The answer the chips should decode to
+ * @param {string} [alphabet] - Alphabet mode ('binary26' or 'bacon24')
  */
-function initializePuzzle(layerName, expectedPlaintext) {
-    const chipsContainer = document.getElementById(`${layerName}Chips`);
-    const revealAllBtn = document.getElementById(`${layerName}RevealAll`);
-    const checkGuessBtn = document.getElementById(`${layerName}CheckGuess`);
-    const hintBtn = document.getElementById(`${layerName}Hint`);
-    const guessInput = document.getElementById(`${layerName}Guess`);
+function renderChips(chipsContainer, plaintext, alphabet) {
+    const puzzle = window.BaconianCipher.generatePuzzle(plaintext, alphabet);
+    chipsContainer.innerHTML = puzzle.markup;
+}
 
-    if (!chipsContainer) {
-        console.warn(`Puzzle container not found for ${layerName}`);
-        return;
+/**
+ * Hide a message in the typeface of a cover element's text.
+ * Each letter carrying a bit is wrapped in a .stego-letter span; 'B' letters
+ * get the contrasting face (bold, or serif) through the stego-b class.
+ * @param {HTMLElement} coverElement - Element whose text becomes the cover
+ * @param {string} plaintext - The message to hide
+ * @param {object} [options] - { alphabet, style: 'weight' (default) or 'typeface' }
+ * @returns {boolean} - False if the cover text is too short for the message
+ */
+function applySteganography(coverElement, plaintext, options = {}) {
+    const coverText = coverElement.textContent.replace(/\s+/g, ' ').trim();
+    const parts = window.BaconianCipher.encodeCover(coverText, plaintext, options.alphabet);
+    if (!parts) {
+        console.warn(`Cover text is too short to hide "${plaintext}"`);
+        return false;
+    }
+
+    // Rebuild the text, keeping runs of bit-free characters as plain text nodes
+    const fragment = document.createDocumentFragment();
+    let plainRun = '';
+    parts.forEach(part => {
+        if (part.bit === null) {
+            plainRun += part.char;
+            return;
+        }
+        if (plainRun) {
+            fragment.appendChild(document.createTextNode(plainRun));
+            plainRun = '';
+        }
+        const letter = document.createElement('span');
+        letter.className = part.bit === 'B' ? 'stego-letter stego-b' : 'stego-letter stego-a';
+        letter.textContent = part.char;
+        fragment.appendChild(letter);
+    });
+    if (plainRun) {
+        fragment.appendChild(document.createTextNode(plainRun));
     }
 
+    coverElement.textContent = '';
+    coverElement.appendChild(fragment);
+    coverElement.classList.add('stego-text');
+    coverElement.dataset.stegoStyle = options.style === 'typeface' ? 'typeface' : 'weight';
+    return true;
+}
+
+/**
+ * Read a hidden A/B stream back out of a cover element by looking at how
+ * each letter is actually rendered (computed style), not at its class names
+ * @param {HTMLElement} coverElement - Element prepared by applySteganography
+ * @returns {string} - The A/B stream, one character per carrying letter
+ */
+function readSteganography(coverElement) {
+    const style = coverElement.dataset.stegoStyle;
+    const letters = coverElement.querySelectorAll('.stego-letter');
+    let stream = '';
+
+    letters.forEach(letter => {
+        const computed = window.getComputedStyle(letter);
+        let isB;
+        if (style === 'typeface') {
+            // Serif face = B, sans-serif face = A
+            const family = computed.fontFamily.toLowerCase();
+            isB = /serif/.test(family.replace(/sans-serif/g, ''));
+        } else {
+            // Bold = B, normal weight = A
+            const weight = computed.fontWeight === 'bold' ? 700 : parseInt(computed.fontWeight, 10);
+            isB = weight >= 600;
+        }
+        stream += isB ? 'B' : 'A';
+    });
+
+    return stream;
+}
+
+/**
+ * Fill in decoded letters and wire up flip handlers for every chip in a container
+ * @param {HTMLElement} chipsContainer - The .cipher-chips element
+ * @param {string} alphabet - Alphabet mode ('binary26' or 'bacon24')
+ */
+function setupChipCards(chipsContainer, alphabet) {
     // Get all chip cards and initialize them
     const chipCards = chipsContainer.querySelectorAll('.chip-card');
 
@@ -198,7 +639,7 @@ function initializePuzzle(layerName, expectedPlaintext) {
     chipCards.forEach(card => {
         const encoded = card.getAttribute('data-group');
         if (encoded) {
-            const decoded = window.BaconianCipher.decodeGroup(encoded);
+            const decoded = window.BaconianCipher.decodeGroup(encoded, alphabet);
             const backFace = card.querySelector('.chip-back');
             if (backFace) {
                 backFace.textContent = decoded;
@@ -206,137 +647,3030 @@ function initializePuzzle(layerName, expectedPlaintext) {
         }
     });
 
+    // Give each chip its bit-level decoder workbench
+    chipCards.forEach((card, index) => attachChipWorkbench(card, `${chipsContainer.id}Bench${index}`, alphabet));
+
     // Set up chip click handlers for flip-card toggle
-    chipCards.forEach(card => {
-        card.addEventListener('click', () => toggleChip(card));
+    chipCards.forEach((card, index) => {
+        const activate = () => {
+            if (isPracticeMode(chipsContainer)) {
+                // Practice mode: decode first, flip only when right (or on give-up)
+                if (!card.classList.contains('revealed')) openChipCheck(card, index, chipsContainer, alphabet);
+                return;
+            }
+            toggleChip(card);
+            saveRevealedChips(chipsContainer);
+        };
+
+        card.addEventListener('click', activate);
 
         // Keyboard support: Space and Enter to toggle (prevent scrolling on Space)
         card.addEventListener('keydown', (e) => {
             if (e.key === ' ' || e.key === 'Enter') {
                 e.preventDefault();
-                toggleChip(card);
+                activate();
             }
         });
     });
+}
 
-    // Set up "Reveal All" button
-    if (revealAllBtn) {
-        revealAllBtn.addEventListener('click', () => revealAllChips(`${layerName}Chips`));
-        
-        // Keyboard shortcut: 'r' key to reveal all (but not in text inputs)
-        document.addEventListener('keydown', (e) => {
-            if ((e.key === 'r' || e.key === 'R') && !isTextInputFocused(e)) {
-                e.preventDefault();
-                revealAllChips(`${layerName}Chips`);
-            }
-        });
-    }
-
-    // Set up "Check Guess" button
-    if (checkGuessBtn) {
-        checkGuessBtn.addEventListener('click', () => checkGuess(layerName, expectedPlaintext));
+/**
+ * Check whether a puzzle's chips are in practice (self-check) mode
+ * @param {HTMLElement} chipsContainer - The .cipher-chips element
+ * @returns {boolean} - True if chips must be decoded before they flip
+ */
+function isPracticeMode(chipsContainer) {
+    return chipsContainer.dataset.practice === 'true';
+}
 
-        // Enter key in input field also checks guess
-        if (guessInput) {
-            guessInput.addEventListener('keypress', (e) => {
-                if (e.key === 'Enter') {
-                    e.preventDefault();
-                    checkGuess(layerName, expectedPlaintext);
-                }
-            });
-        }
-    }
+/**
+ * Switch a puzzle between normal and practice mode. Practice mode turns off
+ * Reveal All (and its 'r' shortcut); chips already flipped stay flipped.
+ * @param {string} layerName - Puzzle ID
+ * @param {boolean} enabled - Whether practice mode is on
+ */
+function setPracticeMode(layerName, enabled) {
+    const chipsContainer = document.getElementById(`${layerName}Chips`);
+    const revealAllBtn = document.getElementById(`${layerName}RevealAll`);
+    const toggle = document.getElementById(`${layerName}Practice`);
+    if (!chipsContainer) return;
 
-    // Set up "Hint" button
-    if (hintBtn) {
-        hintBtn.addEventListener('click', () => showHint(layerName));
+    chipsContainer.dataset.practice = String(enabled);
+    if (toggle) toggle.checked = enabled;
+    if (revealAllBtn) {
+        revealAllBtn.disabled = enabled;
+        revealAllBtn.title = enabled ? 'Reveal All is off in practice mode' : '';
     }
-
-    // Clear feedback on new input
-    if (guessInput) {
-        guessInput.addEventListener('input', () => {
-            const feedbackArea = document.getElementById(`${layerName}Feedback`);
-            if (feedbackArea) {
-                feedbackArea.className = 'feedback-area hidden';
-                feedbackArea.textContent = '';
-            }
-        });
+    if (!enabled) {
+        chipsContainer.querySelectorAll('.chip-check').forEach(form => form.remove());
     }
 }
 
 /**
- * Initialize page on DOM ready
+ * Practice mode: open a small form under a chip asking which letter its
+ * group decodes to. A correct answer flips the chip; "Give up" flips it too
+ * but is recorded (and counts against the score like a revealed chip).
+ * @param {HTMLElement} card - The .chip-card button
+ * @param {number} index - Index of the chip in the puzzle
+ * @param {HTMLElement} chipsContainer - The .cipher-chips element
+ * @param {string} alphabet - Alphabet mode ('binary26' or 'bacon24')
  */
-document.addEventListener('DOMContentLoaded', () => {
-    // Initialize dark mode
-    initializeDarkMode();
+function openChipCheck(card, index, chipsContainer, alphabet) {
+    const slot = card.parentElement;
+    const existing = slot.querySelector('.chip-check');
+    if (existing) {
+        existing.querySelector('input').focus();
+        return;
+    }
+    // Only one check open per puzzle at a time
+    chipsContainer.querySelectorAll('.chip-check').forEach(form => form.remove());
 
-    // Navigation active state
-    updateActiveNavLink();
+    const group = card.getAttribute('data-group');
+    const inputId = `${chipsContainer.id}Check${index}`;
+    const form = document.createElement('form');
+    form.className = 'chip-check';
+    form.innerHTML = `
+        <label for="${inputId}">Letter for ${group}?</label>
+        <input type="text" id="${inputId}" class="chip-check-input" maxlength="1" autocomplete="off" />
+        <button type="submit" class="btn btn-check">Check</button>
+        <button type="button" class="btn btn-secondary chip-check-giveup">Give up</button>
+        <p class="chip-check-feedback" aria-live="polite"></p>`;
+    slot.appendChild(form);
 
-    // Handle window resize to update active nav link
-    window.addEventListener('resize', updateActiveNavLink);
-});
+    const input = form.querySelector('input');
+    const feedback = form.querySelector('.chip-check-feedback');
+    const puzzleId = chipsContainer.dataset.puzzleId;
+    const flip = () => {
+        form.remove();
+        toggleChip(card);
+        saveRevealedChips(chipsContainer);
+        card.focus();
+    };
+
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const guess = window.BaconianCipher.normalizePlaintext(input.value, alphabet);
+        if (guess === '') return;
+
+        const correct = guess === window.BaconianCipher.decodeGroup(group, alphabet);
+        if (puzzleId) window.PuzzleProgress.recordChipCheck(puzzleId, index, guess, correct);
+        if (correct) {
+            flip();
+        } else {
+            feedback.textContent = `✗ ${group} isn't ${guess}. Try the "Bits" workbench.`;
+            input.select();
+        }
+    });
+
+    form.querySelector('.chip-check-giveup').addEventListener('click', () => {
+        if (puzzleId) window.PuzzleProgress.recordGiveUp(puzzleId, index);
+        flip();
+    });
+
+    form.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            form.remove();
+            card.focus();
+        }
+    });
+
+    input.focus();
+}
 
 /**
- * Update active nav link based on current page
+ * Wrap a chip card in a slot with an expandable decoder workbench that shows
+ * how decodeGroup turns its A/B group into a letter
+ * @param {HTMLElement} card - The .chip-card button
+ * @param {string} benchId - Unique ID for the workbench panel
+ * @param {string} alphabet - Alphabet mode ('binary26' or 'bacon24')
  */
-function updateActiveNavLink() {
-    const currentPath = window.location.pathname;
-    const navLinks = document.querySelectorAll('.nav-link');
+function attachChipWorkbench(card, benchId, alphabet) {
+    if (card.parentElement.classList.contains('chip-slot')) return;
 
-    navLinks.forEach(link => {
-        link.classList.remove('active');
+    const slot = document.createElement('div');
+    slot.className = 'chip-slot';
+    card.parentElement.insertBefore(slot, card);
+    slot.appendChild(card);
 
-        const href = link.getAttribute('href');
-        const linkPath = href.split('/').pop() || 'index.html';
-        const currentPageName = currentPath.split('/').pop() || 'index.html';
+    const toggle = document.createElement('button');
+    toggle.type = 'button';
+    toggle.className = 'workbench-toggle';
+    toggle.textContent = 'Bits';
+    toggle.setAttribute('aria-expanded', 'false');
+    toggle.setAttribute('aria-controls', benchId);
+    toggle.setAttribute('aria-label', `Show the decoding workbench for ${card.getAttribute('data-group')}`);
+    slot.appendChild(toggle);
 
-        if (linkPath === currentPageName || (linkPath === 'index.html' && currentPath === '/')) {
-            link.classList.add('active');
-        }
+    const panel = document.createElement('div');
+    panel.className = 'chip-workbench';
+    panel.id = benchId;
+    panel.hidden = true;
+    panel.dataset.group = card.getAttribute('data-group');
+    panel.dataset.original = panel.dataset.group;
+    panel.dataset.alphabet = alphabet;
+    slot.appendChild(panel);
+
+    toggle.addEventListener('click', () => {
+        const expanded = panel.hidden;
+        panel.hidden = !expanded;
+        toggle.setAttribute('aria-expanded', String(expanded));
+        slot.classList.toggle('expanded', expanded);
+        if (expanded) renderWorkbench(panel);
     });
 }
 
 /**
- * Keyboard accessibility: Tab key navigation hints
- * (Subtle: show a tooltip on first Tab press)
+ * Render a workbench panel for its current working group: A→0/B→1
+ * substitution, positional weights, running sum and the index-to-letter
+ * lookup. Bit buttons flip one bit of the working copy (never the chip itself).
+ * @param {HTMLElement} panel - The .chip-workbench element
  */
-let hasShownKeyboardHint = localStorage.getItem('keyboardHintShown');
-document.addEventListener('keydown', (e) => {
-    if (e.key === 'Tab' && !hasShownKeyboardHint && !isTextInputFocused(e)) {
-        // Could show a subtle toast here, but keeping it minimal
-        localStorage.setItem('keyboardHintShown', 'true');
+function renderWorkbench(panel) {
+    const steps = window.BaconianCipher.explainGroup(panel.dataset.group, panel.dataset.alphabet);
+    if (!steps) {
+        panel.textContent = 'This chip does not hold a 5-character A/B group.';
+        return;
     }
-});
+
+    const table = window.BaconianCipher.getAlphabet(panel.dataset.alphabet);
+    const bitButtons = steps.bits.map((bit, i) => `
+        <button type="button" class="workbench-bit${bit ? ' is-one' : ''}" data-bit="${i}"
+            aria-label="Bit ${i + 1}: ${steps.group[i]} (${bit}), worth ${steps.weights[i]}. Press to flip.">
+            <span class="workbench-ab">${steps.group[i]}</span>
+            <span class="workbench-binary">${bit}</span>
+            <span class="workbench-weight">×${steps.weights[i]}</span>
+        </button>`).join('');
+    const sum = steps.bits.map((bit, i) => bit * steps.weights[i]).join(' + ');
+
+    let lookup;
+    if (steps.valid) {
+        lookup = `Index ${steps.index} → <strong>${steps.letter}</strong> (counting from A = 0 in the ${table.name})`;
+    } else {
+        lookup = `Index ${steps.index} has no letter. The ${table.name} only uses indices 0–${steps.maxIndex}, ` +
+            `so 5 bits (0–31) leave ${31 - steps.maxIndex} patterns unused and the decoder shows '?'.`;
+    }
+
+    panel.innerHTML = `
+        <p class="workbench-step">1. Substitute A → 0, B → 1: <code>${steps.group}</code> → <code>${steps.binary}</code></p>
+        <div class="workbench-bits" role="group" aria-label="Bits and place values">${bitButtons}</div>
+        <p class="workbench-step">2. Multiply by place values and add: ${sum} = <strong>${steps.index}</strong></p>
+        <p class="workbench-step">Running sum: ${steps.runningSums.join(' → ')}</p>
+        <p class="workbench-step workbench-lookup${steps.valid ? '' : ' is-invalid'}" aria-live="polite">3. ${lookup}</p>
+        ${panel.dataset.group !== panel.dataset.original
+            ? `<button type="button" class="btn btn-secondary workbench-reset">Back to ${panel.dataset.original}</button>`
+            : ''}`;
+
+    panel.querySelectorAll('.workbench-bit').forEach(button => {
+        button.addEventListener('click', () => {
+            const i = Number(button.dataset.bit);
+            const group = panel.dataset.group.split('');
+            group[i] = group[i] === 'A' ? 'B' : 'A';
+            panel.dataset.group = group.join('');
+            renderWorkbench(panel);
+            panel.querySelector(`.workbench-bit[data-bit="${i}"]`).focus();
+        });
+    });
+
+    const resetButton = panel.querySelector('.workbench-reset');
+    if (resetButton) {
+        resetButton.addEventListener('click', () => {
+            panel.dataset.group = panel.dataset.original;
+            renderWorkbench(panel);
+        });
+    }
+}
 
 /**
- * Utility: Add a small tooltip or notification (optional, kept minimal)
+ * Steganographic mode: read the A/B stream out of the cover text's styling
+ * and build the puzzle's chips from it
+ * @param {string} layerName - Puzzle ID
  */
-function showNotification(message, duration = 3000) {
-    // Intentionally kept minimal; can be expanded if needed
-    console.log(`[Notification] ${message}`);
+function extractStegoChips(layerName) {
+    const puzzle = puzzleRegistry[layerName];
+    const chipsContainer = document.getElementById(`${layerName}Chips`);
+    const coverElement = document.getElementById(puzzle.config.cover);
+    const extractBtn = document.getElementById(`${layerName}Extract`);
+    if (!chipsContainer || !coverElement) return;
+
+    const alphabet = chipsContainer.dataset.alphabet;
+    const groups = window.BaconianCipher.splitStream(readSteganography(coverElement));
+    chipsContainer.innerHTML = groups
+        .map(group => window.BaconianCipher.buildChipMarkup(group, alphabet))
+        .join('\n');
+    setupChipCards(chipsContainer, alphabet);
+    coverElement.classList.add('stego-highlight');
+    if (extractBtn) extractBtn.disabled = true;
+
+    window.PuzzleProgress.updatePuzzle(layerName, { extracted: true });
 }
 
-/* ========== README / Deployment Notes (in comments) ==========
+/**
+ * Restore a puzzle's saved progress: extracted groups, revealed chips,
+ * hints used and solved state. Dispatches a 'puzzlerestored' event on
+ * document with { puzzleId, record } when there was anything to restore.
+ * @param {string} layerName - Puzzle ID
+ */
+function restorePuzzleProgress(layerName) {
+    const puzzle = puzzleRegistry[layerName];
+    const record = window.PuzzleProgress.getPuzzle(layerName);
+    const chipsContainer = document.getElementById(`${layerName}Chips`);
 
-DEPLOYMENT GUIDE:
+    if (record.extracted && puzzle.config.cover) {
+        extractStegoChips(layerName);
+    }
 
-This is a pure static HTML/CSS/JS site with no build tools or backend required.
+    const chipCards = chipsContainer.querySelectorAll('.chip-card');
+    record.revealed.forEach(index => {
+        const card = chipCards[index];
+        if (card && !card.classList.contains('revealed')) toggleChip(card);
+    });
 
-### Option 1: GitHub Pages
-1. Create a new GitHub repository named `<username>.github.io` or push to `<project-name>/docs`
-2. Push the files (index.html, layer4.html, layer5.html, styles.css, app.js, baconian.js) to `main` branch
-3. In repository settings, enable "GitHub Pages" and select the branch
-4. Site will be live at `https://<username>.github.io` or `https://<username>.github.io/<project-name>`
+    setPracticeMode(layerName, record.practice === null ? Boolean(puzzle.config.practice) : record.practice);
 
-### Option 2: Netlify
-1. Push code to a Git repository (GitHub, GitLab, Bitbucket)
-2. Go to netlify.com, click "New site from Git", authorize your repo
-3. Set build command to: (none/empty) and publish directory to: (root or .)
-4. Deploy — Netlify will serve the static files immediately
+    puzzle.hintsUsed = record.hintsUsed.slice();
+    renderHintList(layerName);
 
-### Option 3: Vercel
+    const hintButton = document.getElementById(`${layerName}Hint`);
+    const guessInput = document.getElementById(`${layerName}Guess`);
+    const feedbackArea = document.getElementById(`${layerName}Feedback`);
+    if (record.solvedAt) {
+        if (guessInput) guessInput.value = puzzle.config.plaintext;
+        if (feedbackArea) {
+            feedbackArea.className = 'feedback-area success';
+            feedbackArea.textContent = `✓ Solved! The answer is "${puzzle.config.plaintext}". Score: ${record.score}`;
+        }
+        if (hintButton) hintButton.style.display = 'none';
+    } else if (hintButton && (record.attempts.length > 0 || record.hintsUsed.length > 0)) {
+        hintButton.style.display = 'inline-block';
+    }
+
+    const hasProgress = record.revealed.length > 0 || record.attempts.length > 0 ||
+        record.hintsUsed.length > 0 || record.extracted || record.chipChecks.length > 0;
+    if (hasProgress) {
+        document.dispatchEvent(new CustomEvent('puzzlerestored', {
+            detail: { puzzleId: layerName, record: record }
+        }));
+    }
+}
+
+/**
+ * Clear a puzzle's saved progress and put its UI back to the starting state
+ * @param {string} layerName - Puzzle ID
+ */
+function resetPuzzle(layerName) {
+    const puzzle = puzzleRegistry[layerName];
+    const chipsContainer = document.getElementById(`${layerName}Chips`);
+    if (!puzzle || !chipsContainer) return;
+
+    window.PuzzleProgress.resetPuzzle(layerName);
+    window.PuzzleProgress.startPuzzle(layerName);
+    if (isPracticeMode(chipsContainer)) {
+        // Keep the student's chosen mode across a reset
+        window.PuzzleProgress.updatePuzzle(layerName, { practice: true });
+    }
+
+    if (puzzle.config.cover) {
+        // Steganographic puzzles go back to "not yet extracted"
+        chipsContainer.innerHTML = '';
+        const coverElement = document.getElementById(puzzle.config.cover);
+        const extractBtn = document.getElementById(`${layerName}Extract`);
+        if (coverElement) coverElement.classList.remove('stego-highlight');
+        if (extractBtn) extractBtn.disabled = false;
+    } else {
+        chipsContainer.querySelectorAll('.chip-card').forEach(card => {
+            card.classList.remove('revealed');
+            card.setAttribute('aria-pressed', 'false');
+        });
+        chipsContainer.querySelectorAll('.chip-check').forEach(form => form.remove());
+    }
+
+    puzzle.hintsUsed = [];
+    renderHintList(layerName);
+
+    const hintButton = document.getElementById(`${layerName}Hint`);
+    const guessInput = document.getElementById(`${layerName}Guess`);
+    const feedbackArea = document.getElementById(`${layerName}Feedback`);
+    if (hintButton) hintButton.style.display = 'none';
+    if (guessInput) guessInput.value = '';
+    if (feedbackArea) {
+        feedbackArea.className = 'feedback-area hidden';
+        feedbackArea.textContent = '';
+    }
+}
+
+/**
+ * Clear saved progress for every puzzle and quiz on every page, after confirmation
+ */
+function resetAllProgress() {
+    if (!window.confirm('Reset your progress on every puzzle? This cannot be undone.')) return;
+
+    window.PuzzleProgress.resetAll();
+    Object.keys(puzzleRegistry).forEach(layerName => resetPuzzle(layerName));
+    Object.keys(quizRegistry).forEach(quizId => renderQuizBest(quizId, null));
+}
+
+/**
+ * Fill a mapping legend table body with every group of an alphabet,
+ * two index/letter pairs per row
+ * @param {HTMLElement} tableBody - The mapping table's <tbody>
+ * @param {string} alphabet - Alphabet mode ('binary26' or 'bacon24')
+ */
+function renderMappingLegend(tableBody, alphabet) {
+    const rows = window.BaconianCipher.getMappingRows(alphabet);
+    const half = Math.ceil(rows.length / 2);
+    const cells = row => row
+        ? `<td>${row.binary}</td><td>${row.group}</td><td>${row.letter}</td>`
+        : '<td></td><td></td><td></td>';
+
+    let markup = '';
+    for (let i = 0; i < half; i++) {
+        markup += `<tr>${cells(rows[i])}${cells(rows[i + half])}</tr>`;
+    }
+    tableBody.innerHTML = markup;
+}
+
+/**
+ * Initialize a Baconian cipher puzzle on a page
+ * @param {object|string} config - Puzzle config, or a layer name for the older signature
+ * @param {string} config.id - Base name for IDs (e.g., 'layer4', 'layer5')
+ * @param {string} config.plaintext - The correct plaintext answer
+ * @param {string} [config.alphabet] - 'binary26' (default) or 'bacon24'
+ * @param {string} [config.cover] - ID of an element whose text hides the message
+ *   (steganographic mode); chips are only built when the student extracts them
+ * @param {string} [config.stegoStyle] - 'weight' (bold vs normal) or 'typeface' (serif vs sans)
+ * @param {array} [config.hints] - Extra hint texts added to the hint ladder
+ * @param {number} [config.maxHints] - Cap on how many hints the puzzle allows
+ * @param {string} [config.feedback] - 'letters' to mark each letter of a wrong guess
+ * @param {boolean} [config.practice] - Start in practice (decode-before-flip) mode
+ * @param {string} [expectedPlaintext] - The answer when config is a layer name
+ * Modified per user request: flip-chip & spacing improvements
+ */
+function initializePuzzle(config, expectedPlaintext) {
+    if (typeof config === 'string') {
+        config = { id: config, plaintext: expectedPlaintext };
+    }
+    const layerName = config.id;
+    expectedPlaintext = config.plaintext;
+    const alphabet = window.BaconianCipher.getAlphabet(config.alphabet).id;
+    puzzleRegistry[layerName] = { config: config, hintsUsed: [] };
+
+    const chipsContainer = document.getElementById(`${layerName}Chips`);
+    const revealAllBtn = document.getElementById(`${layerName}RevealAll`);
+    const checkGuessBtn = document.getElementById(`${layerName}CheckGuess`);
+    const hintBtn = document.getElementById(`${layerName}Hint`);
+    const guessInput = document.getElementById(`${layerName}Guess`);
+    const resetBtn = document.getElementById(`${layerName}Reset`);
+    const resetAllBtn = document.getElementById(`${layerName}ResetAll`);
+    const practiceToggle = document.getElementById(`${layerName}Practice`);
+
+    if (!chipsContainer) {
+        console.warn(`Puzzle container not found for ${layerName}`);
+        return;
+    }
+
+    // Generate chip markup when the page doesn't provide hand-written chips
+    chipsContainer.dataset.alphabet = alphabet;
+    chipsContainer.dataset.puzzleId = layerName;
+    const coverElement = config.cover ? document.getElementById(config.cover) : null;
+    if (coverElement) {
+        // Steganographic mode: hide the stream in the cover text, and only
+        // build chips from what the decoder reads back out of the styling
+        applySteganography(coverElement, expectedPlaintext, { alphabet: alphabet, style: config.stegoStyle });
+        const extractBtn = document.getElementById(`${layerName}Extract`);
+        if (extractBtn) {
+            extractBtn.addEventListener('click', () => extractStegoChips(layerName));
+        }
+    } else if (!chipsContainer.querySelector('.chip-card')) {
+        renderChips(chipsContainer, expectedPlaintext, alphabet);
+    }
+
+    // Say which table the puzzle uses and show its full mapping
+    const alphabetNote = document.getElementById(`${layerName}Alphabet`);
+    if (alphabetNote) {
+        alphabetNote.textContent = window.BaconianCipher.getAlphabet(alphabet).description;
+    }
+    const mappingBody = document.getElementById(`${layerName}Mapping`);
+    if (mappingBody) {
+        renderMappingLegend(mappingBody, alphabet);
+    }
+
+    setupChipCards(chipsContainer, alphabet);
+
+    // Set up "Reveal All" button ('r' is the revealAll shortcut, see registerShortcuts)
+    if (revealAllBtn) {
+        revealAllBtn.addEventListener('click', () => revealAllChips(`${layerName}Chips`));
+    }
+
+    // Set up "Check Guess" button
+    if (checkGuessBtn) {
+        checkGuessBtn.addEventListener('click', () => checkGuess(layerName, expectedPlaintext, alphabet));
+
+        // Enter key in input field also checks guess
+        if (guessInput) {
+            guessInput.addEventListener('keypress', (e) => {
+                if (e.key === 'Enter') {
+                    e.preventDefault();
+                    checkGuess(layerName, expectedPlaintext, alphabet);
+                }
+            });
+        }
+    }
+
+    // Set up "Hint" button
+    if (hintBtn) {
+        hintBtn.addEventListener('click', () => showHint(layerName));
+    }
+
+    // Clear feedback on new input
+    if (guessInput) {
+        guessInput.addEventListener('input', () => {
+            const feedbackArea = document.getElementById(`${layerName}Feedback`);
+            if (feedbackArea) {
+                feedbackArea.className = 'feedback-area hidden';
+                feedbackArea.textContent = '';
+            }
+        });
+    }
+
+    // Set up practice mode toggle
+    if (practiceToggle) {
+        practiceToggle.addEventListener('change', () => {
+            setPracticeMode(layerName, practiceToggle.checked);
+            window.PuzzleProgress.updatePuzzle(layerName, { practice: practiceToggle.checked });
+        });
+    }
+
+    // Set up reset buttons
+    if (resetBtn) {
+        resetBtn.addEventListener('click', () => resetPuzzle(layerName));
+    }
+    if (resetAllBtn) {
+        resetAllBtn.addEventListener('click', resetAllProgress);
+    }
+
+    // Set up worksheet print and download buttons
+    const answerKeyToggle = document.getElementById(`${layerName}AnswerKey`);
+    const withKey = () => Boolean(answerKeyToggle && answerKeyToggle.checked);
+    [
+        [`${layerName}PrintWorksheet`, () => printWorksheet(layerName, withKey())],
+        [`${layerName}DownloadHtml`, () => downloadWorksheet(layerName, 'html', withKey())],
+        [`${layerName}DownloadSvg`, () => downloadWorksheet(layerName, 'svg', withKey())]
+    ].forEach(([buttonId, action]) => {
+        const button = document.getElementById(buttonId);
+        if (button) button.addEventListener('click', action);
+    });
+
+    // Pick up where the student left off
+    window.PuzzleProgress.startPuzzle(layerName);
+    restorePuzzleProgress(layerName);
+}
+
+/**
+ * Build the full markup for a puzzle from its manifest entry.
+ * Element IDs follow the `${id}Chips`, `${id}Guess`, ... convention
+ * that initializePuzzle looks up.
+ * @param {object} entry - Puzzle manifest entry (see puzzles.js)
+ * @returns {string} - HTML for the inside of the puzzle placeholder
+ */
+function buildPuzzleMarkup(entry) {
+    const id = entry.id;
+    const intro = entry.intro ||
+        'This site uses a 5-bit Baconian variant where <strong>A = 0</strong> and <strong>B = 1</strong>. Five A/B characters encode one letter of the alphabet. Click each group to reveal the letter it represents, or use "Reveal all" to decode the entire message at once.';
+    const extractControls = entry.cover ? `
+        <div class="puzzle-controls">
+            <button class="btn btn-reveal" id="${id}Extract" aria-label="Extract A/B groups from the paragraph's typeface">Extract A/B Groups</button>
+        </div>` : '';
+    // The worksheet buttons need worksheet.js; pages without it just leave them out
+    const worksheetExport = window.PuzzleWorksheet ? `
+        <details class="worksheet-export">
+            <summary>Print or download a worksheet</summary>
+            <p>For offline classes: the A/B groups with a box for each letter, and the decoding table. Downloaded files open without a network.</p>
+            <div class="worksheet-controls">
+                <button class="btn btn-secondary" id="${id}PrintWorksheet">Print Worksheet</button>
+                <button class="btn btn-secondary" id="${id}DownloadHtml" aria-label="Download the worksheet as an HTML file">Download HTML</button>
+                <button class="btn btn-secondary" id="${id}DownloadSvg" aria-label="Download the worksheet as an SVG image">Download SVG</button>
+                <label class="practice-toggle" for="${id}AnswerKey">
+                    <input type="checkbox" id="${id}AnswerKey" /> Include the answer key (on its own page)
+                </label>
+            </div>
+        </details>` : '';
+
+    return `
+    <div class="puzzle-container">
+        <h3 class="puzzle-title">${entry.title || 'Baconian Puzzle'}</h3>
+        <div class="puzzle-explanation">
+            <p>${intro}</p>
+            <p class="puzzle-alphabet" id="${id}Alphabet"></p>
+        </div>
+        ${extractControls}
+        <div class="cipher-chips" id="${id}Chips" role="group" aria-label="Cipher puzzle chips"></div>
+        <div class="puzzle-controls">
+            <button class="btn btn-reveal" id="${id}RevealAll" aria-label="Reveal all cipher letters">Reveal All</button>
+            <button class="btn btn-secondary" id="${id}Reset" aria-label="Reset this puzzle">Reset Puzzle</button>
+            <button class="btn btn-secondary" id="${id}ResetAll" aria-label="Reset progress on every puzzle">Reset All Progress</button>
+            <label class="practice-toggle" for="${id}Practice">
+                <input type="checkbox" id="${id}Practice" /> Practice mode: decode each group before it flips
+            </label>
+        </div>
+        <div class="mapping-legend" role="region" aria-label="5-bit to letter mapping legend">
+            <h4>Binary to Letter Mapping</h4>
+            <table class="mapping-table">
+                <thead>
+                    <tr>
+                        <th>Binary</th><th>A/B Encoding</th><th>Letter</th>
+                        <th>Binary</th><th>A/B Encoding</th><th>Letter</th>
+                    </tr>
+                </thead>
+                <tbody id="${id}Mapping"></tbody>
+            </table>
+        </div>
+        <div class="guess-section">
+            <label for="${id}Guess" class="guess-label">Try your guess:</label>
+            <input type="text" id="${id}Guess" class="guess-input" placeholder="Type the decoded word here" aria-label="Text input for decoding guess" />
+            <button class="btn btn-check" id="${id}CheckGuess" aria-label="Check your decoding guess">Check Guess</button>
+            <button class="btn btn-hint" id="${id}Hint" aria-label="Show next hint" style="display: none;">Hint</button>
+        </div>
+        <ol class="hint-list" id="${id}HintText" aria-label="Hints used" aria-live="polite" hidden></ol>
+        <div class="feedback-area" id="${id}Feedback" role="alert" aria-live="polite"></div>
+        ${worksheetExport}
+    </div>`;
+}
+
+/**
+ * Build a puzzle's worksheet (see worksheet.js)
+ * @param {string} layerName - Puzzle ID
+ * @returns {object|null} - The worksheet, or null if the puzzle isn't on this
+ *   page or worksheet.js isn't loaded
+ */
+function buildPuzzleWorksheet(layerName) {
+    const puzzle = puzzleRegistry[layerName];
+    if (!puzzle || !window.PuzzleWorksheet) return null;
+    return window.PuzzleWorksheet.build(puzzle.config, window.BaconianCipher);
+}
+
+/**
+ * Print a puzzle's worksheet (and answer key) instead of the page: the
+ * worksheet is added to the page, and the print rules in styles.css hide
+ * everything else until printing is done
+ * @param {string} layerName - Puzzle ID
+ * @param {boolean} [answerKey] - Print the answer key as a second page
+ */
+function printWorksheet(layerName, answerKey) {
+    const sheet = buildPuzzleWorksheet(layerName);
+    if (!sheet) return;
+
+    let container = document.getElementById('printWorksheet');
+    if (!container) {
+        container = document.createElement('div');
+        container.id = 'printWorksheet';
+        container.className = 'print-worksheet';
+        document.body.appendChild(container);
+    }
+    container.innerHTML = `<style>${window.PuzzleWorksheet.STYLES}</style>` +
+        window.PuzzleWorksheet.toFragment(sheet, { answerKey: Boolean(answerKey) });
+
+    const cleanUp = () => {
+        document.body.classList.remove('printing-worksheet');
+        container.innerHTML = '';
+        window.removeEventListener('afterprint', cleanUp);
+    };
+    document.body.classList.add('printing-worksheet');
+    window.addEventListener('afterprint', cleanUp);
+    window.print();
+}
+
+/**
+ * Offer a file for download, built in the browser (no network needed)
+ * @param {string} filename - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} type - MIME type
+ */
+function downloadFile(filename, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.hidden = true;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Download a puzzle's worksheet as a standalone file. HTML puts the answer
+ * key on a second page; SVG is one page per file, so the key is a second file.
+ * @param {string} layerName - Puzzle ID
+ * @param {string} format - 'html' or 'svg'
+ * @param {boolean} [answerKey] - Include the answer key
+ */
+function downloadWorksheet(layerName, format, answerKey) {
+    const sheet = buildPuzzleWorksheet(layerName);
+    if (!sheet) return;
+
+    const files = [];
+    if (format === 'svg') {
+        files.push(`${layerName}-worksheet.svg`);
+        downloadFile(files[0], window.PuzzleWorksheet.toSvg(sheet), 'image/svg+xml');
+        if (answerKey) {
+            files.push(`${layerName}-answer-key.svg`);
+            downloadFile(files[1], window.PuzzleWorksheet.toSvg(sheet, { answerKey: true }), 'image/svg+xml');
+        }
+    } else {
+        files.push(`${layerName}-worksheet.html`);
+        downloadFile(files[0], window.PuzzleWorksheet.toHtml(sheet, { answerKey: Boolean(answerKey) }), 'text/html');
+    }
+
+    showNotification(`Saved ${files.join(' and ')}.`, { severity: 'success' });
+}
+
+/**
+ * Load the puzzle manifest: window.PuzzleManifest from puzzles.js, or a
+ * JSON copy embedded in <script type="application/json" id="puzzleManifest">
+ * @returns {array} - Puzzle entries (empty if no manifest is present)
+ */
+function loadPuzzleManifest() {
+    let manifest = window.PuzzleManifest;
+
+    if (!manifest) {
+        const jsonScript = document.getElementById('puzzleManifest');
+        if (jsonScript) {
+            try {
+                manifest = JSON.parse(jsonScript.textContent);
+            } catch (err) {
+                console.warn('Puzzle manifest is not valid JSON', err);
+            }
+        }
+    }
+
+    if (!manifest || !Array.isArray(manifest.puzzles)) {
+        return [];
+    }
+
+    return manifest.puzzles.filter(entry => {
+        const valid = entry && entry.id && entry.page && entry.plaintext;
+        if (!valid) {
+            console.warn('Skipping puzzle manifest entry without id, page or plaintext', entry);
+        }
+        return valid;
+    });
+}
+
+/**
+ * Load the layer registry (window.LayerRegistry from layers.js)
+ * @returns {array} - Layer entries, lowest layer first (empty if layers.js is not loaded)
+ */
+function loadLayerRegistry() {
+    const registry = window.LayerRegistry;
+    if (!registry || !Array.isArray(registry.layers)) {
+        return [];
+    }
+
+    return registry.layers
+        .filter(layer => {
+            const valid = layer && layer.number && layer.name && layer.page;
+            if (!valid) {
+                console.warn('Skipping layer registry entry without number, name or page', layer);
+            }
+            return valid;
+        })
+        .sort((a, b) => a.number - b.number);
+}
+
+/**
+ * Get the layer this page shows: <body data-layer="4">, or ?layer=N on the
+ * shared layer.html template
+ * @returns {object|null} - The layer's registry entry, or null if this is not a layer page
+ */
+function getCurrentLayer() {
+    const number = document.body.dataset.layer || new URLSearchParams(window.location.search).get('layer');
+    if (!number) return null;
+
+    return loadLayerRegistry().find(layer => String(layer.number) === String(number)) || null;
+}
+
+/**
+ * Get the current page's name as puzzles.js and quizzes.js refer to it: the
+ * file name (e.g. 'index.html'), or on a layer page its registry page
+ * (e.g. 'layer4.html', 'layer.html?layer=1')
+ */
+function getCurrentPageName() {
+    const layer = getCurrentLayer();
+    return layer ? layer.page : (window.location.pathname.split('/').pop() || 'index.html');
+}
+
+/**
+ * Render the shared header (title, nav with a link per registry layer, theme
+ * toggle) into <header data-site-header>
+ */
+function renderSiteHeader() {
+    const header = document.querySelector('[data-site-header]');
+    if (!header) return;
+
+    const layerLinks = loadLayerRegistry().map(layer => `
+                <a href="${layer.page}" class="nav-link" data-layer="${layer.number}" title="Layer ${layer.number} — ${layer.name}">Layer ${layer.number}</a>`).join('');
+
+    header.innerHTML = `
+        <div class="header-container">
+            <h1 class="header-title">OSI Model</h1>
+            <nav class="header-nav" role="navigation" aria-label="Main navigation">
+                <a href="index.html" class="nav-link">Home</a>${layerLinks}
+                <a href="glossary.html" class="nav-link">Glossary</a>
+            </nav>
+            <div class="site-search" role="search">
+                <label for="siteSearch" class="visually-hidden">Search all layers</label>
+                <input type="search" id="siteSearch" class="site-search-input" placeholder="Search (press /)" autocomplete="off" spellcheck="false"
+                    role="combobox" aria-expanded="false" aria-controls="siteSearchResults" aria-autocomplete="list">
+                <ul id="siteSearchResults" class="site-search-results" role="listbox" aria-label="Search results" hidden></ul>
+                <p id="siteSearchStatus" class="visually-hidden" aria-live="polite"></p>
+            </div>
+            <button class="theme-toggle" id="themeToggle" aria-label="Toggle dark mode" title="Press 'd' to toggle dark mode">
+                <span class="theme-icon">🌙</span>
+            </button>
+        </div>`;
+}
+
+/**
+ * Build the markup for one registry content section
+ * @param {object} section - A `sections` entry from layers.js
+ * @returns {string} - HTML for the section
+ */
+function buildLayerSection(section) {
+    if (section.type === 'simulator') {
+        return `
+            <section class="diagram-section simulator-section" id="${section.id}" data-simulator="${section.simulator}" role="region" aria-label="${section.label}"></section>`;
+    }
+
+    const isDiagram = section.type === 'diagram';
+    return `
+            <section class="${isDiagram ? 'diagram-section' : 'content-section'}" role="region" aria-label="${section.label || section.heading}">
+                <h3 id="${section.id}">${section.heading}</h3>
+                ${isDiagram && section.caption ? `<p class="diagram-caption">${section.caption}</p>` : ''}
+                ${section.html}
+            </section>`;
+}
+
+/**
+ * Render the current layer's page into <main data-layer-content>: title,
+ * breadcrumb, content sections, cipher summary, a placeholder for each of
+ * the layer's puzzles and quizzes, and links to the neighbouring layers
+ */
+function renderLayerPage() {
+    const main = document.querySelector('[data-layer-content]');
+    if (!main) return;
+
+    const layer = getCurrentLayer();
+    if (!layer) {
+        main.innerHTML = `
+            <article role="main">
+                <h2 class="page-title">Layer Not Found</h2>
+                <p>There is no page for that layer. <a href="index.html">Back to the homepage</a></p>
+            </article>`;
+        return;
+    }
+
+    const title = `Layer ${layer.number} — ${layer.name}`;
+    document.title = `${title} | OSI Model`;
+    const description = document.querySelector('meta[name="description"]');
+    if (description && layer.description) {
+        description.setAttribute('content', layer.description);
+    }
+
+    const sections = (layer.sections || []).map(buildLayerSection).join('');
+    const summary = layer.cipherSummary ? `
+            <section class="cipher-message-summary" role="region" aria-label="Cipher message summary">
+                <h3>Baconian Cipher Message</h3>
+                <p>${layer.cipherSummary}</p>
+            </section>` : '';
+    const puzzleSlots = loadPuzzleManifest()
+        .filter(entry => entry.page === layer.page)
+        .map(entry => `
+            <section class="puzzle-section" data-puzzle="${entry.id}" role="region" aria-label="${entry.cover ? 'Steganographic Baconian puzzle' : 'Baconian cipher puzzle'}"></section>`)
+        .join('');
+    const quizSlots = loadQuizBank()
+        .filter(quiz => quiz.page === layer.page)
+        .map(quiz => `
+            <section class="puzzle-section quiz-section" data-quiz="${quiz.id}" role="region" aria-label="Layer ${layer.number} quiz"></section>`)
+        .join('');
+
+    const layers = loadLayerRegistry();
+    const index = layers.indexOf(layer);
+    const previous = layers[index - 1];
+    const next = layers[index + 1];
+
+    main.innerHTML = `
+        <article role="main">
+            <h2 class="page-title">${title} (Detailed)</h2>
+            <div class="breadcrumb" aria-label="Breadcrumb">
+                <a href="index.html">Home</a> &gt; <span>${title}</span>
+            </div>
+            ${sections}
+            ${summary}
+            ${puzzleSlots}
+            ${quizSlots}
+            <nav class="layer-pager" aria-label="Other layers">
+                ${previous ? `<a href="${previous.page}" class="layer-pager-link" rel="prev">← Layer ${previous.number} — ${previous.name}</a>` : '<span></span>'}
+                ${next ? `<a href="${next.page}" class="layer-pager-link" rel="next">Layer ${next.number} — ${next.name} →</a>` : ''}
+            </nav>
+        </article>`;
+
+    scrollToHashTarget();
+}
+
+/**
+ * Scroll to the element named by the URL's #anchor. Rendered pages need
+ * this: the browser looked for the anchor before the content existed.
+ */
+function scrollToHashTarget() {
+    const target = window.location.hash && document.getElementById(decodeURIComponent(window.location.hash.slice(1)));
+    if (target) {
+        target.scrollIntoView();
+    }
+}
+
+/**
+ * Search index of every layer's sections (see search.js), built on first use
+ */
+let searchIndex = null;
+
+/**
+ * Get the site search index, building it from the layer registry the first time
+ * @returns {array} - Indexed sections (empty if search.js is not loaded)
+ */
+function getSearchIndex() {
+    if (!searchIndex) {
+        searchIndex = window.SiteSearch ? window.SiteSearch.buildIndex(loadLayerRegistry()) : [];
+    }
+    return searchIndex;
+}
+
+/**
+ * Append highlighted text to an element: matching parts go in <mark>
+ * @param {HTMLElement} element - Element to fill
+ * @param {array} parts - { text, match } parts from SiteSearch.highlight()
+ */
+function appendHighlighted(element, parts) {
+    parts.forEach(part => {
+        if (part.match) {
+            const mark = document.createElement('mark');
+            mark.textContent = part.text;
+            element.appendChild(mark);
+        } else {
+            element.appendChild(document.createTextNode(part.text));
+        }
+    });
+}
+
+/**
+ * Show the results for the search box's current query
+ * @param {HTMLInputElement} input - The header search box
+ * @param {HTMLElement} list - The results listbox
+ */
+function renderSearchResults(input, list) {
+    const query = input.value.trim();
+    const status = document.getElementById('siteSearchStatus');
+    list.innerHTML = '';
+    input.removeAttribute('aria-activedescendant');
+
+    if (!query) {
+        list.hidden = true;
+        input.setAttribute('aria-expanded', 'false');
+        status.textContent = '';
+        return;
+    }
+
+    const results = window.SiteSearch ? window.SiteSearch.search(getSearchIndex(), query) : [];
+    results.forEach((result, i) => {
+        const doc = result.doc;
+        const item = document.createElement('li');
+        item.className = 'site-search-result';
+        item.id = `siteSearchResult${i}`;
+        item.setAttribute('role', 'option');
+        item.setAttribute('aria-selected', 'false');
+
+        const link = document.createElement('a');
+        link.href = doc.url;
+        link.tabIndex = -1;
+
+        const layer = document.createElement('span');
+        layer.className = 'site-search-layer';
+        layer.textContent = `Layer ${doc.layer} — ${doc.layerName}`;
+        const heading = document.createElement('span');
+        heading.className = 'site-search-heading';
+        appendHighlighted(heading, window.SiteSearch.highlight(doc.heading, result.terms));
+        const snippet = document.createElement('span');
+        snippet.className = 'site-search-snippet';
+        appendHighlighted(snippet, window.SiteSearch.makeSnippet(doc.text, result.terms));
+
+        link.append(layer, heading, snippet);
+        item.appendChild(link);
+        list.appendChild(item);
+    });
+
+    if (!results.length) {
+        const empty = document.createElement('li');
+        empty.className = 'site-search-empty';
+        empty.textContent = `No sections match "${query}".`;
+        list.appendChild(empty);
+    }
+
+    list.hidden = false;
+    input.setAttribute('aria-expanded', 'true');
+    status.textContent = results.length === 1 ? '1 result' : `${results.length} results`;
+}
+
+/**
+ * Move the highlighted search result
+ * @param {HTMLInputElement} input - The header search box
+ * @param {HTMLElement} list - The results listbox
+ * @param {number} index - Result to highlight (wraps around past the last one)
+ */
+function setActiveSearchResult(input, list, index) {
+    const options = Array.from(list.querySelectorAll('.site-search-result'));
+    if (!options.length) return;
+
+    const active = index % options.length;
+    options.forEach((option, i) => {
+        option.classList.toggle('active', i === active);
+        option.setAttribute('aria-selected', i === active ? 'true' : 'false');
+    });
+    input.setAttribute('aria-activedescendant', options[active].id);
+}
+
+/**
+ * Close the search results without clearing the query
+ * @param {HTMLInputElement} input - The header search box
+ * @param {HTMLElement} list - The results listbox
+ */
+function closeSearchResults(input, list) {
+    list.hidden = true;
+    input.setAttribute('aria-expanded', 'false');
+    input.removeAttribute('aria-activedescendant');
+}
+
+/**
+ * Wire up the header search box: results update as you type, Up/Down pick a
+ * result, Enter opens it, Escape closes the list (then clears the box).
+ * '/' anywhere else on the page jumps to the box (see registerShortcuts)
+ */
+function initializeSearch() {
+    const input = document.getElementById('siteSearch');
+    const list = document.getElementById('siteSearchResults');
+    if (!input || !list) return;
+
+    input.addEventListener('input', () => renderSearchResults(input, list));
+    input.addEventListener('focus', () => {
+        if (input.value.trim()) renderSearchResults(input, list);
+    });
+
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (list.hidden && input.value.trim()) renderSearchResults(input, list);
+        }
+
+        const options = list.querySelectorAll('.site-search-result');
+        const current = Array.from(options).findIndex(option => option.classList.contains('active'));
+
+        if (e.key === 'ArrowDown') {
+            setActiveSearchResult(input, list, current + 1);
+        } else if (e.key === 'ArrowUp') {
+            setActiveSearchResult(input, list, current <= 0 ? options.length - 1 : current - 1);
+        } else if (e.key === 'Enter') {
+            const chosen = options[current === -1 ? 0 : current];
+            if (chosen && !list.hidden) {
+                e.preventDefault();
+                window.location.href = chosen.querySelector('a').href;
+                closeSearchResults(input, list);
+            }
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            if (!list.hidden) {
+                closeSearchResults(input, list);
+            } else {
+                input.value = '';
+                input.blur();
+            }
+        }
+    });
+
+    // Keep the list open while a result is being clicked, close it otherwise
+    list.addEventListener('mousedown', (e) => e.preventDefault());
+    list.addEventListener('click', () => closeSearchResults(input, list));
+    input.addEventListener('blur', () => closeSearchResults(input, list));
+}
+
+/**
+ * Jump to the header search box (the '/' shortcut)
+ */
+function focusSearch() {
+    const input = document.getElementById('siteSearch');
+    if (!input) return;
+
+    input.focus();
+    input.select();
+}
+
+/**
+ * Load the glossary (window.Glossary from glossary.js)
+ * @returns {array} - Glossary entries (empty if glossary.js is not loaded)
+ */
+function loadGlossary() {
+    const glossary = window.Glossary;
+    if (!glossary || !Array.isArray(glossary.terms)) {
+        return [];
+    }
+
+    return glossary.terms.filter(entry => {
+        const valid = entry && entry.id && entry.term && entry.definition;
+        if (!valid) {
+            console.warn('Skipping glossary entry without id, term or definition', entry);
+        }
+        return valid;
+    });
+}
+
+/**
+ * Build the pattern that finds a glossary term in text: the term or any
+ * alias as a whole word, optionally followed by "s". Each form decides its
+ * own case: all-capitals forms (TCP, MSS) are matched case-sensitively, and
+ * others (maximum segment size) in any case.
+ * @param {object} entry - A glossary entry
+ * @returns {RegExp} - Pattern whose second group is the matched term
+ */
+function buildGlossaryPattern(entry) {
+    const forms = [entry.term].concat(entry.aliases || [])
+        .sort((a, b) => b.length - a.length)
+        .map(form => {
+            const escaped = form.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            // One pattern holds both kinds, so any-case letters become [xX] classes
+            return /[a-z]/.test(form)
+                ? `${escaped}s?`.replace(/[A-Za-z]/g, letter => `[${letter.toLowerCase()}${letter.toUpperCase()}]`)
+                : `${escaped}s?`;
+        });
+
+    return new RegExp(`(^|[^A-Za-z0-9-])(${forms.join('|')})(?![A-Za-z0-9-])`);
+}
+
+/**
+ * Find every layer section (from layers.js) that uses a glossary term
+ * @param {object} entry - A glossary entry
+ * @returns {array} - { layer, heading, url } for each section, in layer order
+ */
+function findGlossaryUsages(entry) {
+    const pattern = buildGlossaryPattern(entry);
+    const usages = [];
+
+    loadLayerRegistry().forEach(layer => {
+        (layer.sections || []).forEach(section => {
+            if (section.type === 'simulator') return;
+            const text = window.SiteSearch.stripHtml([section.caption, section.html].filter(Boolean).join(' '));
+            if (pattern.test(text)) {
+                usages.push({ layer: layer, heading: section.heading, url: `${layer.page}#${section.id}` });
+            }
+        });
+    });
+    return usages;
+}
+
+/**
+ * Wrap one use of a glossary term in a link to its glossary entry, with a
+ * tooltip holding the definition. The tooltip shows on hover and on
+ * keyboard focus, and Escape hides it.
+ * @param {Text} textNode - Text node containing the term
+ * @param {number} start - Where the term starts in the node's text
+ * @param {string} matched - The term as written in the text
+ * @param {object} entry - The glossary entry
+ */
+function wrapGlossaryTerm(textNode, start, matched, entry) {
+    const termNode = textNode.splitText(start);
+    termNode.splitText(matched.length);
+
+    const tipId = `glossaryTip${document.querySelectorAll('.glossary-tooltip').length}`;
+    const wrap = document.createElement('span');
+    wrap.className = 'glossary-wrap';
+
+    const link = document.createElement('a');
+    link.className = 'glossary-term';
+    link.href = `glossary.html#${entry.id}`;
+    link.dataset.term = entry.id;
+    link.setAttribute('aria-describedby', tipId);
+    link.textContent = matched;
+
+    const tooltip = document.createElement('span');
+    tooltip.className = 'glossary-tooltip';
+    tooltip.id = tipId;
+    tooltip.setAttribute('role', 'tooltip');
+    tooltip.textContent = entry.definition;
+
+    wrap.append(link, tooltip);
+    termNode.replaceWith(wrap);
+}
+
+/**
+ * Mark glossary terms in the content sections of a layer page: the first use
+ * of each term in each section becomes a tooltip link. Headings, code,
+ * links, diagrams and steganographic cover texts are left alone.
+ * @param {HTMLElement} [root] - Element to search (default: the layer page's main content)
+ * @returns {number} - How many terms were marked
+ */
+function applyGlossaryTerms(root) {
+    root = root || document.querySelector('[data-layer-content]');
+    const entries = loadGlossary();
+    if (!root || !entries.length) return 0;
+
+    const skip = 'a, button, code, pre, h1, h2, h3, h4, label, mark, svg, .glossary-wrap, .stego-text';
+    let marked = 0;
+
+    root.querySelectorAll('.content-section, .diagram-section:not(.simulator-section)').forEach(section => {
+        entries.forEach(entry => {
+            const pattern = buildGlossaryPattern(entry);
+            const walker = document.createTreeWalker(section, NodeFilter.SHOW_TEXT, {
+                acceptNode: node => node.parentElement.closest(skip) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+            });
+
+            let node;
+            while ((node = walker.nextNode())) {
+                const found = pattern.exec(node.nodeValue);
+                if (found) {
+                    wrapGlossaryTerm(node, found.index + found[1].length, found[2], entry);
+                    marked++;
+                    break;
+                }
+            }
+        });
+    });
+    return marked;
+}
+
+/**
+ * Hide the glossary tooltip under the pointer or focus (the Escape shortcut).
+ * It stays hidden until the pointer or focus leaves the term.
+ * @returns {boolean} - False if no tooltip was open, so Escape is left alone
+ */
+function dismissGlossaryTooltips() {
+    let dismissed = false;
+    document.querySelectorAll('.glossary-wrap').forEach(wrap => {
+        if (wrap.contains(document.activeElement) || wrap.matches(':hover')) {
+            wrap.classList.add('dismissed');
+            dismissed = true;
+        }
+    });
+    return dismissed;
+}
+
+/**
+ * Let a dismissed glossary tooltip show again once the pointer or focus
+ * leaves its term (Escape hides it, see registerShortcuts)
+ */
+function initializeGlossaryTooltips() {
+    ['focusout', 'mouseleave'].forEach(type => {
+        document.addEventListener(type, (e) => {
+            if (e.target.classList && e.target.classList.contains('glossary-wrap')) {
+                e.target.classList.remove('dismissed');
+            } else if (e.target.closest && e.target.closest('.glossary-wrap')) {
+                e.target.closest('.glossary-wrap').classList.remove('dismissed');
+            }
+        }, true);
+    });
+}
+
+/**
+ * Render the glossary page into <main data-glossary>: every term in
+ * alphabetical order with its definition, its layer, and links to the
+ * sections that use it
+ */
+function renderGlossaryPage() {
+    const main = document.querySelector('[data-glossary]');
+    if (!main) return;
+
+    const entries = loadGlossary().slice().sort((a, b) => a.term.localeCompare(b.term, 'en', { sensitivity: 'base' }));
+    const items = entries.map(entry => {
+        const usages = findGlossaryUsages(entry).map(usage =>
+            `<a href="${usage.url}">Layer ${usage.layer.number} — ${usage.heading}</a>`).join(', ');
+        return `
+                <div class="glossary-entry">
+                    <dt id="${entry.id}">${entry.term}${entry.layer ? ` <span class="glossary-layer">Layer ${entry.layer}</span>` : ''}</dt>
+                    <dd>
+                        <p>${entry.definition}</p>
+                        <p class="glossary-used">${usages ? `Used in: ${usages}` : 'Not used on a layer page yet.'}</p>
+                    </dd>
+                </div>`;
+    }).join('');
+
+    main.innerHTML = `
+        <article role="main">
+            <h2 class="page-title">Glossary</h2>
+            <div class="breadcrumb" aria-label="Breadcrumb">
+                <a href="index.html">Home</a> &gt; <span>Glossary</span>
+            </div>
+            <p class="glossary-intro">
+                Every term below is marked with a dotted underline on the layer pages. Hover over it, or Tab to it, to see its definition without leaving the page.
+            </p>
+            <dl class="glossary-list">${items}
+            </dl>
+        </article>`;
+
+    scrollToHashTarget();
+}
+
+/**
+ * Render the homepage's layer cards from the registry into #layerCards
+ */
+function renderLayerCards() {
+    const grid = document.getElementById('layerCards');
+    if (!grid) return;
+
+    grid.innerHTML = loadLayerRegistry().map(layer => `
+        <a href="${layer.page}" class="layer-card">
+            <div class="card-number">${layer.number}</div>
+            <h4 class="card-title">${layer.name} Layer</h4>
+            <p class="card-description">${layer.summary || ''}</p>
+        </a>`).join('');
+}
+
+/**
+ * Render and initialize every manifest puzzle that belongs to this page
+ */
+function initializePuzzlesFromManifest() {
+    const currentPageName = getCurrentPageName();
+
+    loadPuzzleManifest()
+        .filter(entry => entry.page === currentPageName)
+        .forEach(entry => {
+            const slot = document.querySelector(`[data-puzzle="${entry.id}"]`);
+            if (!slot) {
+                console.warn(`Puzzle placeholder not found for ${entry.id}`);
+                return;
+            }
+            slot.innerHTML = buildPuzzleMarkup(entry);
+            initializePuzzle(entry);
+        });
+}
+
+/**
+ * Quiz state, keyed by quiz ID: { config, questions, index, results, answered }
+ */
+const quizRegistry = {};
+
+/**
+ * Build the markup for a quiz from its question bank entry
+ * @param {object} entry - Quiz entry (see quizzes.js)
+ * @returns {string} - HTML for the inside of the quiz placeholder
+ */
+function buildQuizMarkup(entry) {
+    const id = entry.id;
+    return `
+    <div class="quiz-container">
+        <h3 class="puzzle-title">${entry.title || 'Quiz'}</h3>
+        <p class="quiz-progress" id="${id}Progress"></p>
+        <div class="quiz-question" id="${id}Question"></div>
+        <div class="puzzle-controls">
+            <button class="btn btn-check" id="${id}Submit">Check Answer</button>
+            <button class="btn btn-reveal" id="${id}Next" hidden>Next Question</button>
+            <button class="btn btn-secondary" id="${id}Restart" hidden>Retake Quiz</button>
+        </div>
+        <div class="feedback-area hidden" id="${id}Feedback" role="alert" aria-live="polite"></div>
+        <p class="quiz-best" id="${id}Best"></p>
+    </div>`;
+}
+
+/**
+ * Render the current question of a quiz
+ * @param {string} quizId - Quiz ID
+ */
+function renderQuizQuestion(quizId) {
+    const quiz = quizRegistry[quizId];
+    const question = quiz.questions[quiz.index];
+    const container = document.getElementById(`${quizId}Question`);
+    const name = `${quizId}Answer`;
+    let body = '';
+
+    if (question.type === 'choice') {
+        body = `<fieldset class="quiz-choices"><legend class="visually-hidden">Answers</legend>
+            ${question.choices.map(choice => `
+            <label class="quiz-choice"><input type="radio" name="${name}" value="${choice.index}" /> ${choice.text}</label>`).join('')}
+        </fieldset>`;
+    } else if (question.type === 'order') {
+        body = `<ol class="quiz-order">
+            ${question.shuffled.map(item => `
+            <li data-item="${item}">
+                <span>${item}</span>
+                <button type="button" class="btn btn-secondary" data-move="-1" aria-label="Move ${item} up">↑</button>
+                <button type="button" class="btn btn-secondary" data-move="1" aria-label="Move ${item} down">↓</button>
+            </li>`).join('')}
+        </ol>`;
+    } else if (question.type === 'match') {
+        body = `<table class="quiz-match"><tbody>
+            ${question.pairs.map((pair, i) => `
+            <tr>
+                <th scope="row"><label for="${name}${i}">${pair.left}</label></th>
+                <td><select id="${name}${i}"><option value="">Choose…</option>
+                    ${question.rights.map(right => `<option>${right}</option>`).join('')}
+                </select></td>
+            </tr>`).join('')}
+        </tbody></table>`;
+    } else {
+        body = `<label class="visually-hidden" for="${name}">Your answer</label>
+            <input type="text" class="guess-input" id="${name}" autocomplete="off" placeholder="Type the missing word" />`;
+    }
+
+    container.innerHTML = `<p class="quiz-prompt">${question.prompt}</p>${body}`;
+
+    // Ordering: move items up and down
+    container.querySelectorAll('[data-move]').forEach(button => {
+        button.addEventListener('click', () => {
+            const item = button.closest('li');
+            if (button.dataset.move === '-1' && item.previousElementSibling) {
+                item.parentElement.insertBefore(item, item.previousElementSibling);
+            } else if (button.dataset.move === '1' && item.nextElementSibling) {
+                item.parentElement.insertBefore(item.nextElementSibling, item);
+            }
+            button.focus();
+        });
+    });
+
+    // Fill-in-the-blank: Enter checks the answer
+    const blank = document.getElementById(name);
+    if (blank && question.type === 'blank') {
+        blank.addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                submitQuizAnswer(quizId);
+            }
+        });
+    }
+
+    document.getElementById(`${quizId}Progress`).textContent = `Question ${quiz.index + 1} of ${quiz.questions.length}`;
+    document.getElementById(`${quizId}Submit`).hidden = false;
+    document.getElementById(`${quizId}Next`).hidden = true;
+    const feedbackArea = document.getElementById(`${quizId}Feedback`);
+    feedbackArea.className = 'feedback-area hidden';
+    feedbackArea.textContent = '';
+    quiz.answered = false;
+}
+
+/**
+ * Read the student's answer to the current question
+ * @param {string} quizId - Quiz ID
+ * @returns {*} - The response in the shape QuizEngine.gradeAnswer expects,
+ *   or null if the question hasn't been answered yet
+ */
+function readQuizResponse(quizId) {
+    const quiz = quizRegistry[quizId];
+    const question = quiz.questions[quiz.index];
+    const container = document.getElementById(`${quizId}Question`);
+
+    if (question.type === 'choice') {
+        const checked = container.querySelector('input[type="radio"]:checked');
+        return checked ? Number(checked.value) : null;
+    }
+    if (question.type === 'order') {
+        return Array.from(container.querySelectorAll('.quiz-order li')).map(item => item.dataset.item);
+    }
+    if (question.type === 'match') {
+        const chosen = Array.from(container.querySelectorAll('select')).map(select => select.value);
+        return chosen.every(Boolean) ? chosen : null;
+    }
+    const text = document.getElementById(`${quizId}Answer`).value;
+    return text.trim() ? text : null;
+}
+
+/**
+ * Grade the current question and show its explanation
+ * @param {string} quizId - Quiz ID
+ */
+function submitQuizAnswer(quizId) {
+    const quiz = quizRegistry[quizId];
+    if (!quiz || quiz.answered) return;
+
+    const question = quiz.questions[quiz.index];
+    const feedbackArea = document.getElementById(`${quizId}Feedback`);
+    const response = readQuizResponse(quizId);
+    if (response === null) {
+        feedbackArea.className = 'feedback-area error';
+        feedbackArea.textContent = 'Answer the question first.';
+        return;
+    }
+
+    const grade = window.QuizEngine.gradeAnswer(question, response);
+    quiz.results.push({ questionId: question.id, correct: grade.correct });
+    quiz.answered = true;
+
+    feedbackArea.className = `feedback-area ${grade.correct ? 'success' : 'error'}`;
+    feedbackArea.textContent = grade.correct
+        ? `✓ Correct! ${question.explanation || ''}`
+        : `✗ Not quite. The answer is: ${grade.expected}. ${question.explanation || ''}`;
+
+    // Lock the answer in
+    document.getElementById(`${quizId}Question`).querySelectorAll('input, select, button').forEach(control => {
+        control.disabled = true;
+    });
+    document.getElementById(`${quizId}Submit`).hidden = true;
+    const nextBtn = document.getElementById(`${quizId}Next`);
+    nextBtn.textContent = quiz.index + 1 < quiz.questions.length ? 'Next Question' : 'See Results';
+    nextBtn.hidden = false;
+    nextBtn.focus();
+}
+
+/**
+ * Move to the next question, or finish the quiz: show the score, save it
+ * to progress storage and dispatch a 'quizcomplete' event on document with
+ * { quizId, correct, total }
+ * @param {string} quizId - Quiz ID
+ */
+function nextQuizQuestion(quizId) {
+    const quiz = quizRegistry[quizId];
+    if (quiz.index + 1 < quiz.questions.length) {
+        quiz.index++;
+        renderQuizQuestion(quizId);
+        return;
+    }
+
+    const score = window.QuizEngine.scoreResults(quiz.results);
+    const saved = window.PuzzleProgress.recordQuizResult(quizId, {
+        correct: score.correct,
+        total: score.total,
+        answers: quiz.results
+    });
+
+    document.getElementById(`${quizId}Question`).innerHTML =
+        `<p class="quiz-prompt">You answered ${score.correct} of ${score.total} correctly (${score.percent}%).</p>`;
+    document.getElementById(`${quizId}Progress`).textContent = 'Quiz complete';
+    document.getElementById(`${quizId}Next`).hidden = true;
+    document.getElementById(`${quizId}Restart`).hidden = false;
+    const feedbackArea = document.getElementById(`${quizId}Feedback`);
+    feedbackArea.className = 'feedback-area hidden';
+    feedbackArea.textContent = '';
+    renderQuizBest(quizId, saved.best);
+
+    document.dispatchEvent(new CustomEvent('quizcomplete', {
+        detail: { quizId: quizId, correct: score.correct, total: score.total }
+    }));
+}
+
+/**
+ * Show a quiz's best saved result
+ * @param {string} quizId - Quiz ID
+ * @param {object|null} best - { correct, total }, or null if never finished
+ */
+function renderQuizBest(quizId, best) {
+    const bestLine = document.getElementById(`${quizId}Best`);
+    if (bestLine) {
+        bestLine.textContent = best ? `Best result: ${best.correct} / ${best.total}` : '';
+    }
+}
+
+/**
+ * Start (or restart) a quiz with a fresh random selection of questions
+ * @param {string} quizId - Quiz ID
+ */
+function startQuiz(quizId) {
+    const quiz = quizRegistry[quizId];
+    quiz.questions = window.QuizEngine.prepareQuiz(quiz.config);
+    quiz.index = 0;
+    quiz.results = [];
+    document.getElementById(`${quizId}Restart`).hidden = true;
+    renderQuizQuestion(quizId);
+}
+
+/**
+ * Initialize a quiz whose markup (see buildQuizMarkup) is on the page
+ * @param {object} config - Quiz entry (see quizzes.js)
+ */
+function initializeQuiz(config) {
+    const quizId = config.id;
+    if (!document.getElementById(`${quizId}Question`)) {
+        console.warn(`Quiz container not found for ${quizId}`);
+        return;
+    }
+
+    quizRegistry[quizId] = { config: config, questions: [], index: 0, results: [], answered: false };
+    document.getElementById(`${quizId}Submit`).addEventListener('click', () => submitQuizAnswer(quizId));
+    document.getElementById(`${quizId}Next`).addEventListener('click', () => nextQuizQuestion(quizId));
+    document.getElementById(`${quizId}Restart`).addEventListener('click', () => startQuiz(quizId));
+
+    renderQuizBest(quizId, window.PuzzleProgress.getQuiz(quizId).best);
+    startQuiz(quizId);
+}
+
+/**
+ * Load the quiz entries from window.QuizBank (quizzes.js)
+ * @returns {array} - Quiz entries (empty if no question bank is present)
+ */
+function loadQuizBank() {
+    const bank = window.QuizBank;
+    if (!bank || !Array.isArray(bank.quizzes)) {
+        return [];
+    }
+    return bank.quizzes.filter(entry => {
+        const valid = entry && entry.id && entry.page && Array.isArray(entry.questions);
+        if (!valid) {
+            console.warn('Skipping quiz entry without id, page or questions', entry);
+        }
+        return valid;
+    });
+}
+
+/**
+ * Render every quiz in the question bank that belongs to the current page
+ */
+function initializeQuizzesFromBank() {
+    if (!window.QuizEngine) return;
+    const currentPageName = getCurrentPageName();
+
+    loadQuizBank()
+        .filter(entry => entry.page === currentPageName)
+        .forEach(entry => {
+            const slot = document.querySelector(`[data-quiz="${entry.id}"]`);
+            if (!slot) {
+                console.warn(`Quiz placeholder not found for ${entry.id}`);
+                return;
+            }
+            slot.innerHTML = buildQuizMarkup(entry);
+            initializeQuiz(entry);
+        });
+}
+
+/**
+ * Render the homepage progress dashboard: overall completion, streaks, and
+ * each layer's puzzles with their status and best score, plus quiz results
+ */
+function renderProgressDashboard() {
+    const dashboard = document.getElementById('progressDashboard');
+    if (!dashboard) return;
+
+    const entries = loadPuzzleManifest();
+    const bestScores = window.PuzzleProgress.getBestScores();
+    const streaks = window.PuzzleProgress.getStreaks();
+    const statusLabels = { 'solved': 'Solved', 'in-progress': 'In progress', 'not-started': 'Not started' };
+
+    const records = entries.map(entry => window.PuzzleProgress.getPuzzle(entry.id));
+    const solvedCount = records.filter(record => record.solvedAt).length;
+    const percent = entries.length ? Math.round((solvedCount / entries.length) * 100) : 0;
+    const totalBest = entries.reduce((sum, entry) => sum + (bestScores[entry.id] || 0), 0);
+
+    // Group puzzles by OSI layer, lowest layer first
+    const layers = {};
+    entries.forEach((entry, i) => {
+        const layer = entry.layer || 0;
+        layers[layer] = layers[layer] || [];
+        layers[layer].push({ entry: entry, record: records[i] });
+    });
+    const quizzesByLayer = {};
+    loadQuizBank().forEach(quiz => {
+        const layer = quiz.layer || 0;
+        layers[layer] = layers[layer] || [];
+        quizzesByLayer[layer] = quizzesByLayer[layer] || [];
+        quizzesByLayer[layer].push(quiz);
+    });
+
+    const layerCards = Object.keys(layers).sort((a, b) => a - b).map(layer => {
+        const rows = layers[layer].map(item => {
+            const status = window.PuzzleProgress.getStatus(item.record);
+            const best = bestScores[item.entry.id];
+            return `
+                <li class="dashboard-puzzle">
+                    <a href="${item.entry.page}">${item.entry.title || item.entry.id}</a>
+                    <span class="status-badge status-${status}">${statusLabels[status]}</span>
+                    <span class="dashboard-score">${best ? `Best: ${best}` : '—'}</span>
+                </li>`;
+        }).join('') + (quizzesByLayer[layer] || []).map(quiz => {
+            const best = window.PuzzleProgress.getQuiz(quiz.id).best;
+            return `
+                <li class="dashboard-puzzle">
+                    <a href="${quiz.page}">${quiz.title || quiz.id}</a>
+                    <span class="status-badge status-${best ? 'solved' : 'not-started'}">${best ? 'Taken' : 'Not taken'}</span>
+                    <span class="dashboard-score">${best ? `Best: ${best.correct} / ${best.total}` : '—'}</span>
+                </li>`;
+        }).join('');
+        const solvedInLayer = layers[layer].filter(item => item.record.solvedAt).length;
+        return `
+            <div class="dashboard-layer">
+                <h4>Layer ${layer} <span class="dashboard-layer-count">${solvedInLayer} / ${layers[layer].length} solved</span></h4>
+                <ul class="dashboard-puzzles">${rows}</ul>
+            </div>`;
+    }).join('');
+
+    dashboard.innerHTML = `
+        <div class="dashboard-summary">
+            <div class="dashboard-stat">
+                <span class="dashboard-value">${percent}%</span>
+                <span class="dashboard-label">Complete (${solvedCount} of ${entries.length} puzzles)</span>
+            </div>
+            <div class="dashboard-stat">
+                <span class="dashboard-value">${totalBest}</span>
+                <span class="dashboard-label">Total best score</span>
+            </div>
+            <div class="dashboard-stat">
+                <span class="dashboard-value">${streaks.current}</span>
+                <span class="dashboard-label">Clean-solve streak (best ${streaks.best})</span>
+            </div>
+        </div>
+        <progress class="dashboard-progress" max="100" value="${percent}" aria-label="Overall completion">${percent}%</progress>
+        <div class="dashboard-layers">${layerCards}</div>
+        <div class="puzzle-controls">
+            <button class="btn btn-secondary" id="dashboardResetAll" type="button">Reset All Progress</button>
+        </div>`;
+
+    document.getElementById('dashboardResetAll').addEventListener('click', () => {
+        resetAllProgress();
+        renderProgressDashboard();
+    });
+}
+
+/**
+ * Build the steps of a TCP connection: three-way handshake, three data
+ * segments with sequence/ack numbers, and the FIN teardown. If a lost segment
+ * is never retransmitted, the server can't acknowledge the FIN past the hole,
+ * so the connection stalls and the client aborts it with a reset instead.
+ * @param {object} [options] - Simulation options
+ * @param {boolean} [options.loss] - Drop the second data segment
+ * @param {boolean} [options.retransmit] - Retransmit a dropped segment when its timer expires
+ * @returns {array} - Steps of { from, label, seq, ack, len, lost, note, client, server },
+ *   where from is 'client', 'server' or null (a timer event) and client/server
+ *   are the endpoint states once the step has happened
+ */
+function buildTcpScript(options = {}) {
+    const SEGMENT_SIZE = 100;
+    const clientIsn = 1000;
+    const serverIsn = 5000;
+    const steps = [];
+    const add = step => steps.push(Object.assign({ from: null, seq: null, ack: null, len: 0, lost: false }, step));
+
+    // Three-way handshake
+    add({ from: 'client', label: 'SYN', seq: clientIsn, client: 'SYN-SENT', server: 'SYN-RECEIVED',
+        note: `Client picks initial sequence number ${clientIsn} and asks to open a connection.` });
+    add({ from: 'server', label: 'SYN-ACK', seq: serverIsn, ack: clientIsn + 1, client: 'ESTABLISHED', server: 'SYN-RECEIVED',
+        note: `Server acknowledges ${clientIsn} (a SYN counts as one byte, so it expects ${clientIsn + 1}) and sends its own ISN ${serverIsn}.` });
+    add({ from: 'client', label: 'ACK', seq: clientIsn + 1, ack: serverIsn + 1, client: 'ESTABLISHED', server: 'ESTABLISHED',
+        note: 'Client acknowledges the server\'s SYN. Both sides are now ESTABLISHED.' });
+
+    // Data transfer: the server acknowledges the next byte it expects
+    let delivered = clientIsn + 1;
+    for (let i = 0; i < 3; i++) {
+        const seq = clientIsn + 1 + i * SEGMENT_SIZE;
+        const lost = options.loss && i === 1;
+        add({ from: 'client', label: `DATA ${i + 1}`, seq: seq, ack: serverIsn + 1, len: SEGMENT_SIZE, lost: lost,
+            client: 'ESTABLISHED', server: 'ESTABLISHED',
+            note: lost
+                ? `Segment ${i + 1} (bytes ${seq}–${seq + SEGMENT_SIZE - 1}) is lost in the network.`
+                : `Client sends ${SEGMENT_SIZE} bytes starting at sequence number ${seq}.` });
+
+        if (lost && options.retransmit) {
+            add({ label: 'Timeout', client: 'ESTABLISHED', server: 'ESTABLISHED',
+                note: `No ACK for byte ${seq} before the retransmission timer expired, so the client sends it again.` });
+            add({ from: 'client', label: `DATA ${i + 1} (retransmit)`, seq: seq, ack: serverIsn + 1, len: SEGMENT_SIZE,
+                client: 'ESTABLISHED', server: 'ESTABLISHED',
+                note: `Retransmission of bytes ${seq}–${seq + SEGMENT_SIZE - 1}.` });
+        }
+        if (lost && !options.retransmit) continue;
+
+        if (seq === delivered) {
+            delivered = seq + SEGMENT_SIZE;
+            add({ from: 'server', label: 'ACK', seq: serverIsn + 1, ack: delivered, client: 'ESTABLISHED', server: 'ESTABLISHED',
+                note: `Server has every byte up to ${delivered - 1} and asks for ${delivered} next.` });
+        } else {
+            add({ from: 'server', label: 'Duplicate ACK', seq: serverIsn + 1, ack: delivered, client: 'ESTABLISHED', server: 'ESTABLISHED',
+                note: `Segment arrived out of order. The server still asks for ${delivered}; bytes ${delivered}–${seq - 1} never arrived and nothing resends them.` });
+        }
+    }
+
+    const finSeq = clientIsn + 1 + 3 * SEGMENT_SIZE;
+    if (delivered !== finSeq) {
+        // The FIN sits after the missing bytes: the server can only keep asking for them
+        add({ from: 'client', label: 'FIN', seq: finSeq, ack: serverIsn + 1, client: 'FIN-WAIT-1', server: 'ESTABLISHED',
+            note: 'Client has nothing more to send and asks to close. The FIN arrives after the missing bytes, so the server holds it back.' });
+        add({ from: 'server', label: 'Duplicate ACK', seq: serverIsn + 1, ack: delivered, client: 'FIN-WAIT-1', server: 'ESTABLISHED',
+            note: `Server still asks for ${delivered}. It can't acknowledge the FIN, or any byte after the gap, until bytes ${delivered}–${delivered + SEGMENT_SIZE - 1} arrive.` });
+        add({ label: 'Stalled', client: 'FIN-WAIT-1', server: 'ESTABLISHED',
+            note: 'Retransmission is off, so the missing bytes never come and the FIN is never acknowledged.' });
+        add({ from: 'client', label: 'RST', seq: finSeq + 1, client: 'CLOSED', server: 'CLOSED',
+            note: `Client gives up and aborts the connection with a reset. The stream still has a hole at byte ${delivered}, so the transfer failed.` });
+        return steps;
+    }
+
+    // Four-way teardown
+    add({ from: 'client', label: 'FIN', seq: finSeq, ack: serverIsn + 1, client: 'FIN-WAIT-1', server: 'CLOSE-WAIT',
+        note: 'Client has nothing more to send and asks to close its half of the connection.' });
+    add({ from: 'server', label: 'ACK', seq: serverIsn + 1, ack: finSeq + 1, client: 'FIN-WAIT-2', server: 'CLOSE-WAIT',
+        note: 'Server acknowledges the FIN. It may still send data of its own.' });
+    add({ from: 'server', label: 'FIN', seq: serverIsn + 1, ack: finSeq + 1, client: 'TIME-WAIT', server: 'LAST-ACK',
+        note: 'Server closes its half too.' });
+    add({ from: 'client', label: 'ACK', seq: finSeq + 1, ack: serverIsn + 2, client: 'TIME-WAIT', server: 'CLOSED',
+        note: 'Connection closed. Every byte was delivered in order. The client waits (TIME-WAIT) in case its last ACK is lost.' });
+
+    return steps;
+}
+
+/**
+ * Build the steps of the same transfer over UDP: no handshake, no
+ * acknowledgements and no teardown
+ * @param {object} [options] - Simulation options
+ * @param {boolean} [options.loss] - Drop the second datagram
+ * @returns {array} - Steps shaped like buildTcpScript's (seq and ack are always null)
+ */
+function buildUdpScript(options = {}) {
+    const steps = [];
+    for (let i = 0; i < 3; i++) {
+        const lost = options.loss && i === 1;
+        steps.push({
+            from: 'client', label: `DATAGRAM ${i + 1}`, seq: null, ack: null, len: 100, lost: lost,
+            client: 'no connection', server: 'no connection',
+            note: lost
+                ? `Datagram ${i + 1} is lost. Neither side notices and nothing resends it.`
+                : `Client sends datagram ${i + 1} straight away: no handshake, no sequence number, no ACK.`
+        });
+    }
+    return steps;
+}
+
+/**
+ * Build the markup for one lane (TCP or UDP) of the transport simulator
+ * @param {string} id - Base name for element IDs
+ * @param {string} protocol - 'tcp' or 'udp'
+ * @returns {string} - HTML for the lane
+ */
+function buildSimulatorLane(id, protocol) {
+    const name = protocol.toUpperCase();
+    return `
+        <div class="sim-lane" id="${id}${name}Lane"${protocol === 'udp' ? ' hidden' : ''}>
+            <h4>${name}</h4>
+            <div class="sim-endpoints">
+                <span>Client <span class="sim-state" id="${id}${name}Client">CLOSED</span></span>
+                <span>Server <span class="sim-state" id="${id}${name}Server">${protocol === 'tcp' ? 'LISTEN' : 'no connection'}</span></span>
+            </div>
+            <ol class="sim-timeline" id="${id}${name}Timeline" aria-label="${name} segments sent so far"></ol>
+        </div>`;
+}
+
+/**
+ * Render one simulator step as a row of a timeline
+ * @param {HTMLElement} timeline - The lane's <ol class="sim-timeline">
+ * @param {object} step - A step from buildTcpScript or buildUdpScript
+ */
+function renderSimulatorStep(timeline, step) {
+    const row = document.createElement('li');
+    const numbers = [
+        step.seq !== null ? `seq=${step.seq}` : '',
+        step.ack !== null ? `ack=${step.ack}` : '',
+        step.len ? `len=${step.len}` : ''
+    ].filter(Boolean).join(' ');
+
+    row.className = `sim-step ${step.from ? `sim-from-${step.from}` : 'sim-event'}${step.lost ? ' sim-lost' : ''}`;
+    row.innerHTML = `
+        <span class="sim-message">
+            <strong>${step.label}</strong>${numbers ? ` <code>${numbers}</code>` : ''}${step.lost ? ' <span class="sim-lost-mark">✗ lost</span>' : ''}
+        </span>
+        <span class="sim-note">${step.note}</span>`;
+    timeline.appendChild(row);
+}
+
+/**
+ * Set up the TCP handshake/teardown simulator in a placeholder element.
+ * Students step (or play) through the connection, and can drop a segment,
+ * turn retransmission off, and run the same transfer over UDP side by side.
+ * @param {HTMLElement} container - The [data-simulator="tcp"] element
+ */
+function initializeTcpSimulator(container) {
+    const id = container.id || 'tcpSim';
+    container.innerHTML = `
+        <h3>Try It: TCP Handshake, Data and Teardown</h3>
+        <p class="diagram-caption">Step through a TCP connection one segment at a time. Drop a segment to see retransmission at work, or compare with UDP, which just sends.</p>
+        <div class="sim-controls">
+            <button class="btn btn-check" id="${id}Step">Step</button>
+            <button class="btn btn-secondary" id="${id}Play" aria-pressed="false">Play</button>
+            <button class="btn btn-secondary" id="${id}Reset">Reset</button>
+            <label class="sim-option"><input type="checkbox" id="${id}Loss" /> Lose a data segment</label>
+            <label class="sim-option"><input type="checkbox" id="${id}Retransmit" checked /> Retransmit on timeout</label>
+            <label class="sim-option"><input type="checkbox" id="${id}Udp" /> Compare with UDP</label>
+        </div>
+        <div class="sim-lanes">
+            ${buildSimulatorLane(id, 'tcp')}
+            ${buildSimulatorLane(id, 'udp')}
+        </div>
+        <p class="sim-status" id="${id}Status" aria-live="polite"></p>`;
+
+    const $ = suffix => document.getElementById(`${id}${suffix}`);
+    const sim = { position: 0, tcp: [], udp: [], timer: null };
+
+    const stopPlaying = () => {
+        clearInterval(sim.timer);
+        sim.timer = null;
+        $('Play').textContent = 'Play';
+        $('Play').setAttribute('aria-pressed', 'false');
+    };
+
+    const reset = () => {
+        stopPlaying();
+        const options = { loss: $('Loss').checked, retransmit: $('Retransmit').checked };
+        sim.position = 0;
+        sim.tcp = buildTcpScript(options);
+        sim.udp = buildUdpScript(options);
+        ['TCP', 'UDP'].forEach(name => {
+            $(`${name}Timeline`).innerHTML = '';
+            $(`${name}Client`).textContent = 'CLOSED';
+        });
+        $('TCPServer').textContent = 'LISTEN';
+        $('UDPClient').textContent = 'no connection';
+        $('UDPServer').textContent = 'no connection';
+        $('Step').disabled = false;
+        $('Status').textContent = `${sim.tcp.length} TCP steps ready. Press Step to send the first segment.`;
+    };
+
+    const step = () => {
+        const lanes = [['TCP', sim.tcp]];
+        if ($('Udp').checked) lanes.push(['UDP', sim.udp]);
+
+        const notes = [];
+        lanes.forEach(([name, script]) => {
+            const current = script[sim.position];
+            if (!current) return;
+            renderSimulatorStep($(`${name}Timeline`), current);
+            $(`${name}Client`).textContent = current.client;
+            $(`${name}Server`).textContent = current.server;
+            notes.push(`${name}: ${current.label}. ${current.note}`);
+        });
+
+        sim.position++;
+        if (sim.position >= sim.tcp.length) {
+            $('Step').disabled = true;
+            stopPlaying();
+        }
+        $('Status').textContent = notes.join(' ');
+    };
+
+    $('Step').addEventListener('click', step);
+    $('Reset').addEventListener('click', reset);
+    $('Play').addEventListener('click', () => {
+        if (sim.timer) {
+            stopPlaying();
+            return;
+        }
+        if (sim.position >= sim.tcp.length) reset();
+        $('Play').textContent = 'Pause';
+        $('Play').setAttribute('aria-pressed', 'true');
+        step();
+        sim.timer = setInterval(step, 1500);
+    });
+
+    // Changing an option restarts the simulation with the new script
+    ['Loss', 'Retransmit'].forEach(suffix => $(suffix).addEventListener('change', reset));
+    $('Udp').addEventListener('change', () => {
+        $('UDPLane').hidden = !$('Udp').checked;
+        reset();
+    });
+
+    reset();
+}
+
+/**
+ * Session-layer simulator actions, with the label shown on each button
+ */
+const SESSION_ACTIONS = {
+    open: 'Open session',
+    sendA: 'A sends data',
+    sendB: 'B sends data',
+    passToken: 'Pass token',
+    checkpoint: 'Insert checkpoint',
+    drop: 'Drop connection',
+    resume: 'Resume',
+    close: 'Close session'
+};
+
+/**
+ * Create a session simulator in its starting state
+ * @param {string} [duplex] - Dialog mode, 'half' (token passing) or 'full'
+ * @returns {object} - { state, id, nextId, duplex, token, sent, checkpoints }
+ */
+function createSession(duplex = 'half') {
+    return {
+        state: 'IDLE',
+        id: null,
+        nextId: 1,
+        duplex: duplex,
+        token: 'A',
+        sent: { A: 0, B: 0 },
+        checkpoints: []
+    };
+}
+
+/**
+ * Apply one action to a session: the session layer's state machine.
+ * IDLE/CLOSED --open--> ESTABLISHED --drop--> INTERRUPTED --resume--> ESTABLISHED,
+ * and ESTABLISHED/INTERRUPTED --close--> CLOSED. While ESTABLISHED, either side
+ * may send (only the token holder in half duplex) and checkpoints record how
+ * much each side had sent.
+ * @param {object} session - The current session (not modified)
+ * @param {string} action - One of the SESSION_ACTIONS keys
+ * @returns {object|null} - { session, message } after the transition, or null
+ *   if the action isn't allowed in the current state
+ */
+function sessionTransition(session, action) {
+    const next = Object.assign({}, session, {
+        sent: Object.assign({}, session.sent),
+        checkpoints: session.checkpoints.slice()
+    });
+    const established = session.state === 'ESTABLISHED';
+
+    switch (action) {
+        case 'open':
+            if (session.state !== 'IDLE' && session.state !== 'CLOSED') return null;
+            Object.assign(next, { state: 'ESTABLISHED', id: `S${session.nextId}`, nextId: session.nextId + 1,
+                token: 'A', sent: { A: 0, B: 0 }, checkpoints: [] });
+            return { session: next, message: `Session ${next.id} opened in ${session.duplex}-duplex mode${session.duplex === 'half' ? '; A holds the data token' : ''}.` };
+
+        case 'sendA':
+        case 'sendB': {
+            const side = action === 'sendA' ? 'A' : 'B';
+            if (!established || (session.duplex === 'half' && session.token !== side)) return null;
+            next.sent[side]++;
+            return { session: next, message: `${side} sends record ${side}${next.sent[side]}.` };
+        }
+
+        case 'passToken':
+            if (!established || session.duplex !== 'half') return null;
+            next.token = session.token === 'A' ? 'B' : 'A';
+            return { session: next, message: `${session.token} passes the data token to ${next.token}; only ${next.token} may send now.` };
+
+        case 'checkpoint':
+            if (!established) return null;
+            next.checkpoints.push({ number: session.checkpoints.length + 1, A: session.sent.A, B: session.sent.B });
+            return { session: next, message: `Checkpoint ${next.checkpoints.length} confirmed by both sides at A${session.sent.A} / B${session.sent.B}.` };
+
+        case 'drop':
+            if (!established) return null;
+            next.state = 'INTERRUPTED';
+            return { session: next, message: `The transport connection under session ${session.id} drops. The session's state survives.` };
+
+        case 'resume': {
+            if (session.state !== 'INTERRUPTED') return null;
+            const last = session.checkpoints[session.checkpoints.length - 1] || { number: 0, A: 0, B: 0 };
+            const lostA = session.sent.A - last.A;
+            const lostB = session.sent.B - last.B;
+            Object.assign(next, { state: 'ESTABLISHED', sent: { A: last.A, B: last.B } });
+            return {
+                session: next,
+                message: `Session ${session.id} resumes from ${last.number ? `checkpoint ${last.number}` : 'the start (no checkpoint yet)'}` +
+                    (lostA + lostB > 0 ? `; ${lostA} record(s) from A and ${lostB} from B must be sent again.` : '; nothing needs resending.')
+            };
+        }
+
+        case 'close':
+            if (!established && session.state !== 'INTERRUPTED') return null;
+            next.state = 'CLOSED';
+            return { session: next, message: `Session ${session.id} closed after A${session.sent.A} / B${session.sent.B}.` };
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * List the actions a session allows in its current state
+ * @param {object} session - The current session
+ * @returns {array} - SESSION_ACTIONS keys that sessionTransition would accept
+ */
+function getSessionActions(session) {
+    return Object.keys(SESSION_ACTIONS).filter(action => sessionTransition(session, action) !== null);
+}
+
+/**
+ * Set up the session-layer lifecycle simulator in a placeholder element.
+ * Every transition is drawn on the state diagram and logged.
+ * @param {HTMLElement} container - The [data-simulator="session"] element
+ */
+function initializeSessionSimulator(container) {
+    const id = container.id || 'sessionSim';
+    const states = ['IDLE', 'ESTABLISHED', 'INTERRUPTED', 'CLOSED'];
+    container.innerHTML = `
+        <h3>Try It: Drive a Session</h3>
+        <p class="diagram-caption">Open a session, exchange data, insert checkpoints, then drop the connection and resume from the last checkpoint. In half duplex only the side holding the token may send.</p>
+        <div class="sim-controls">
+            <label class="sim-option" for="${id}Duplex">Dialog control:
+                <select id="${id}Duplex">
+                    <option value="half">Half duplex (token)</option>
+                    <option value="full">Full duplex</option>
+                </select>
+            </label>
+        </div>
+        <ol class="session-states" aria-label="Session states">
+            ${states.map(state => `<li class="session-state" data-state="${state}">${state}</li>`).join('')}
+        </ol>
+        <div class="sim-controls" id="${id}Actions">
+            ${Object.keys(SESSION_ACTIONS).map(action =>
+                `<button class="btn btn-secondary" data-action="${action}">${SESSION_ACTIONS[action]}</button>`).join('')}
+        </div>
+        <p class="sim-status" id="${id}Summary"></p>
+        <ol class="session-log" id="${id}Log" aria-label="Session transitions" aria-live="polite"></ol>`;
+
+    const duplexSelect = document.getElementById(`${id}Duplex`);
+    const summary = document.getElementById(`${id}Summary`);
+    const log = document.getElementById(`${id}Log`);
+    let session = createSession(duplexSelect.value);
+
+    const render = () => {
+        const allowed = getSessionActions(session);
+        container.querySelectorAll('.session-state').forEach(node => {
+            node.classList.toggle('current', node.dataset.state === session.state);
+        });
+        container.querySelectorAll('[data-action]').forEach(button => {
+            button.disabled = allowed.indexOf(button.dataset.action) === -1;
+        });
+        // Dialog mode is negotiated when the session opens
+        duplexSelect.disabled = session.state === 'ESTABLISHED' || session.state === 'INTERRUPTED';
+
+        const last = session.checkpoints[session.checkpoints.length - 1];
+        summary.textContent = session.id
+            ? `Session ${session.id} · ${session.duplex} duplex` +
+              (session.duplex === 'half' ? ` · token: ${session.token}` : '') +
+              ` · sent A${session.sent.A} / B${session.sent.B}` +
+              ` · last checkpoint: ${last ? `${last.number} (A${last.A} / B${last.B})` : 'none'}`
+            : 'No session yet.';
+    };
+
+    container.querySelectorAll('[data-action]').forEach(button => {
+        button.addEventListener('click', () => {
+            const result = sessionTransition(session, button.dataset.action);
+            if (!result) return;
+
+            const entry = document.createElement('li');
+            entry.innerHTML = `<code>${session.state} → ${result.session.state}</code> ${result.message}`;
+            log.appendChild(entry);
+            session = result.session;
+            render();
+        });
+    });
+
+    duplexSelect.addEventListener('change', () => {
+        session = Object.assign({}, session, { duplex: duplexSelect.value });
+        render();
+    });
+
+    render();
+}
+
+/**
+ * Well-known ports the multiplexing playground can look up
+ */
+const WELL_KNOWN_PORTS = {
+    21: { service: 'FTP', protocol: 'TCP' },
+    22: { service: 'SSH', protocol: 'TCP' },
+    25: { service: 'SMTP', protocol: 'TCP' },
+    53: { service: 'DNS', protocol: 'UDP' },
+    80: { service: 'HTTP', protocol: 'TCP' },
+    123: { service: 'NTP', protocol: 'UDP' },
+    443: { service: 'HTTPS', protocol: 'TCP' }
+};
+
+const EPHEMERAL_PORT_MIN = 49152;
+const EPHEMERAL_PORT_MAX = 65535;
+
+/**
+ * Describe a port number: its service (if well known) and its range
+ * @param {number} port - Port number
+ * @returns {string} - e.g. '443: HTTPS over TCP (well-known port, 0–1023)'
+ */
+function describePort(port) {
+    port = Number(port);
+    if (!Number.isInteger(port) || port < 0 || port > EPHEMERAL_PORT_MAX) {
+        return `${port} is not a port: ports are whole numbers from 0 to ${EPHEMERAL_PORT_MAX}.`;
+    }
+
+    const known = WELL_KNOWN_PORTS[port];
+    const service = known ? `${known.service} over ${known.protocol}` : 'no common service';
+    let range = `ephemeral port, ${EPHEMERAL_PORT_MIN}–${EPHEMERAL_PORT_MAX}, picked by clients for outgoing connections`;
+    if (port < 1024) {
+        range = 'well-known port, 0–1023, reserved for standard services';
+    } else if (port < EPHEMERAL_PORT_MIN) {
+        range = `registered port, 1024–${EPHEMERAL_PORT_MIN - 1}`;
+    }
+    return `${port}: ${service} (${range})`;
+}
+
+/**
+ * Create the multiplexing playground's model: one client host, one server
+ * host, the server's listening ports and every open socket
+ * @returns {object} - { clientIp, serverIp, listening, sockets, nextSocketId }
+ */
+function createPortPlayground() {
+    return {
+        clientIp: '192.168.1.20',
+        serverIp: '203.0.113.10',
+        listening: [53, 80, 443],
+        sockets: [],
+        nextSocketId: 1
+    };
+}
+
+/**
+ * Find the lowest ephemeral port no client socket is using
+ * @param {object} playground - Playground model
+ * @returns {number|null} - A free port, or null if all are taken
+ */
+function findFreeEphemeralPort(playground) {
+    const used = playground.sockets.map(socket => socket.srcPort);
+    for (let port = EPHEMERAL_PORT_MIN; port <= EPHEMERAL_PORT_MAX; port++) {
+        if (used.indexOf(port) === -1) return port;
+    }
+    return null;
+}
+
+/**
+ * Open a client socket to a server port. Fails on an invalid source port, one
+ * already bound for the same protocol (a collision), and on a server port nothing listens on:
+ * TCP answers with RST, UDP with ICMP port unreachable.
+ * @param {object} playground - Playground model (a new socket is added to it)
+ * @param {string} app - Name of the client application
+ * @param {number} srcPort - Client (source) port
+ * @param {number} dstPort - Server (destination) port
+ * @returns {object} - { ok, reason, socket, message } where reason is null,
+ *   'invalid', 'collision' or 'refused'
+ */
+function openPortSocket(playground, app, srcPort, dstPort) {
+    const protocol = WELL_KNOWN_PORTS[dstPort] ? WELL_KNOWN_PORTS[dstPort].protocol : 'TCP';
+    if (!Number.isInteger(srcPort) || srcPort < 1 || srcPort > EPHEMERAL_PORT_MAX) {
+        return { ok: false, reason: 'invalid', socket: null, message: `${app}: source port must be 1–${EPHEMERAL_PORT_MAX}.` };
+    }
+
+    // TCP and UDP have separate port spaces, so only a same-protocol socket collides
+    const holder = playground.sockets.find(socket => socket.srcPort === srcPort && socket.protocol === protocol);
+    if (holder) {
+        return { ok: false, reason: 'collision', socket: null,
+            message: `${app}: port collision, ${protocol} port ${srcPort} is already bound by ${holder.app}. Pick another port.` };
+    }
+
+    if (playground.listening.indexOf(dstPort) === -1) {
+        const reply = protocol === 'TCP' ? 'RST (connection refused)' : 'ICMP port unreachable';
+        return { ok: false, reason: 'refused', socket: null,
+            message: `${app}: nothing listens on ${playground.serverIp}:${dstPort}, so the server answers ${reply}.` };
+    }
+
+    const socket = {
+        id: playground.nextSocketId++,
+        app: app,
+        protocol: protocol,
+        srcIp: playground.clientIp,
+        srcPort: srcPort,
+        dstIp: playground.serverIp,
+        dstPort: dstPort
+    };
+    playground.sockets.push(socket);
+    return { ok: true, reason: null, socket: socket,
+        message: `${app}: socket #${socket.id} ${protocol} ${socket.srcIp}:${srcPort} ↔ ${socket.dstIp}:${dstPort} open.` };
+}
+
+/**
+ * Close a client socket and free its source port
+ * @param {object} playground - Playground model
+ * @param {number} socketId - Socket to close
+ */
+function closePortSocket(playground, socketId) {
+    playground.sockets = playground.sockets.filter(socket => socket.id !== socketId);
+}
+
+/**
+ * Deliver an incoming segment to the socket whose 4-tuple matches it
+ * (source IP and port, destination IP and port)
+ * @param {object} playground - Playground model
+ * @param {object} segment - { protocol, srcIp, srcPort, dstIp, dstPort }
+ * @returns {object|null} - The matching socket, or null if none matches
+ */
+function demultiplexSegment(playground, segment) {
+    return playground.sockets.find(socket =>
+        socket.protocol === segment.protocol &&
+        socket.srcIp === segment.srcIp && socket.srcPort === segment.srcPort &&
+        socket.dstIp === segment.dstIp && socket.dstPort === segment.dstPort) || null;
+}
+
+/**
+ * Demultiplex an incoming segment and explain the lookup: every socket bound
+ * to the segment's protocol and server port is a candidate, and only the one
+ * whose client IP and port also match gets it. A segment no socket matches
+ * (a stale port, a socket already closed) is refused: TCP answers RST, UDP
+ * ICMP port unreachable.
+ * @param {object} playground - Playground model
+ * @param {object} segment - { protocol, srcIp, srcPort, dstIp, dstPort }
+ * @returns {object} - { match, candidates, reply, message } where match is
+ *   the socket or null, and reply is null (delivered), 'RST' or 'ICMP'
+ */
+function traceDemultiplex(playground, segment) {
+    const match = demultiplexSegment(playground, segment);
+    const candidates = playground.sockets.filter(socket =>
+        socket.protocol === segment.protocol && socket.dstIp === segment.dstIp && socket.dstPort === segment.dstPort);
+
+    const header = `${segment.protocol} segment ${segment.srcIp}:${segment.srcPort} → ${segment.dstIp}:${segment.dstPort}. `;
+    const lookup = candidates.length
+        ? `Sockets on port ${segment.dstPort}: ${candidates.map(socket =>
+            `#${socket.id} ${socket.app} (${socket.srcIp}:${socket.srcPort}) ${socket === match ? '✓' : '✗'}`).join(', ')}. `
+        : `No socket is open on ${segment.protocol} port ${segment.dstPort}. `;
+
+    if (match) {
+        return { match: match, candidates: candidates, reply: null,
+            message: `${header}${lookup}Delivered to socket #${match.id} (${match.app}); the reply goes back to port ${segment.srcPort}.` };
+    }
+    const reply = segment.protocol === 'TCP' ? 'RST' : 'ICMP';
+    return { match: null, candidates: candidates, reply: reply,
+        message: `${header}${lookup}No 4-tuple matches, so the server drops it and answers ` +
+            `${reply === 'RST' ? 'RST' : 'ICMP port unreachable'}.` };
+}
+
+/**
+ * Set up the port and socket multiplexing playground in a placeholder element.
+ * Several client apps connect to one server; each segment they send is
+ * matched to its socket by the 4-tuple. A segment can also be sent by hand
+ * with any client port, to see one that matches no socket get refused.
+ * @param {HTMLElement} container - The [data-simulator="ports"] element
+ */
+function initializePortPlayground(container) {
+    const id = container.id || 'portSim';
+    const playground = createPortPlayground();
+    const clients = [
+        { key: 'tab1', app: 'Browser tab 1', dstPort: 443 },
+        { key: 'tab2', app: 'Browser tab 2', dstPort: 443 },
+        { key: 'ssh', app: 'SSH client', dstPort: 22 },
+        { key: 'dns', app: 'DNS resolver', dstPort: 53 }
+    ];
+    const portOptions = Object.keys(WELL_KNOWN_PORTS)
+        .map(port => `<option value="${port}">${port} (${WELL_KNOWN_PORTS[port].service})</option>`).join('');
+
+    container.innerHTML = `
+        <h3>Try It: Ports, Sockets and Demultiplexing</h3>
+        <p class="diagram-caption">Give each client app a source port (or let the OS pick an ephemeral one), connect it to a service on the server, then send segments and watch the server hand each one to the socket whose 4-tuple matches.</p>
+        <div class="sim-lanes">
+            <div class="sim-lane">
+                <h4>Client ${playground.clientIp}</h4>
+                <table class="port-table">
+                    <thead><tr><th>App</th><th>Server port</th><th>Source port</th><th>Actions</th></tr></thead>
+                    <tbody>
+                        ${clients.map(client => `
+                        <tr data-client="${client.key}">
+                            <td>${client.app}</td>
+                            <td><select id="${id}${client.key}Dst" aria-label="${client.app} server port">${portOptions}</select></td>
+                            <td>
+                                <input type="number" class="port-input" id="${id}${client.key}Src" min="1" max="${EPHEMERAL_PORT_MAX}" aria-label="${client.app} source port" />
+                                <button class="btn btn-secondary" data-role="ephemeral">Ephemeral</button>
+                            </td>
+                            <td>
+                                <button class="btn btn-check" data-role="connect">Connect</button>
+                                <button class="btn btn-secondary" data-role="send" disabled>Send</button>
+                            </td>
+                        </tr>`).join('')}
+                    </tbody>
+                </table>
+            </div>
+            <div class="sim-lane">
+                <h4>Server ${playground.serverIp}</h4>
+                <fieldset class="port-listening">
+                    <legend>Listening ports</legend>
+                    ${Object.keys(WELL_KNOWN_PORTS).map(port => `
+                    <label class="sim-option"><input type="checkbox" value="${port}"${playground.listening.indexOf(Number(port)) !== -1 ? ' checked' : ''} /> ${port} ${WELL_KNOWN_PORTS[port].service}</label>`).join('')}
+                </fieldset>
+                <table class="port-table">
+                    <thead><tr><th>#</th><th>Proto</th><th>Remote (client)</th><th>Local (server)</th><th>App</th></tr></thead>
+                    <tbody id="${id}Sockets"></tbody>
+                </table>
+            </div>
+        </div>
+        <div class="sim-controls">
+            <label class="sim-option" for="${id}Lookup">Look up a port:
+                <input type="number" class="port-input" id="${id}Lookup" min="0" max="${EPHEMERAL_PORT_MAX}" placeholder="443" />
+            </label>
+            <output id="${id}LookupResult" for="${id}Lookup"></output>
+        </div>
+        <fieldset class="sim-controls port-craft">
+            <legend>Send a segment by hand (from ${playground.clientIp})</legend>
+            <label class="sim-option" for="${id}CraftSrc">Source port
+                <input type="number" class="port-input" id="${id}CraftSrc" min="1" max="${EPHEMERAL_PORT_MAX}" placeholder="49152" />
+            </label>
+            <label class="sim-option" for="${id}CraftDst">Server port
+                <select id="${id}CraftDst">${portOptions}</select>
+            </label>
+            <button class="btn btn-check" id="${id}CraftSend">Send Segment</button>
+        </fieldset>
+        <ol class="session-log" id="${id}Log" aria-label="Segments and socket events" aria-live="polite"></ol>`;
+
+    const log = document.getElementById(`${id}Log`);
+    const socketTable = document.getElementById(`${id}Sockets`);
+    const addLog = (message, kind) => {
+        const entry = document.createElement('li');
+        if (kind) entry.className = `port-log-${kind}`;
+        entry.textContent = message;
+        log.appendChild(entry);
+    };
+
+    const craftSrc = document.getElementById(`${id}CraftSrc`);
+    const craftDst = document.getElementById(`${id}CraftDst`);
+    craftDst.value = '443';
+
+    const renderSockets = (highlightId) => {
+        socketTable.innerHTML = playground.sockets.map(socket => `
+            <tr class="${socket.id === highlightId ? 'port-match' : ''}">
+                <td>${socket.id}</td><td>${socket.protocol}</td>
+                <td>${socket.srcIp}:${socket.srcPort}</td><td>${socket.dstIp}:${socket.dstPort}</td>
+                <td>${socket.app}</td>
+            </tr>`).join('') || '<tr><td colspan="5">No open sockets</td></tr>';
+    };
+
+    const sendSegment = (segment) => {
+        const trace = traceDemultiplex(playground, segment);
+        addLog(trace.message, trace.match ? null : 'error');
+        renderSockets(trace.match ? trace.match.id : null);
+    };
+
+    clients.forEach(client => {
+        const row = container.querySelector(`[data-client="${client.key}"]`);
+        const dstSelect = document.getElementById(`${id}${client.key}Dst`);
+        const srcInput = document.getElementById(`${id}${client.key}Src`);
+        const connectBtn = row.querySelector('[data-role="connect"]');
+        const sendBtn = row.querySelector('[data-role="send"]');
+        dstSelect.value = String(client.dstPort);
+
+        const setConnected = socket => {
+            client.socket = socket;
+            connectBtn.textContent = socket ? 'Close' : 'Connect';
+            sendBtn.disabled = !socket;
+            srcInput.disabled = Boolean(socket);
+            dstSelect.disabled = Boolean(socket);
+            row.querySelector('[data-role="ephemeral"]').disabled = Boolean(socket);
+        };
+
+        row.querySelector('[data-role="ephemeral"]').addEventListener('click', () => {
+            srcInput.value = findFreeEphemeralPort(playground);
+        });
+
+        connectBtn.addEventListener('click', () => {
+            if (client.socket) {
+                closePortSocket(playground, client.socket.id);
+                addLog(`${client.app}: socket #${client.socket.id} closed, port ${client.socket.srcPort} is free again.`);
+                // Ready to send a late segment to the socket that just closed
+                craftSrc.value = client.socket.srcPort;
+                craftDst.value = String(client.socket.dstPort);
+                setConnected(null);
+                renderSockets();
+                return;
+            }
+
+            // Like the OS, pick an ephemeral port when the app didn't bind one
+            if (srcInput.value === '') srcInput.value = findFreeEphemeralPort(playground);
+            const result = openPortSocket(playground, client.app, Number(srcInput.value), Number(dstSelect.value));
+            addLog(result.message, result.ok ? null : 'error');
+            if (result.ok) setConnected(result.socket);
+            renderSockets();
+        });
+
+        sendBtn.addEventListener('click', () => {
+            const socket = client.socket;
+            sendSegment({ protocol: socket.protocol, srcIp: socket.srcIp, srcPort: socket.srcPort, dstIp: socket.dstIp, dstPort: socket.dstPort });
+        });
+    });
+
+    document.getElementById(`${id}CraftSend`).addEventListener('click', () => {
+        const srcPort = Number(craftSrc.value);
+        const dstPort = Number(craftDst.value);
+        if (craftSrc.value === '' || !Number.isInteger(srcPort) || srcPort < 1 || srcPort > EPHEMERAL_PORT_MAX) {
+            addLog(`Source port must be 1–${EPHEMERAL_PORT_MAX}.`, 'error');
+            return;
+        }
+        sendSegment({ protocol: WELL_KNOWN_PORTS[dstPort].protocol, srcIp: playground.clientIp, srcPort: srcPort,
+            dstIp: playground.serverIp, dstPort: dstPort });
+    });
+
+    container.querySelectorAll('.port-listening input').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            const port = Number(checkbox.value);
+            playground.listening = playground.listening.filter(listening => listening !== port);
+            if (checkbox.checked) playground.listening.push(port);
+            addLog(`Server ${checkbox.checked ? 'now listens' : 'stops listening'} on port ${port}` +
+                (checkbox.checked ? '.' : '; open sockets stay up, new connections are refused.'));
+        });
+    });
+
+    const lookup = document.getElementById(`${id}Lookup`);
+    lookup.addEventListener('input', () => {
+        document.getElementById(`${id}LookupResult`).textContent = lookup.value === '' ? '' : describePort(lookup.value);
+    });
+
+    renderSockets();
+}
+
+/**
+ * Set up every interactive simulator on the page. Each placeholder names
+ * its simulator: <section data-simulator="tcp"></section>
+ */
+function initializeSimulators() {
+    const simulators = {
+        tcp: initializeTcpSimulator,
+        session: initializeSessionSimulator,
+        ports: initializePortPlayground
+    };
+
+    document.querySelectorAll('[data-simulator]').forEach(container => {
+        const setup = simulators[container.dataset.simulator];
+        if (setup) {
+            setup(container);
+        } else {
+            console.warn(`Unknown simulator "${container.dataset.simulator}"`);
+        }
+    });
+}
+
+/**
+ * Initialize page on DOM ready
+ */
+document.addEventListener('DOMContentLoaded', () => {
+    // Shared header, homepage layer cards and layer pages, from layers.js.
+    // These come first: everything below looks for the markup they create.
+    renderSiteHeader();
+    renderLayerCards();
+    renderLayerPage();
+    renderGlossaryPage();
+
+    // Keyboard shortcuts (shortcuts.js), and the homepage's list of them
+    registerShortcuts();
+    renderShortcutList();
+
+    // Header search box (search.js)
+    initializeSearch();
+
+    // Header dark mode toggle and the homepage theme settings
+    initializeDarkMode();
+    renderThemeSettings();
+
+    // Toasts for puzzle events (listening before puzzles restore their progress)
+    initializeNotifications();
+
+    // Offline cache and install manifest (sw.js), for pages served over http(s)
+    initializeOfflineSupport();
+
+    // Render puzzles listed in the manifest for this page
+    initializePuzzlesFromManifest();
+
+    // Render this page's quizzes from the question bank
+    initializeQuizzesFromBank();
+
+    // Interactive protocol simulators
+    initializeSimulators();
+
+    // Glossary tooltips on layer pages, once puzzles have set up their cover texts
+    applyGlossaryTerms();
+    initializeGlossaryTooltips();
+
+    // Homepage progress dashboard, kept in sync with other open tabs
+    renderProgressDashboard();
+    window.addEventListener('storage', (e) => {
+        if (e.key === window.PuzzleProgress.STORAGE_KEY) renderProgressDashboard();
+    });
+
+    // Navigation active state
+    updateActiveNavLink();
+
+    // Handle window resize to update active nav link
+    window.addEventListener('resize', updateActiveNavLink);
+});
+
+/**
+ * Update active nav link based on current page: a layer link (data-layer)
+ * is active on its layer's page, other links when they name the current file
+ */
+function updateActiveNavLink() {
+    const layer = getCurrentLayer();
+    const currentPageName = getCurrentPageName();
+
+    document.querySelectorAll('.nav-link').forEach(link => {
+        const active = link.dataset.layer
+            ? Boolean(layer) && link.dataset.layer === String(layer.number)
+            : !layer && link.getAttribute('href') === currentPageName;
+
+        link.classList.toggle('active', active);
+        if (active) {
+            link.setAttribute('aria-current', 'page');
+        } else {
+            link.removeAttribute('aria-current');
+        }
+    });
+}
+
+/**
+ * Register the site's keyboard shortcuts with the shortcut manager
+ * (shortcuts.js). Scoped shortcuts only work on pages that have the scope's
+ * elements. Entries without a handler only document keys that the page's own
+ * controls handle, so they appear in the help overlay.
+ * Without shortcuts.js the default keys still work through a plain keydown
+ * listener; they just can't be listed or changed.
+ */
+function registerShortcuts() {
+    const shortcuts = window.ShortcutManager;
+    if (shortcuts && shortcuts.getBinding('showShortcuts')) return;
+
+    const scopes = {
+        puzzle: { label: 'Cipher puzzles', selector: '.puzzle-container' },
+        glossary: { label: 'Glossary terms', selector: '.glossary-wrap' }
+    };
+    const bindings = [
+        {
+            id: 'showShortcuts',
+            key: '?',
+            description: 'Show keyboard shortcuts',
+            handler: openShortcutHelp,
+            remappable: false
+        },
+        {
+            id: 'toggleTheme',
+            key: 'd',
+            description: 'Toggle dark mode',
+            handler: toggleDarkMode
+        },
+        {
+            id: 'focusSearch',
+            key: '/',
+            description: 'Search every layer (arrow keys pick a result, Enter opens it, Esc closes)',
+            handler: focusSearch
+        },
+        {
+            id: 'moveFocus',
+            display: 'Tab',
+            description: 'Move between cipher chips, buttons and links'
+        },
+        // One binding for every puzzle on the page: it acts on the puzzle in use
+        {
+            id: 'revealAll',
+            key: 'r',
+            scope: 'puzzle',
+            description: 'Reveal every letter of the puzzle',
+            handler: (e, puzzle) => {
+                const chips = puzzle.querySelector('.cipher-chips');
+                if (chips && document.getElementById(chips.id.replace(/Chips$/, 'RevealAll'))) {
+                    revealAllChips(chips.id);
+                }
+            }
+        },
+        {
+            id: 'flipChip',
+            display: 'Space / Enter',
+            scope: 'puzzle',
+            description: 'Reveal or hide the focused cipher chip'
+        },
+        {
+            id: 'hideDefinition',
+            key: 'Escape',
+            scope: 'glossary',
+            description: 'Hide the definition tooltip',
+            handler: dismissGlossaryTooltips,
+            remappable: false
+        }
+    ];
+
+    if (shortcuts) {
+        Object.keys(scopes).forEach(name => shortcuts.defineScope(name, scopes[name]));
+        bindings.forEach(binding => shortcuts.register(binding));
+        return;
+    }
+
+    // The help overlay needs the registry, so '?' is left out here
+    document.addEventListener('keydown', (e) => {
+        if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey || isTextInputFocused(e)) return;
+
+        const key = e.key && e.key.length === 1 ? e.key.toLowerCase() : e.key;
+        const binding = bindings.find(candidate => candidate.key === key && candidate.handler && candidate.id !== 'showShortcuts');
+        if (!binding) return;
+
+        const selector = binding.scope ? scopes[binding.scope].selector : null;
+        const scopeElement = selector
+            ? (document.activeElement && document.activeElement.closest(selector)) || document.querySelector(selector)
+            : document;
+        if (!scopeElement || binding.handler(e, scopeElement) === false) return;
+        e.preventDefault();
+    });
+}
+
+/**
+ * Append a binding's key to an element as <kbd> elements
+ * @param {HTMLElement} parent - Element to append to
+ * @param {object} binding - Binding from ShortcutManager.getBindings()
+ */
+function appendShortcutKeys(parent, binding) {
+    const text = binding.display || (binding.key === 'Escape' ? 'Esc' : binding.key);
+    text.split(' / ').forEach((part, i) => {
+        if (i > 0) parent.appendChild(document.createTextNode(' or '));
+        const kbd = document.createElement('kbd');
+        kbd.textContent = part;
+        parent.appendChild(kbd);
+    });
+}
+
+/**
+ * Render the homepage's shortcut list (#shortcutList) from the registry,
+ * so it always shows the keys the student has chosen
+ */
+function renderShortcutList() {
+    const list = document.getElementById('shortcutList');
+    if (!list || !window.ShortcutManager) return;
+
+    list.textContent = '';
+    window.ShortcutManager.getBindings()
+        .filter(binding => !binding.conflict)
+        .forEach(binding => {
+            const item = document.createElement('li');
+            appendShortcutKeys(item, binding);
+            item.appendChild(document.createTextNode(` — ${binding.description}`));
+            if (binding.scope !== 'global') {
+                const scope = document.createElement('span');
+                scope.className = 'shortcut-scope';
+                scope.textContent = ` (${binding.scopeLabel.toLowerCase()})`;
+                item.appendChild(scope);
+            }
+            list.appendChild(item);
+        });
+}
+
+/**
+ * Fill the help overlay with the shortcuts active on this page, grouped by
+ * scope. Remappable shortcuts get a Change button.
+ * @param {HTMLElement} overlay - The #shortcutHelp element
+ */
+function renderShortcutHelp(overlay) {
+    const container = overlay.querySelector('.shortcut-groups');
+    const groups = {};
+    window.ShortcutManager.getBindings()
+        .filter(binding => binding.active)
+        .forEach(binding => {
+            groups[binding.scopeLabel] = groups[binding.scopeLabel] || [];
+            groups[binding.scopeLabel].push(binding);
+        });
+
+    container.textContent = '';
+    Object.keys(groups).forEach(label => {
+        const heading = document.createElement('h3');
+        heading.className = 'shortcut-group-heading';
+        heading.textContent = label;
+
+        const list = document.createElement('ul');
+        list.className = 'shortcut-group';
+        groups[label].forEach(binding => {
+            const item = document.createElement('li');
+            item.className = binding.conflict ? 'shortcut-item conflict' : 'shortcut-item';
+
+            const keys = document.createElement('span');
+            keys.className = 'shortcut-keys';
+            if (binding.key || binding.display) appendShortcutKeys(keys, binding);
+
+            const description = document.createElement('span');
+            description.className = 'shortcut-description';
+            description.textContent = binding.conflict
+                ? `${binding.description} (off: its key is taken by another shortcut)`
+                : binding.description;
+
+            item.append(keys, description);
+            if (binding.remappable) {
+                item.insertAdjacentHTML('beforeend', `<button type="button" class="btn btn-secondary shortcut-change" data-binding="${binding.id}">Change</button>`);
+                item.lastElementChild.setAttribute('aria-label', `Change the key for: ${binding.description}`);
+            }
+            list.appendChild(item);
+        });
+
+        container.append(heading, list);
+    });
+}
+
+/**
+ * Wait for the next key press and make it the binding's key. Escape cancels.
+ * @param {HTMLElement} overlay - The #shortcutHelp element
+ * @param {HTMLElement} button - The binding's Change button
+ */
+function captureShortcutKey(overlay, button) {
+    const status = overlay.querySelector('.shortcut-status');
+    const id = button.dataset.binding;
+    const description = window.ShortcutManager.getBinding(id).description;
+
+    button.textContent = 'Press a key…';
+    button.classList.add('capturing');
+    status.textContent = `Press the new key for "${description}", or Esc to cancel.`;
+
+    const onKey = (e) => {
+        if (e.key === 'Shift' || e.key === 'Control' || e.key === 'Alt' || e.key === 'Meta') return;
+        e.preventDefault();
+        e.stopPropagation();
+        overlay.removeEventListener('keydown', onKey, true);
+
+        if (e.key === 'Escape') {
+            status.textContent = 'Key unchanged.';
+        } else {
+            const result = window.ShortcutManager.setKey(id, e.key);
+            if (result.ok) {
+                status.textContent = `"${description}" is now ${window.ShortcutManager.getBinding(id).key}.`;
+            } else if (result.reason === 'conflict') {
+                status.textContent = `${e.key} is already used for "${window.ShortcutManager.getBinding(result.conflict).description}". Pick another key.`;
+            } else {
+                status.textContent = 'Shortcuts must be a single letter, digit or symbol. Pick another key.';
+            }
+        }
+
+        renderShortcutHelp(overlay);
+        renderShortcutList();
+        const again = overlay.querySelector(`.shortcut-change[data-binding="${id}"]`);
+        if (again) again.focus();
+    };
+    overlay.addEventListener('keydown', onKey, true);
+}
+
+/**
+ * Create the keyboard shortcut help overlay (a modal dialog)
+ * @returns {HTMLElement} - The overlay, appended to <body>
+ */
+function buildShortcutHelp() {
+    const overlay = document.createElement('div');
+    overlay.className = 'shortcut-overlay';
+    overlay.id = 'shortcutHelp';
+    overlay.hidden = true;
+    overlay.innerHTML = `
+        <div class="shortcut-dialog" role="dialog" aria-modal="true" aria-labelledby="shortcutHelpTitle">
+            <div class="shortcut-dialog-header">
+                <h2 id="shortcutHelpTitle">Keyboard Shortcuts</h2>
+                <button type="button" class="shortcut-close" aria-label="Close keyboard shortcuts">×</button>
+            </div>
+            <div class="shortcut-groups"></div>
+            <p class="shortcut-status" role="status" aria-live="polite"></p>
+            <div class="shortcut-dialog-footer">
+                <button type="button" class="btn btn-secondary shortcut-reset">Reset to defaults</button>
+            </div>
+        </div>
+    `;
+
+    overlay.addEventListener('click', (e) => {
+        const change = e.target.closest('.shortcut-change');
+        if (change) {
+            captureShortcutKey(overlay, change);
+        } else if (e.target.closest('.shortcut-reset')) {
+            window.ShortcutManager.resetKeys();
+            renderShortcutHelp(overlay);
+            renderShortcutList();
+            overlay.querySelector('.shortcut-status').textContent = 'All shortcuts are back to their default keys.';
+        } else if (e.target === overlay || e.target.closest('.shortcut-close')) {
+            closeShortcutHelp();
+        }
+    });
+
+    // Escape closes; Tab stays inside the dialog
+    overlay.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            closeShortcutHelp();
+        } else if (e.key === 'Tab') {
+            const focusable = overlay.querySelectorAll('button');
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+            if (e.shiftKey && document.activeElement === first) {
+                e.preventDefault();
+                last.focus();
+            } else if (!e.shiftKey && document.activeElement === last) {
+                e.preventDefault();
+                first.focus();
+            }
+        }
+    });
+
+    document.body.appendChild(overlay);
+    return overlay;
+}
+
+// Element focused before the help overlay opened, to return focus to on close
+let shortcutHelpReturnFocus = null;
+
+/**
+ * Open the keyboard shortcut help overlay (the '?' shortcut). Shortcuts are
+ * paused while it is open, so keys can be captured for remapping.
+ */
+function openShortcutHelp() {
+    const overlay = document.getElementById('shortcutHelp') || buildShortcutHelp();
+    if (!overlay.hidden) return;
+
+    shortcutHelpReturnFocus = document.activeElement;
+    renderShortcutHelp(overlay);
+    overlay.querySelector('.shortcut-status').textContent = '';
+    overlay.hidden = false;
+    window.ShortcutManager.setEnabled(false);
+    overlay.querySelector('.shortcut-close').focus();
+}
+
+/**
+ * Close the keyboard shortcut help overlay and return focus to where it was
+ */
+function closeShortcutHelp() {
+    const overlay = document.getElementById('shortcutHelp');
+    if (!overlay || overlay.hidden) return;
+
+    overlay.hidden = true;
+    window.ShortcutManager.setEnabled(true);
+    if (shortcutHelpReturnFocus && shortcutHelpReturnFocus.focus) {
+        shortcutHelpReturnFocus.focus();
+    }
+    shortcutHelpReturnFocus = null;
+}
+
+/**
+ * Turn puzzle events into toast notifications: a puzzle solved (the first
+ * time only), a hint unlocked by a wrong guess, and saved progress restored
+ * on page load
+ */
+function initializeNotifications() {
+    document.addEventListener('puzzleguess', (e) => {
+        if (!e.detail.firstSolve) return;
+        showNotification(`Puzzle solved! You scored ${e.detail.score} points.`, {
+            severity: 'success',
+            id: `solved-${e.detail.puzzleId}`
+        });
+    });
+
+    document.addEventListener('puzzlehintunlocked', (e) => {
+        showNotification('Stuck? A hint is now available: press the Hint button below the puzzle.', {
+            id: `hint-${e.detail.puzzleId}`
+        });
+    });
+
+    // One message for however many puzzles on the page had saved progress
+    const restored = new Set();
+    document.addEventListener('puzzlerestored', (e) => {
+        restored.add(e.detail.puzzleId);
+        const what = restored.size === 1 ? 'this puzzle' : `${restored.size} puzzles`;
+        showNotification(`Welcome back! Your progress on ${what} has been restored.`, { id: 'progress-restored' });
+    });
+}
+
+/**
+ * Offline support: links the web app manifest and registers sw.js, which
+ * caches the site so it keeps working without a network. Service workers
+ * only run on http(s) pages, so a page opened from disk (file://) skips
+ * both and works as before.
+ * When a new version of sw.js has installed, a toast offers to reload into
+ * it; the new version only takes over once the student chooses Reload.
+ * @returns {Promise<object|null>} - The ServiceWorkerRegistration, or null
+ *   if offline support is unavailable
+ */
+function initializeOfflineSupport() {
+    if (window.location.protocol !== 'http:' && window.location.protocol !== 'https:') {
+        return Promise.resolve(null);
+    }
+
+    if (!document.querySelector('link[rel="manifest"]')) {
+        const manifest = document.createElement('link');
+        manifest.rel = 'manifest';
+        manifest.href = 'manifest.webmanifest';
+        document.head.appendChild(manifest);
+    }
+
+    if (!('serviceWorker' in navigator)) return Promise.resolve(null);
+
+    let reloadRequested = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (!reloadRequested) return;
+        reloadRequested = false;
+        window.location.reload();
+    });
+
+    const promptToReload = (worker) => {
+        showNotification('New content is available. Reload to get the latest version.', {
+            id: 'update-available',
+            duration: 0,
+            action: {
+                label: 'Reload',
+                handler: () => {
+                    reloadRequested = true;
+                    worker.postMessage({ type: 'SKIP_WAITING' });
+                }
+            }
+        });
+    };
+
+    return navigator.serviceWorker.register('sw.js').then(registration => {
+        // A new version that installed during an earlier visit is still waiting
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            promptToReload(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                if (worker.state !== 'installed') return;
+
+                // With no worker in control yet, this is the first install, not an update
+                if (navigator.serviceWorker.controller) {
+                    promptToReload(worker);
+                } else {
+                    showNotification('This site is now saved for offline use.', { severity: 'success', id: 'offline-ready' });
+                }
+            });
+        });
+        return registration;
+    }).catch(err => {
+        console.warn('Offline support unavailable:', err);
+        return null;
+    });
+}
+
+/**
+ * Keyboard accessibility: Tab key navigation hints
+ * (Subtle: a toast on the first Tab press ever, pointing to the shortcut list)
+ */
+let hasShownKeyboardHint = null;
+try {
+    hasShownKeyboardHint = localStorage.getItem('keyboardHintShown');
+} catch (err) {
+    // Storage blocked (e.g. for a page opened from disk): show the tip once per page
+}
+document.addEventListener('keydown', (e) => {
+    if (e.key === 'Tab' && !hasShownKeyboardHint && !isTextInputFocused(e)) {
+        hasShownKeyboardHint = 'true';
+        try {
+            localStorage.setItem('keyboardHintShown', 'true');
+        } catch (err) {
+            // Storage blocked: the tip comes back on the next page
+        }
+        // '?' opens the help overlay only when shortcuts.js is loaded
+        const tip = window.ShortcutManager
+            ? 'Tip: press ? at any time to see every keyboard shortcut.'
+            : 'Tip: the keyboard shortcuts are listed on the homepage, under Keyboard Shortcuts.';
+        showNotification(tip, { duration: 6000, id: 'keyboard-tip' });
+    }
+});
+
+/**
+ * Show a toast notification (see toast.js). Without toast.js the message
+ * is only logged to the console.
+ * @param {string} message - Text to show
+ * @param {object} [options] - Toast options: severity ('info', 'success',
+ *   'warning', 'error'), duration in ms (0 stays until dismissed), id
+ *   (replaces an earlier toast with the same id) and action ({ label, handler }
+ *   for a button on the toast)
+ * @returns {string|null} - The toast's id, or null if no toast was shown
+ */
+function showNotification(message, options = {}) {
+    if (!window.Toast) {
+        console.log(`[Notification] ${message}`);
+        return null;
+    }
+    return window.Toast.show(message, options);
+}
+
+/* ========== README / Deployment Notes (in comments) ==========
+
+DEPLOYMENT GUIDE:
+
+This is a pure static HTML/CSS/JS site with no build tools or backend required.
+
+### Option 1: GitHub Pages
+1. Create a new GitHub repository named `<username>.github.io` or push to `<project-name>/docs`
+2. Push the files (index.html, glossary.html, layer.html, layer4.html, layer5.html, styles.css, app.js, baconian.js, layers.js, search.js, glossary.js, shortcuts.js, theme.js, toast.js, worksheet.js, puzzles.js, quiz.js, quizzes.js, progress.js, sw.js, manifest.webmanifest, icon.svg) to `main` branch
+3. In repository settings, enable "GitHub Pages" and select the branch
+4. Site will be live at `https://<username>.github.io` or `https://<username>.github.io/<project-name>`
+
+### Option 2: Netlify
+1. Push code to a Git repository (GitHub, GitLab, Bitbucket)
+2. Go to netlify.com, click "New site from Git", authorize your repo
+3. Set build command to: (none/empty) and publish directory to: (root or .)
+4. Deploy — Netlify will serve the static files immediately
+
+### Option 3: Vercel
 1. Push code to GitHub
 2. Go to vercel.com, import your Git project
 3. No build configuration needed; accept defaults
@@ -345,13 +3679,42 @@ This is a pure static HTML/CSS/JS site with no build tools or backend required.
 ### Option 4: Traditional Web Host
 1. Upload all files to your hosting via FTP/SFTP:
    - index.html
+   - glossary.html
+   - layer.html
    - layer4.html
    - layer5.html
    - styles.css
    - app.js
    - baconian.js
+   - layers.js
+   - search.js
+   - glossary.js
+   - shortcuts.js
+   - theme.js
+   - toast.js
+   - worksheet.js
+   - puzzles.js
+   - quiz.js
+   - quizzes.js
+   - progress.js
+   - sw.js
+   - manifest.webmanifest
+   - icon.svg
 2. Ensure all HTML files point to relative paths (./styles.css, etc.)
 3. Keep directory structure flat (no subfolders needed)
+4. If your host lets you set a MIME type per extension, serve .webmanifest
+   as application/manifest+json
+
+### Offline Support (sw.js)
+- Over http(s), app.js registers sw.js, which caches every page and script on
+  the first visit; after that the site loads without a network
+- Cached files are served at once and refreshed in the background, so an edit
+  reaches returning visitors on their second load
+- Bump CACHE_VERSION in sw.js to switch them over sooner: visitors then get a
+  "New content is available" toast with a Reload button
+- A new page or script must also be added to PRECACHE_URLS in sw.js (and
+  CACHE_VERSION bumped)
+- Opening index.html from disk (file://) skips the service worker entirely
 
 ### Browser Support
 - Modern browsers (Chrome, Firefox, Safari, Edge)
@@ -366,9 +3729,10 @@ This is a pure static HTML/CSS/JS site with no build tools or backend required.
 - Total bundle: ~60KB uncompressed (very fast)
 
 ### Customization
-- Edit content in layer4.html and layer5.html
+- Edit layer content in layers.js (layer4.html, layer5.html and layer.html are thin shells)
+- Bump CACHE_VERSION in sw.js after an edit to offer returning visitors the reload prompt
 - Modify colors in styles.css CSS custom properties (:root)
-- Change cipher plaintexts by modifying baconian.js encodings
+- Change cipher plaintexts by editing the puzzle entries in puzzles.js
 - All code is well-commented for easy updates
 
 ========== END README ==========
@@ -9,17 +9,84 @@
  *   - Binary 0 -> 'A', Binary 1 -> 'B'.
  *   - Example: R (index 17) = 10001 binary = 'BAAAB'
  * 
- * This module provides three main functions:
+ * Alphabets (the optional `alphabet` argument of most functions):
+ *   - 'binary26' (default): all 26 letters, index 0-25 as above.
+ *   - 'bacon24': Bacon's original table, where I/J and U/V share a group,
+ *     so only 24 indices (0-23) are used. Example: R (index 16) = 'BAAAA'
+ * 
+ * This module provides these main functions:
  *   - decodeGroup(abGroup): Decodes a 5-character A/B string to a single letter.
  *   - decodeGroups(arrayOfGroups): Decodes an array of 5-char groups to plaintext.
+ *   - encodeLetter(letter): Encodes a single letter to its 5-character A/B group.
+ *   - encodeText(plaintext): Encodes plaintext to an array of 5-char groups.
+ *   - generatePuzzle(plaintext): Builds the groups and chip-card markup for a puzzle.
  *   - normalizePlaintext(input): Normalizes user input for comparison (uppercase, no spaces).
+ *   - compareGuess(guess, answer): Marks each guess letter correct / present / absent.
+ *   - editDistance(a, b): Counts single-letter edits (incl. swaps) between two words.
+ *   - getAlphabet(mode): Looks up an alphabet table ('binary26' or 'bacon24').
+ *   - encodeCover(coverText, plaintext): Spreads the A/B stream over the letters
+ *     of a cover text (steganographic mode: the stream lives in the typeface).
+ *   - splitStream(stream): Splits a continuous A/B stream into 5-char groups.
+ *   - explainGroup(abGroup): Breaks a group's decoding into steps (bits, weights, sum).
+ * 
+ * The module touches no window or document, so it runs anywhere:
+ *   - Browser: <script src="baconian.js"> defines BaconianCipher.
+ *   - Node (CommonJS): const BaconianCipher = require('./baconian.js');
+ *   - Node (ESM): import BaconianCipher from './baconian.js';
+ * Its tests live in test/ (run `npm test`).
  * 
  * No external dependencies. Pure JavaScript.
  */
 
-// Prevent re-initialization in case this script is loaded multiple times
-if (typeof window.BaconianCipher === 'undefined') {
-    window.BaconianCipher = {};
+(function(root, factory) {
+    const BaconianCipher = factory();
+
+    // Node / CommonJS (ESM importers get this as the default export)
+    if (typeof module === 'object' && module.exports) {
+        module.exports = BaconianCipher;
+    }
+
+    // Browser global. Prevent re-initialization in case this script is loaded multiple times
+    if (root && typeof root.BaconianCipher === 'undefined') {
+        root.BaconianCipher = BaconianCipher;
+    }
+})(typeof window !== 'undefined' ? window : null, function() {
+    const BaconianCipher = {};
+
+    /**
+     * Alphabet tables. `letters[index]` is the letter for a 5-bit index;
+     * `merged` maps letters that share another letter's group.
+     */
+    BaconianCipher.ALPHABETS = {
+        binary26: {
+            id: 'binary26',
+            name: '26-letter binary table',
+            letters: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+            merged: {},
+            description: 'This puzzle uses the 26-letter binary table: every letter A–Z has its own group, from AAAAA (A) to BBAAB (Z).',
+            hint: 'Then count through the alphabet from A = 0.'
+        },
+        bacon24: {
+            id: 'bacon24',
+            name: "Bacon's 24-letter table",
+            letters: 'ABCDEFGHIKLMNOPQRSTUWXYZ',
+            merged: { J: 'I', V: 'U' },
+            description: "This puzzle uses Bacon's original 24-letter table: I and J share ABAAA, and U and V share BAABB, so every letter after I sits one place earlier than in the 26-letter table.",
+            hint: "Then count through Bacon's 24 letters from A = 0, skipping J and V (they share I's and U's groups)."
+        }
+    };
+
+    BaconianCipher.DEFAULT_ALPHABET = 'binary26';
+
+    /**
+     * Looks up an alphabet table by mode.
+     * @param {string} [mode] - 'binary26' or 'bacon24'. Defaults to 'binary26'.
+     * @returns {object} - The alphabet table (unknown modes fall back to the default).
+     */
+    BaconianCipher.getAlphabet = function(mode) {
+        const alphabets = BaconianCipher.ALPHABETS;
+        return alphabets[mode] || alphabets[BaconianCipher.DEFAULT_ALPHABET];
+    };
 
     /**
      * Converts an A/B string to a letter.
@@ -27,10 +94,12 @@ if (typeof window.BaconianCipher === 'undefined') {
      * Example: BAAAB (10001 binary) = 17 decimal = 'R'
      * 
      * @param {string} abGroup - A 5-character string of 'A' and 'B' characters.
+     * @param {string} [alphabet] - Alphabet mode ('binary26' or 'bacon24').
      * @returns {string} - A single uppercase letter (A-Z), or '?' if invalid.
+     *   In 'bacon24' the shared groups decode to I and U.
      * Modified per user request: flip-chip & spacing improvements
      */
-    window.BaconianCipher.decodeGroup = function(abGroup) {
+    BaconianCipher.decodeGroup = function(abGroup, alphabet) {
         // Validate input
         if (!abGroup || typeof abGroup !== 'string') {
             return '?';
@@ -55,50 +124,288 @@ if (typeof window.BaconianCipher === 'undefined') {
             }
         }
 
-        // Convert binary string to decimal (MSB first, index 0-25)
+        // Convert binary string to decimal (MSB first, index 0-25 or 0-23)
         const index = parseInt(binaryStr, 2);
 
-        // Validate index is within A-Z range (0-25)
-        if (index < 0 || index > 25) {
+        // Validate index is within the alphabet's range
+        const letters = BaconianCipher.getAlphabet(alphabet).letters;
+        if (index < 0 || index >= letters.length) {
             return '?';
         }
 
-        // Convert index to letter (A=65 in ASCII)
-        return String.fromCharCode(65 + index);
+        // Convert index to letter
+        return letters[index];
     };
 
     /**
      * Decodes an array of 5-character A/B groups to plaintext.
      * @param {array} groups - Array of 5-character A/B strings.
+     * @param {string} [alphabet] - Alphabet mode ('binary26' or 'bacon24').
      * @returns {string} - Decoded plaintext (uppercase).
      */
-    window.BaconianCipher.decodeGroups = function(groups) {
+    BaconianCipher.decodeGroups = function(groups, alphabet) {
         if (!Array.isArray(groups)) {
             return '';
         }
-        return groups.map(group => window.BaconianCipher.decodeGroup(group)).join('');
+        return groups.map(group => BaconianCipher.decodeGroup(group, alphabet)).join('');
+    };
+
+    /**
+     * Converts a letter to its A/B group. Exact inverse of decodeGroup.
+     * Example: 'R' = 17 decimal = 10001 binary = BAAAB
+     * 
+     * @param {string} letter - A single letter (case-insensitive).
+     * @param {string} [alphabet] - Alphabet mode ('binary26' or 'bacon24').
+     * @returns {string} - A 5-character A/B group, or '' if not a letter A-Z.
+     *   In 'bacon24' J encodes like I and V encodes like U.
+     */
+    BaconianCipher.encodeLetter = function(letter, alphabet) {
+        if (!letter || typeof letter !== 'string' || letter.length !== 1) {
+            return '';
+        }
+
+        // Fold merged letters (J -> I, V -> U) and look up the letter's index
+        const table = BaconianCipher.getAlphabet(alphabet);
+        const upper = letter.toUpperCase();
+        const index = table.letters.indexOf(table.merged[upper] || upper);
+        if (index < 0) {
+            return '';
+        }
+
+        // Convert index to 5-bit binary (MSB first), then binary to A/B (0=A, 1=B)
+        return index.toString(2).padStart(5, '0').replace(/0/g, 'A').replace(/1/g, 'B');
+    };
+
+    /**
+     * Encodes plaintext to an array of 5-character A/B groups.
+     * Non-alphabetic characters are dropped (see normalizePlaintext).
+     * @param {string} plaintext - Text to encode.
+     * @param {string} [alphabet] - Alphabet mode ('binary26' or 'bacon24').
+     * @returns {array} - Array of 5-character A/B strings, one per letter.
+     */
+    BaconianCipher.encodeText = function(plaintext, alphabet) {
+        const normalized = BaconianCipher.normalizePlaintext(plaintext);
+        return normalized.split('').map(letter => BaconianCipher.encodeLetter(letter, alphabet));
+    };
+
+    /**
+     * Builds the flip-card markup for a single cipher chip.
+     * @param {string} group - A 5-character A/B group.
+     * @param {string} [alphabet] - Alphabet mode ('binary26' or 'bacon24').
+     * @returns {string} - HTML for one .chip-card button.
+     */
+    BaconianCipher.buildChipMarkup = function(group, alphabet) {
+        const normalized = String(group).toUpperCase();
+        const letter = BaconianCipher.decodeGroup(normalized, alphabet);
+        return `<button class="chip-card" type="button" aria-pressed="false" aria-label="Decode group ${normalized}" data-group="${normalized}">` +
+            '<span class="chip-inner">' +
+                `<span class="chip-front">${normalized}</span>` +
+                `<span class="chip-back" aria-hidden="true">${letter}</span>` +
+            '</span>' +
+        '</button>';
+    };
+
+    /**
+     * Generates a complete puzzle from plaintext.
+     * @param {string} plaintext - The answer the puzzle should decode to.
+     * @param {string} [alphabet] - Alphabet mode ('binary26' or 'bacon24').
+     * @returns {object} - { plaintext, alphabet, groups, markup } where markup is
+     *   the chip-card HTML for the .cipher-chips container.
+     */
+    BaconianCipher.generatePuzzle = function(plaintext, alphabet) {
+        const table = BaconianCipher.getAlphabet(alphabet);
+        const normalized = BaconianCipher.normalizePlaintext(plaintext, table.id);
+        const groups = BaconianCipher.encodeText(normalized, table.id);
+        return {
+            plaintext: normalized,
+            alphabet: table.id,
+            groups: groups,
+            markup: groups.map(group => BaconianCipher.buildChipMarkup(group, table.id)).join('\n')
+        };
+    };
+
+    /**
+     * Breaks the decoding of one group into the steps decodeGroup performs.
+     * Example: BAAAB -> bits 10001 -> 16 + 1 = 17 -> 'R'
+     * 
+     * @param {string} abGroup - A 5-character string of 'A' and 'B' characters.
+     * @param {string} [alphabet] - Alphabet mode ('binary26' or 'bacon24').
+     * @returns {object|null} - { group, binary, bits, weights, terms, runningSums, index,
+     *   letter, valid, maxIndex }, where terms are the weights of the 1 bits and
+     *   runningSums the total after each bit; null if the group is not 5 A/B characters.
+     */
+    BaconianCipher.explainGroup = function(abGroup, alphabet) {
+        if (!abGroup || typeof abGroup !== 'string' || !/^[AB]{5}$/i.test(abGroup)) {
+            return null;
+        }
+
+        const group = abGroup.toUpperCase();
+        const weights = [16, 8, 4, 2, 1];
+        const bits = group.split('').map(char => (char === 'B' ? 1 : 0));
+        const runningSums = [];
+        bits.reduce((sum, bit, i) => {
+            runningSums.push(sum + bit * weights[i]);
+            return sum + bit * weights[i];
+        }, 0);
+        const index = runningSums[4];
+        const letter = BaconianCipher.decodeGroup(group, alphabet);
+
+        return {
+            group: group,
+            binary: bits.join(''),
+            bits: bits,
+            weights: weights,
+            terms: weights.filter((weight, i) => bits[i] === 1),
+            runningSums: runningSums,
+            index: index,
+            letter: letter,
+            valid: letter !== '?',
+            maxIndex: BaconianCipher.getAlphabet(alphabet).letters.length - 1
+        };
+    };
+
+    /**
+     * Spreads a message's A/B stream over the letters of a cover text, one bit
+     * per letter, as in Bacon's original biliteral cipher. Letters carrying an
+     * 'A' are printed in the normal face and letters carrying a 'B' in the
+     * contrasting face; spaces, punctuation and leftover letters carry nothing.
+     * 
+     * @param {string} coverText - The innocent text that hides the message.
+     * @param {string} plaintext - The message to hide.
+     * @param {string} [alphabet] - Alphabet mode ('binary26' or 'bacon24').
+     * @returns {array|null} - One { char, bit } per cover character, where bit is
+     *   'A', 'B' or null; null if the cover has too few letters for the message.
+     */
+    BaconianCipher.encodeCover = function(coverText, plaintext, alphabet) {
+        if (typeof coverText !== 'string') {
+            return null;
+        }
+
+        const stream = BaconianCipher.encodeText(plaintext, alphabet).join('');
+        const letterCount = coverText.replace(/[^a-zA-Z]/g, '').length;
+        if (letterCount < stream.length) {
+            return null;
+        }
+
+        let position = 0;
+        return coverText.split('').map(char => {
+            const carries = /[a-zA-Z]/.test(char) && position < stream.length;
+            return { char: char, bit: carries ? stream[position++] : null };
+        });
+    };
+
+    /**
+     * Splits a continuous A/B stream into 5-character groups.
+     * A trailing partial group is dropped.
+     * @param {string} stream - A string of 'A' and 'B' characters.
+     * @returns {array} - Array of 5-character A/B strings.
+     */
+    BaconianCipher.splitStream = function(stream) {
+        if (!stream || typeof stream !== 'string') {
+            return [];
+        }
+        return stream.toUpperCase().match(/.{5}/g) || [];
     };
 
     /**
      * Normalizes plaintext for comparison: uppercase, remove spaces and punctuation.
+     * With an alphabet, merged letters are folded too ('bacon24': J -> I, V -> U).
      * @param {string} input - User input string.
+     * @param {string} [alphabet] - Alphabet mode ('binary26' or 'bacon24').
      * @returns {string} - Normalized plaintext.
      */
-    window.BaconianCipher.normalizePlaintext = function(input) {
+    BaconianCipher.normalizePlaintext = function(input, alphabet) {
         if (!input || typeof input !== 'string') {
             return '';
         }
         // Remove all non-alphabetic characters, convert to uppercase
-        return input.replace(/[^a-zA-Z]/g, '').toUpperCase();
+        const normalized = input.replace(/[^a-zA-Z]/g, '').toUpperCase();
+        const merged = BaconianCipher.getAlphabet(alphabet).merged;
+        return normalized.replace(/[A-Z]/g, letter => merged[letter] || letter);
+    };
+
+    /**
+     * Marks each letter of a guess against the answer, Wordle-style.
+     * Both strings are normalized first. Repeated letters are only marked
+     * 'present' as many times as they still occur unmatched in the answer.
+     * @param {string} guess - The student's guess.
+     * @param {string} answer - The expected plaintext.
+     * @param {string} [alphabet] - Alphabet mode ('binary26' or 'bacon24').
+     * @returns {array} - One { letter, status } per guess letter, where status is
+     *   'correct' (right position), 'present' (wrong position) or 'absent'.
+     */
+    BaconianCipher.compareGuess = function(guess, answer, alphabet) {
+        const guessLetters = BaconianCipher.normalizePlaintext(guess, alphabet).split('');
+        const answerLetters = BaconianCipher.normalizePlaintext(answer, alphabet).split('');
+        const unmatched = {};
+
+        // First pass: exact positions, and count the answer letters left over
+        const result = guessLetters.map((letter, i) => {
+            if (letter === answerLetters[i]) {
+                return { letter: letter, status: 'correct' };
+            }
+            if (i < answerLetters.length) {
+                unmatched[answerLetters[i]] = (unmatched[answerLetters[i]] || 0) + 1;
+            }
+            return { letter: letter, status: 'absent' };
+        });
+        for (let i = guessLetters.length; i < answerLetters.length; i++) {
+            unmatched[answerLetters[i]] = (unmatched[answerLetters[i]] || 0) + 1;
+        }
+
+        // Second pass: letters in the answer but in another position
+        result.forEach(mark => {
+            if (mark.status === 'absent' && unmatched[mark.letter] > 0) {
+                mark.status = 'present';
+                unmatched[mark.letter]--;
+            }
+        });
+
+        return result;
+    };
+
+    /**
+     * Counts the single-letter edits (insert, delete, substitute, or swap two
+     * neighbouring letters) needed to turn one word into another.
+     * Example: editDistance('RELABLE', 'RELIABLE') = 1 (missing I)
+     * @param {string} a - First word.
+     * @param {string} b - Second word.
+     * @returns {number} - The edit distance.
+     */
+    BaconianCipher.editDistance = function(a, b) {
+        a = String(a || '');
+        b = String(b || '');
+        const d = [];
+        for (let i = 0; i <= a.length; i++) {
+            d[i] = [i];
+        }
+        for (let j = 0; j <= b.length; j++) {
+            d[0][j] = j;
+        }
+
+        for (let i = 1; i <= a.length; i++) {
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+                if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+                }
+            }
+        }
+
+        return d[a.length][b.length];
     };
 
     /**
      * Validates if a string is a valid Baconian cipher group.
+     * A group is valid when it is five A/B characters whose index exists in
+     * the alphabet (0-25 for 'binary26', 0-23 for 'bacon24').
      * @param {string} group - A potential 5-character A/B group.
+     * @param {string} [alphabet] - Alphabet mode ('binary26' or 'bacon24').
      * @returns {boolean} - True if valid, false otherwise.
      * Modified per user request: flip-chip & spacing improvements
      */
-    window.BaconianCipher.isValidGroup = function(group) {
+    BaconianCipher.isValidGroup = function(group, alphabet) {
         if (!group || typeof group !== 'string' || group.length !== 5) {
             return false;
         }
@@ -108,94 +415,28 @@ if (typeof window.BaconianCipher === 'undefined') {
                 return false;
             }
         }
-        return true;
+        return BaconianCipher.decodeGroup(group, alphabet) !== '?';
     };
 
     /**
-     * Self-test: Verify the decoder works for known test cases.
-     * Outputs results to console.
+     * Lists every group of an alphabet for mapping legends.
+     * @param {string} [alphabet] - Alphabet mode ('binary26' or 'bacon24').
+     * @returns {array} - Rows of { index, binary, group, letter } where letter
+     *   shows shared letters together (e.g. 'I/J').
      */
-    window.BaconianCipher.runTests = function() {
-        const testCases = [
-            { input: 'BAAAB', expected: 'R', description: 'R (10001)' },
-            { input: 'AABAA', expected: 'E', description: 'E (00100)' },
-            { input: 'BAABA', expected: 'S', description: 'S (10010)' },
-            { input: 'AAAAA', expected: 'A', description: 'A (00000)' },
-            { input: 'AAAAB', expected: 'B', description: 'B (00001)' },
-            { input: 'ABBBA', expected: 'O', description: 'O (01110)' },
-        ];
-
-        let passed = 0;
-        let failed = 0;
-
-        console.log('%c=== Baconian Cipher Decoder Tests ===', 'color: #3498db; font-weight: bold;');
-
-        testCases.forEach(test => {
-            const result = window.BaconianCipher.decodeGroup(test.input);
-            if (result === test.expected) {
-                console.log(`✓ ${test.description}: ${test.input} → '${result}'`);
-                passed++;
-            } else {
-                console.warn(`✗ ${test.description}: ${test.input} → '${result}' (expected '${test.expected}')`);
-                failed++;
-            }
-        });
-
-        // Test normalizePlaintext
-        const normTests = [
-            { input: 'Hello World!', expected: 'HELLOWORLD' },
-            { input: 'ReliAbLE', expected: 'RELIABLE' },
-            { input: 'SeSsIoN', expected: 'SESSION' },
-        ];
-
-        normTests.forEach(test => {
-            const result = window.BaconianCipher.normalizePlaintext(test.input);
-            if (result === test.expected) {
-                console.log(`✓ Normalize: '${test.input}' → '${result}'`);
-                passed++;
-            } else {
-                console.warn(`✗ Normalize: '${test.input}' → '${result}' (expected '${test.expected}')`);
-                failed++;
-            }
+    BaconianCipher.getMappingRows = function(alphabet) {
+        const table = BaconianCipher.getAlphabet(alphabet);
+        return table.letters.split('').map((letter, index) => {
+            const binary = index.toString(2).padStart(5, '0');
+            const shared = Object.keys(table.merged).filter(key => table.merged[key] === letter);
+            return {
+                index: index,
+                binary: binary,
+                group: binary.replace(/0/g, 'A').replace(/1/g, 'B'),
+                letter: [letter].concat(shared).join('/')
+            };
         });
+    };
 
-        // Test decodeGroups
-        const reliableGroups = ['BAAAB', 'AABAA', 'ABABB', 'ABAAA', 'AAAAA', 'AAAAB', 'ABABB', 'AABAA'];
-        const reliableResult = window.BaconianCipher.decodeGroups(reliableGroups);
-        if (reliableResult === 'RELIABLE') {
-            console.log(`✓ Decode Groups: RELIABLE puzzle decoded correctly`);
-            passed++;
-        } else {
-            console.warn(`✗ Decode Groups: RELIABLE puzzle decoded to '${reliableResult}'`);
-            failed++;
-        }
-
-        const sessionGroups = ['BAABA', 'AABAA', 'BAABA', 'BAABA', 'ABAAA', 'ABBBA', 'ABBAB'];
-        const sessionResult = window.BaconianCipher.decodeGroups(sessionGroups);
-        if (sessionResult === 'SESSION') {
-            console.log(`✓ Decode Groups: SESSION puzzle decoded correctly`);
-            passed++;
-        } else {
-            console.warn(`✗ Decode Groups: SESSION puzzle decoded to '${sessionResult}'`);
-            failed++;
-        }
-
-        console.log(`%c=== Tests Complete: ${passed} passed, ${failed} failed ===`, 
-            failed === 0 ? 'color: #27ae60; font-weight: bold;' : 'color: #e74c3c; font-weight: bold;');
-
-        return { passed, failed };
-    };
-
-    // Attach test runner to window for manual invocation if needed
-    window.BaconianCipher.test = window.BaconianCipher.runTests;
-}
-
-// Run tests on page load if we're in a browser environment
-if (typeof window !== 'undefined' && document.readyState === 'loading') {
-    document.addEventListener('DOMContentLoaded', () => {
-        window.BaconianCipher.runTests();
-    });
-} else if (typeof window !== 'undefined') {
-    // If DOM is already loaded, run immediately
-    window.BaconianCipher.runTests();
-}
+    return BaconianCipher;
+});
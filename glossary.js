@@ -0,0 +1,236 @@
+/**
+ * glossary.js
+ *
+ * Glossary for the OSI Model educational website.
+ *
+ * app.js looks for each term in the content sections of the current layer
+ * page and turns its first use in each section into a link to glossary.html
+ * with a tooltip showing the definition. glossary.html lists every term,
+ * with links back to the sections (from layers.js) that use it.
+ *
+ * Entry fields:
+ *   - id (required): Unique term ID, used as the anchor on glossary.html
+ *     (e.g. 'mss' -> glossary.html#mss).
+ *   - term (required): The term as it is usually written.
+ *   - aliases: Other spellings or forms to match (e.g. the expanded name, or
+ *     an irregular plural). A trailing "s" is always matched too.
+ *   - definition (required): Plain-text definition, one or two sentences.
+ *   - layer: OSI layer number the term belongs to (1-7).
+ *
+ * Terms written entirely in capitals (TCP, MSS) only match in capitals;
+ * other terms match in any case.
+ *
+ * Like puzzles.js, this is a plain script so the site works from disk.
+ */
+
+window.Glossary = {
+    version: 1,
+    terms: [
+        {
+            id: 'attenuation',
+            term: 'attenuation',
+            definition: 'The gradual weakening of a signal as it travels along a cable or through the air. It limits how long a link can be.',
+            layer: 1
+        },
+        {
+            id: 'crosstalk',
+            term: 'crosstalk',
+            definition: 'Interference caused when the signal on one wire pair leaks into a neighbouring pair.',
+            layer: 1
+        },
+        {
+            id: 'manchester-encoding',
+            term: 'Manchester encoding',
+            definition: 'A line code that puts a transition in the middle of every bit, so the receiver can recover the clock from the data itself.',
+            layer: 1
+        },
+        {
+            id: 'baud-rate',
+            term: 'baud rate',
+            definition: 'The number of signal changes (symbols) sent per second. When each symbol carries several bits, the bit rate is higher than the baud rate.',
+            layer: 1
+        },
+        {
+            id: 'mac-address',
+            term: 'MAC address',
+            aliases: ['MAC addresses'],
+            definition: 'The 48-bit hardware address of a network interface, used to deliver frames on a local network.',
+            layer: 2
+        },
+        {
+            id: 'vlan',
+            term: 'VLAN',
+            definition: 'Virtual LAN: a group of switch ports that behaves as its own separate broadcast domain.',
+            layer: 2
+        },
+        {
+            id: 'arp',
+            term: 'ARP',
+            definition: 'Address Resolution Protocol: finds the MAC address that belongs to an IP address on the local network.',
+            layer: 2
+        },
+        {
+            id: 'fcs',
+            term: 'FCS',
+            aliases: ['Frame Check Sequence'],
+            definition: 'Frame Check Sequence: a CRC checksum at the end of a frame that lets the receiver detect damaged frames.',
+            layer: 2
+        },
+        {
+            id: 'nat',
+            term: 'NAT',
+            definition: 'Network Address Translation: lets many devices with private addresses share one public IP address.',
+            layer: 3
+        },
+        {
+            id: 'ttl',
+            term: 'TTL',
+            aliases: ['time to live'],
+            definition: 'Time to live: a counter in every IP packet that each router decrements. The packet is dropped at zero, so it cannot loop forever.',
+            layer: 3
+        },
+        {
+            id: 'icmp',
+            term: 'ICMP',
+            definition: 'Internet Control Message Protocol: carries error reports and diagnostics such as ping alongside IP.',
+            layer: 3
+        },
+        {
+            id: 'routing-table',
+            term: 'routing table',
+            definition: 'The list of destination networks a router knows, with the next hop and interface to use for each.',
+            layer: 3
+        },
+        {
+            id: 'ipsec',
+            term: 'IPsec',
+            definition: 'A suite of protocols that authenticates and encrypts IP packets, often used for VPNs.',
+            layer: 3
+        },
+        {
+            id: 'tcp',
+            term: 'TCP',
+            definition: 'Transmission Control Protocol: a connection-oriented transport protocol that delivers a reliable, ordered byte stream.',
+            layer: 4
+        },
+        {
+            id: 'udp',
+            term: 'UDP',
+            definition: 'User Datagram Protocol: a connectionless transport protocol that sends individual datagrams with no delivery guarantee.',
+            layer: 4
+        },
+        {
+            id: 'socket',
+            term: 'socket',
+            definition: 'One endpoint of a connection: an IP address plus a port number (and protocol).',
+            layer: 4
+        },
+        {
+            id: 'multiplexing',
+            term: 'multiplexing',
+            definition: 'Letting many applications share one network connection, with port numbers telling their traffic apart.',
+            layer: 4
+        },
+        {
+            id: 'window-size',
+            term: 'window size',
+            definition: 'In TCP, how many more bytes a receiver says it can accept. Senders must not have more unacknowledged data in flight than this.',
+            layer: 4
+        },
+        {
+            id: 'mss',
+            term: 'MSS',
+            aliases: ['maximum segment size'],
+            definition: 'Maximum segment size: the largest payload, in bytes, a host will accept in a single TCP segment. Each side announces it during the handshake.',
+            layer: 4
+        },
+        {
+            id: 'checkpoint',
+            term: 'checkpoint',
+            definition: 'A synchronization point in a session that both sides agree on, so an interrupted session can resume from there.',
+            layer: 5
+        },
+        {
+            id: 'half-duplex',
+            term: 'half duplex',
+            aliases: ['half-duplex'],
+            definition: 'A dialog in which only one side may send at a time; the sides take turns, often by passing a token.',
+            layer: 5
+        },
+        {
+            id: 'rpc',
+            term: 'RPC',
+            aliases: ['Remote Procedure Call'],
+            definition: 'Remote Procedure Call: lets a program call a function on another computer as if it were local.',
+            layer: 5
+        },
+        {
+            id: 'sip',
+            term: 'SIP',
+            aliases: ['Session Initiation Protocol'],
+            definition: 'Session Initiation Protocol: sets up, changes and ends voice and video calls.',
+            layer: 5
+        },
+        {
+            id: 'netbios',
+            term: 'NetBIOS',
+            definition: 'An older networking interface whose session service let computers on a LAN open named sessions, mainly for Windows file and printer sharing.',
+            layer: 5
+        },
+        {
+            id: 'tls',
+            term: 'TLS',
+            definition: 'Transport Layer Security: encrypts and authenticates a connection; the "S" in HTTPS.',
+            layer: 6
+        },
+        {
+            id: 'utf-8',
+            term: 'UTF-8',
+            definition: 'The most common character encoding on the web. It can represent every Unicode character and matches ASCII for English text.',
+            layer: 6
+        },
+        {
+            id: 'base64',
+            term: 'Base64',
+            definition: 'A way of writing binary data using only 64 printable characters, so it can travel through text-only systems such as email.',
+            layer: 6
+        },
+        {
+            id: 'json',
+            term: 'JSON',
+            definition: 'JavaScript Object Notation: a text format for structured data, widely used by web APIs.',
+            layer: 6
+        },
+        {
+            id: 'http',
+            term: 'HTTP',
+            aliases: ['HTTPS'],
+            definition: 'Hypertext Transfer Protocol: the request/response protocol of the web. HTTPS is HTTP carried over TLS.',
+            layer: 7
+        },
+        {
+            id: 'dns',
+            term: 'DNS',
+            definition: 'Domain Name System: translates names such as example.com into IP addresses.',
+            layer: 7
+        },
+        {
+            id: 'smtp',
+            term: 'SMTP',
+            definition: 'Simple Mail Transfer Protocol: sends email between mail servers.',
+            layer: 7
+        },
+        {
+            id: 'dhcp',
+            term: 'DHCP',
+            definition: 'Dynamic Host Configuration Protocol: gives a device its IP address and network settings when it joins a network.',
+            layer: 7
+        },
+        {
+            id: 'ssh',
+            term: 'SSH',
+            definition: 'Secure Shell: an encrypted protocol for logging in to and running commands on a remote computer.',
+            layer: 7
+        }
+    ]
+};
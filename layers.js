@@ -0,0 +1,670 @@
+/**
+ * layers.js
+ *
+ * Layer registry for the OSI Model educational website: one entry per OSI
+ * layer, from which app.js renders the shared header/nav, the homepage layer
+ * cards and each layer page (title, breadcrumb, content sections, simulator
+ * placeholders and puzzle/quiz slots).
+ *
+ * Layer pages are thin shells. layer4.html and layer5.html name their layer
+ * with <body data-layer="4">; the other layers share one template,
+ * layer.html, and pick their layer from the query string (layer.html?layer=1).
+ *
+ * Entry fields:
+ *   - number (required): OSI layer number (1-7).
+ *   - name (required): Layer name (e.g. 'Transport').
+ *   - page (required): The layer's URL, as used by the `page` field of
+ *     puzzles.js and quizzes.js entries (e.g. 'layer4.html', 'layer.html?layer=1').
+ *   - description: Meta description for the page.
+ *   - summary: Text of the layer's card on the homepage.
+ *   - sections: Content sections, in page order. Each has a `type`:
+ *       - 'text' (default): { id, heading, label, html }. `id` is the <h3>
+ *         anchor, so sections can be linked to (layer4.html#analogy).
+ *       - 'diagram': Like 'text', plus a `caption` shown above the html.
+ *       - 'simulator': { simulator, id, label } renders an empty
+ *         [data-simulator] placeholder for app.js to fill in.
+ *   - cipherSummary: HTML shown above the layer's puzzles.
+ *
+ * Puzzle and quiz slots are not listed here: every puzzles.js and quizzes.js
+ * entry whose `page` matches the layer's page gets one.
+ *
+ * Like puzzles.js, this is a plain script so the site works from disk.
+ */
+
+window.LayerRegistry = {
+    version: 1,
+    layers: [
+        {
+            number: 1,
+            name: 'Physical',
+            page: 'layer.html?layer=1',
+            description: 'OSI Layer 1 — Physical Layer with interactive Baconian cipher puzzle',
+            summary: 'See how bits become voltages, light pulses and radio waves, and which cables and devices carry them. Decode a cipher puzzle!',
+            sections: [
+                {
+                    id: 'responsibilities',
+                    heading: 'Responsibilities and Primary Functions',
+                    label: 'Physical layer responsibilities',
+                    html: `
+                        <p>
+                            The physical layer (Layer 1) moves raw bits from one device to the next. It knows nothing about addresses, frames or applications — only how a 1 and a 0 are represented on the medium. It defines the electrical, optical and radio characteristics of a link: voltage levels and timing, connector shapes and pinouts, data rates, maximum cable lengths, and how a transmitter and receiver agree on where one bit ends and the next begins.
+                        </p>
+                    `
+                },
+                {
+                    id: 'media',
+                    heading: 'Transmission Media',
+                    label: 'Transmission media',
+                    html: `
+                        <p>
+                            Bits travel over copper, glass or air. Twisted-pair copper (Cat5e, Cat6) carries electrical signals and is cheap and easy to install, but it is limited to about 100 metres per run and picks up electromagnetic interference. Fiber-optic cable carries pulses of light, reaches kilometres without repeating and is immune to electrical noise. Wireless links such as Wi-Fi and cellular use radio waves, trading the convenience of no cable for a shared medium that is easier to disturb and to eavesdrop on.
+                        </p>
+                    `
+                },
+                {
+                    id: 'signals',
+                    heading: 'Signals and Line Coding',
+                    label: 'Signals and line coding',
+                    html: `
+                        <p>
+                            A line code maps bits onto signal changes. The simplest, NRZ (non-return-to-zero), uses one level for 1 and another for 0, but a long run of identical bits leaves the receiver with no transitions to keep its clock in step. Manchester encoding, used by early Ethernet, puts a transition in the middle of every bit so the clock travels with the data. Faster links use schemes that pack several bits into each symbol, which is why a link's baud rate (symbols per second) and bit rate are not always the same number.
+                        </p>
+                    `
+                },
+                {
+                    id: 'devices',
+                    heading: 'Devices and Topologies',
+                    label: 'Physical layer devices',
+                    html: `
+                        <p>
+                            Cables, connectors, transceivers, repeaters, hubs and modems all live at Layer 1. A repeater or hub simply regenerates every bit it receives and sends it out of every other port — it cannot read an address, so every device on a hub hears every transmission. The physical topology (bus, star, ring or mesh) describes how the cables are actually laid out, which can differ from how data logically flows over them.
+                        </p>
+                    `
+                },
+                {
+                    id: 'troubleshooting',
+                    heading: 'Troubleshooting at Layer 1',
+                    label: 'Physical layer troubleshooting',
+                    html: `
+                        <p>
+                            Many network problems turn out to be physical: an unplugged or damaged cable, a bent pin, a dirty fiber connector, a cable run that is too long, or interference from nearby power lines. Link lights, cable testers and signal-strength readings are the first tools to reach for. Common signal problems include attenuation (the signal fades with distance), crosstalk (one pair bleeds into its neighbour) and noise. If the bits cannot arrive intact, no higher layer can fix it.
+                        </p>
+                    `
+                }
+            ],
+            cipherSummary: 'The cipher puzzle on this page encodes a single word for what actually travels across the wire, the fiber or the air: the <strong>signal</strong> that carries every bit. Decode the puzzle below to verify the word!'
+        },
+        {
+            number: 2,
+            name: 'Data Link',
+            page: 'layer.html?layer=2',
+            description: 'OSI Layer 2 — Data Link Layer with interactive Baconian cipher puzzle',
+            summary: 'Learn how frames, MAC addresses and switches move data across a single local link. Solve a cipher puzzle.',
+            sections: [
+                {
+                    id: 'responsibilities',
+                    heading: 'Responsibilities and Primary Functions',
+                    label: 'Data link layer responsibilities',
+                    html: `
+                        <p>
+                            The data link layer (Layer 2) delivers data between two devices on the same link or local network. It wraps each network-layer packet in a frame, addresses the frame with hardware (MAC) addresses, detects frames damaged in transit, and controls which device may use a shared medium. It is often described as two sublayers: Logical Link Control (LLC), which talks to the network layer, and Media Access Control (MAC), which talks to the physical layer.
+                        </p>
+                    `
+                },
+                {
+                    id: 'frames',
+                    heading: 'Frames and MAC Addresses',
+                    label: 'Frames and MAC addresses',
+                    html: `
+                        <p>
+                            Every network interface has a 48-bit MAC address, usually written as six hexadecimal pairs (for example 00:1A:2B:3C:4D:5E). The first half identifies the manufacturer. An Ethernet frame carries the destination and source MAC addresses, a type field naming the payload's protocol, the payload itself and a checksum:
+                        </p>
+                        <pre class="code-block"><code>
+┌──────────┬──────────┬─────────┬───────────┬───────────┬─────┐
+│ Preamble │ Dest MAC │ Src MAC │ EtherType │ Payload   │ FCS │
+│ 8 bytes  │ 6 bytes  │ 6 bytes │ 2 bytes   │ 46–1500 B │ 4 B │
+└──────────┴──────────┴─────────┴───────────┴───────────┴─────┘
+
+EtherType 0x0800 means the payload is an IPv4 packet;
+0x86DD means IPv6 and 0x0806 means ARP.
+                        </code></pre>
+                    `
+                },
+                {
+                    id: 'switching',
+                    heading: 'Switches and Media Access',
+                    label: 'Switches and media access',
+                    html: `
+                        <p>
+                            A switch learns which MAC address sits behind each of its ports by reading the source address of every frame, then forwards each frame only out of the port where its destination lives. Frames for an unknown address, and broadcasts, are flooded to every port. VLANs split one physical switch into several separate broadcast domains. On shared media the MAC sublayer decides who may transmit: classic Ethernet used CSMA/CD to detect collisions, while Wi-Fi uses CSMA/CA to avoid them. ARP ties Layer 2 to Layer 3 by asking "who has this IP address?" and caching the MAC address that answers.
+                        </p>
+                    `
+                },
+                {
+                    id: 'errors',
+                    heading: 'Error Detection',
+                    label: 'Error detection',
+                    html: `
+                        <p>
+                            The Frame Check Sequence at the end of every Ethernet frame is a CRC-32 checksum computed over the frame's contents. The receiver recomputes it, and if the two differ the frame is silently dropped. Ethernet detects errors but does not correct or resend anything — recovering lost data is left to higher layers such as TCP at Layer 4.
+                        </p>
+                    `
+                },
+                {
+                    id: 'security',
+                    heading: 'Layer 2 Security',
+                    label: 'Data link layer security',
+                    html: `
+                        <p>
+                            Layer 2 protocols were designed for trusted local networks, so they are easy to abuse from inside. MAC flooding fills a switch's address table until it floods every frame like a hub; ARP spoofing answers ARP requests with the attacker's MAC address to intercept traffic; VLAN hopping sneaks frames into a VLAN the attacker should not reach. Defences include port security, dynamic ARP inspection, disabling unused ports and 802.1X port authentication.
+                        </p>
+                    `
+                }
+            ],
+            cipherSummary: 'The cipher puzzle on this page encodes the name of the unit of data this layer builds around every packet: the <strong>frame</strong>. Decode the puzzle below to confirm the word!'
+        },
+        {
+            number: 3,
+            name: 'Network',
+            page: 'layer.html?layer=3',
+            description: 'OSI Layer 3 — Network Layer with interactive Baconian cipher puzzle',
+            summary: "Find out how IP addresses and routers carry packets from one network to another. Crack the layer's cipher.",
+            sections: [
+                {
+                    id: 'responsibilities',
+                    heading: 'Responsibilities and Primary Functions',
+                    label: 'Network layer responsibilities',
+                    html: `
+                        <p>
+                            The network layer (Layer 3) delivers packets from the source host to the destination host, even when they sit on different networks on opposite sides of the world. It gives every host a logical address that is independent of its hardware, chooses a path through the intervening routers, and forwards each packet one hop at a time. Where a link cannot carry a packet's full size, IPv4 can also fragment it.
+                        </p>
+                    `
+                },
+                {
+                    id: 'addressing',
+                    heading: 'IP Addressing and Subnets',
+                    label: 'IP addressing',
+                    html: `
+                        <p>
+                            An IPv4 address is 32 bits, written as four decimal numbers such as 192.168.1.20. A prefix length splits it into a network part and a host part: in 192.168.1.0/24 the first 24 bits name the network and the last 8 bits name up to 254 hosts on it. The ranges 10.0.0.0/8, 172.16.0.0/12 and 192.168.0.0/16 are private, and home routers use NAT to share one public address among them. IPv6 addresses are 128 bits long, enough that NAT is no longer needed.
+                        </p>
+                    `
+                },
+                {
+                    id: 'routing',
+                    heading: 'Routing and Forwarding',
+                    label: 'Routing and forwarding',
+                    html: `
+                        <p>
+                            A router forwards each packet by looking up its destination address in a routing table and choosing the most specific matching entry (the longest prefix). Anything without a better match follows the default route:
+                        </p>
+                        <pre class="code-block"><code>
+Destination       Next hop         Interface
+192.168.1.0/24    (directly)       eth0
+10.20.0.0/16      192.168.1.254    eth0
+0.0.0.0/0         203.0.113.1      eth1   ← default route
+                        </code></pre>
+                        <p>
+                            Tables can be written by hand (static routes) or learned from neighbours with routing protocols such as OSPF inside an organisation and BGP between the networks that make up the Internet. Every router also decrements the packet's TTL (time to live) and drops it at zero, so a routing loop cannot circulate a packet forever — traceroute uses exactly this to map the path.
+                        </p>
+                    `
+                },
+                {
+                    id: 'protocols',
+                    heading: 'Key Protocols: IP and ICMP',
+                    label: 'Network layer protocols',
+                    html: `
+                        <p>
+                            IP is connectionless and best effort: each packet is routed independently, and packets may be lost, duplicated or arrive out of order. Making delivery reliable is left to the transport layer above. ICMP travels alongside IP to report problems — "destination unreachable", "time exceeded" — and carries the echo request and reply that the ping command uses to test whether a host can be reached.
+                        </p>
+                    `
+                },
+                {
+                    id: 'security',
+                    heading: 'Network-Layer Security',
+                    label: 'Network layer security',
+                    html: `
+                        <p>
+                            Nothing in IP proves that a packet's source address is genuine, which makes spoofing possible and is the basis of many denial-of-service attacks. Firewalls and access lists filter traffic by address and protocol, providers apply ingress filtering to drop packets with impossible source addresses, and IPsec adds authentication and encryption to IP itself — the technology behind many site-to-site VPNs.
+                        </p>
+                    `
+                }
+            ],
+            cipherSummary: 'The cipher puzzle on this page encodes the name of the unit of data the network layer addresses and routes: the <strong>packet</strong>. Decode the puzzle below to verify the word!'
+        },
+        {
+            number: 4,
+            name: 'Transport',
+            page: 'layer4.html',
+            description: 'OSI Layer 4 — Transport Layer with interactive Baconian cipher puzzle',
+            summary: 'Learn about TCP, UDP, and how applications communicate reliably across networks. Decode a Baconian cipher puzzle!',
+            sections: [
+                {
+                    id: 'responsibilities',
+                    heading: 'Responsibilities and Primary Functions',
+                    label: 'Transport layer responsibilities',
+                    html: `
+                        <p>
+                            Transport layer (Layer 4) is responsible for end-to-end communication between hosts. Its primary goals are to provide logical communication between applications running on different devices, performing segmentation and reassembly of data streams so the data fits into the network layer's constraints, and ensuring that this data reaches the intended application process via port numbers.
+                        </p>
+                    `
+                },
+                {
+                    id: 'services',
+                    heading: 'Key Services',
+                    label: 'Transport layer services',
+                    html: `
+                        <p>
+                            Key services provided by the transport layer include reliability, flow control, error detection, and multiplexing. Reliability is provided by mechanisms such as acknowledgements and retransmissions — most notably implemented by TCP. Flow control prevents a fast sender from overwhelming a slow receiver, while multiplexing allows multiple application processes to share a single network device through the use of port identifiers. In TCP, flow control works through the window size each receiver advertises — how many more bytes it can accept — and each segment's payload is capped by the maximum segment size (MSS) the two hosts announce during the handshake.
+                        </p>
+                    `
+                },
+                {
+                    id: 'protocols',
+                    heading: 'Common Protocols: TCP and UDP',
+                    label: 'Transport protocols',
+                    html: `
+                        <p>
+                            Common protocols at this layer are TCP and UDP. TCP is connection-oriented and provides a reliable, ordered byte stream. It performs handshakes, sequence numbering, acknowledgements, and retransmissions. UDP is connectionless and provides minimal transport features — it is useful for low-latency or time-sensitive data where occasional loss is acceptable (e.g., real-time audio/video, DNS queries).
+                        </p>
+                    `
+                },
+                { type: 'simulator', simulator: 'tcp', id: 'tcpSim', label: 'TCP handshake simulator' },
+                {
+                    id: 'analogy',
+                    heading: 'A Helpful Analogy',
+                    label: 'Transport layer analogy',
+                    html: `
+                        <p id="layer4Cover">
+                            Think of the transport layer as the postal service that either guarantees delivery (registered insured package with tracking — TCP) or sends quick postcards that might not be tracked (UDP). In networking contexts, the choice between TCP and UDP is a tradeoff between guaranteed delivery and latency/overhead. When you need to ensure every piece of email arrives intact, you choose TCP; when you're streaming live audio and a few dropped packets won't ruin the experience, UDP is the right pick.
+                        </p>
+                    `
+                },
+                {
+                    id: 'ports-and-sockets',
+                    heading: 'Ports, Sockets, and Multiplexing',
+                    label: 'Ports and sockets',
+                    html: `
+                        <p>
+                            In practical terms, ports (for example, port 80 for HTTP) let the transport layer direct incoming data to the correct application process on a host. A socket typically pairs an IP address and a port (and often a protocol) to uniquely identify an endpoint. Below is a simplified illustration of how this works:
+                        </p>
+                        <pre class="code-block"><code>
+Host A                          Host B
+┌─────────────────┐            ┌─────────────────┐
+│ Application     │            │ Application     │
+│ Process 1       │            │ Process 1 (PID) │
+│ Port: 54321     │─ TCP/UDP ─▶│ Port: 80        │
+└─────────────────┘            │ Socket: 192.168 │
+                               │       .1.100:80 │
+Host B Socket Identifier:      └─────────────────┘
+  {IP: 192.168.1.100, Port: 80, Protocol: TCP}
+
+The transport layer uses these identifiers to route incoming
+packets to the correct application without confusion.
+                </code></pre>
+                        <p>
+                            This multiplexing capability is crucial — it allows a single physical network interface to handle traffic from dozens or hundreds of concurrent application processes, each identified by its own port number.
+                        </p>
+                    `
+                },
+                { type: 'simulator', simulator: 'ports', id: 'portSim', label: 'Port and socket multiplexing playground' },
+                {
+                    id: 'security',
+                    heading: 'Transport-Layer Security',
+                    label: 'Transport security',
+                    html: `
+                        <p>
+                            Transport-layer security is commonly implemented as a separate layer — for example, TLS typically rides on top of TCP — but the transport layer's behavior (retransmits, ordering) affects how secure protocols perform. Security considerations at the transport layer include how connection state is managed, how retransmissions can be exploited (e.g., TCP spoofing), and how transport characteristics (such as allowing retransmission or not) influence the design of higher-layer security controls.
+                        </p>
+                        <p>
+                            When designing robust systems, understanding how transport behavior impacts latency, throughput, and reliability is essential. The transport layer is the bridge between the unreliable lower layers and the requirements of applications above — getting it right ensures both performance and resilience.
+                        </p>
+                    `
+                },
+                {
+                    type: 'diagram',
+                    id: 'segmentation',
+                    heading: 'Segmentation and Transport Headers',
+                    label: 'Segmentation diagram',
+                    caption: 'This diagram shows how the transport layer segments application data and adds transport headers before passing it to the network layer.',
+                    html: `
+                        <div class="svg-responsive">
+                        <svg class="responsive-svg" viewBox="0 0 600 300" aria-label="Transport segmentation process diagram">
+                            <defs>
+                                <style>
+                                    .diagram-box { fill: var(--color-accent); stroke: var(--text-color); stroke-width: 2; }
+                                    .diagram-text { fill: var(--text-color); font-size: 14px; text-anchor: middle; }
+                                    .diagram-label { fill: var(--text-color); font-size: 12px; text-anchor: middle; }
+                                    .diagram-arrow { stroke: var(--text-color); stroke-width: 2; fill: none; marker-end: url(#arrowhead); }
+                                </style>
+                                <marker id="arrowhead" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
+                                    <polygon points="0 0, 10 3, 0 6" fill="var(--text-color)" />
+                                </marker>
+                            </defs>
+
+                            <!-- Left: Application Data -->
+                            <rect class="diagram-box" x="20" y="20" width="120" height="80" />
+                            <text class="diagram-text" x="80" y="65">Application</text>
+                            <text class="diagram-text" x="80" y="80">Data</text>
+
+                            <!-- Arrow down -->
+                            <path class="diagram-arrow" d="M 80 100 L 80 140" />
+                            <text class="diagram-label" x="80" y="125">Segment</text>
+
+                            <!-- Middle: Transport Layer Processing -->
+                            <rect class="diagram-box" x="20" y="140" width="120" height="30" />
+                            <text class="diagram-text" x="80" y="160">Transport</text>
+
+                            <!-- Arrow right -->
+                            <path class="diagram-arrow" d="M 140 155 L="220" y="155" />
+
+                            <!-- Right: Segmented with Headers -->
+                            <g>
+                                <rect class="diagram-box" x="250" y="130" width="80" height="25" fill="var(--color-warning)" />
+                                <text class="diagram-label" x="290" y="148">TCP/UDP</text>
+                                <text class="diagram-label" x="290" y="162">Header</text>
+
+                                <rect class="diagram-box" x="250" y="155" width="80" height="50" />
+                                <text class="diagram-text" x="290" y="185">Data</text>
+
+                                <text class="diagram-label" x="290" y="220">Segment 1</text>
+                            </g>
+
+                            <!-- Multiple segments indicator -->
+                            <g>
+                                <rect class="diagram-box" x="250" y="235" width="80" height="25" fill="var(--color-warning)" />
+                                <text class="diagram-label" x="290" y="253">TCP/UDP</text>
+
+                                <rect class="diagram-box" x="250" y="260" width="80" height="30" />
+                                <text class="diagram-label" x="290" y="280">Data</text>
+                            </g>
+
+                            <text class="diagram-label" x="290" y="315">Segment 2, 3, ...</text>
+
+                            <!-- Down arrow to network layer -->
+                            <path class="diagram-arrow" d="M 440 155 L 520 155" />
+                            <text class="diagram-label" x="480" y="150">To</text>
+                            <text class="diagram-label" x="480" y="165">Network</text>
+                            <text class="diagram-label" x="480" y="180">Layer</text>
+                        </svg>
+                        </div>
+                    `
+                }
+            ],
+            cipherSummary: "The cipher puzzle on this page encodes a single word that captures the essence of the Transport Layer's primary strength: its ability to ensure <strong>reliable</strong> delivery of data. Decode the puzzle below to verify the word!"
+        },
+        {
+            number: 5,
+            name: 'Session',
+            page: 'layer5.html',
+            description: 'OSI Layer 5 — Session Layer with interactive Baconian cipher puzzle',
+            summary: 'Discover how sessions are managed, maintained, and terminated. Solve another interactive cipher challenge.',
+            sections: [
+                {
+                    id: 'responsibilities',
+                    heading: 'Responsibilities and Primary Functions',
+                    label: 'Session layer responsibilities',
+                    html: `
+                        <p>
+                            The session layer (Layer 5) manages dialog control between two systems. Its responsibilities include establishing, maintaining, and terminating sessions, providing synchronization points (checkpoints) within an ongoing session, and coordinating full- or half-duplex communication flows when required.
+                        </p>
+                    `
+                },
+                {
+                    id: 'tasks',
+                    heading: 'Typical Session Tasks',
+                    label: 'Session layer tasks',
+                    html: `
+                        <p>
+                            Typical session tasks include starting a session, optionally negotiating session parameters, inserting checkpoints to support recovery, and closing the session. In practice, session-layer services are often implemented within application protocols or middleware (for example, RPC frameworks, SIP call control, or application-level session managers), but understanding the conceptual role of the session layer clarifies how connection and state lifecycles are organized.
+                        </p>
+                    `
+                },
+                {
+                    id: 'analogy',
+                    heading: 'A Helpful Analogy',
+                    label: 'Session layer analogy',
+                    html: `
+                        <p id="layer5Cover">
+                            An analogy: the session layer is like a moderator for a conversation — it opens the conversation, permits pauses, resumes, and finally closes the conversation; it can also record checkpoints so that if the conversation is interrupted, it resumes in a consistent place. This is useful in long-running interactions or where partial state must be preserved across interruptions. Just as a moderator ensures order and continuity in a discussion, the session layer ensures order and continuity in a logical conversation between applications.
+                        </p>
+                    `
+                },
+                {
+                    id: 'examples',
+                    heading: 'Session Examples and Concepts',
+                    label: 'Session examples',
+                    html: `
+                        <p>
+                            Session concepts appear in many real-world scenarios. RPC (Remote Procedure Call) sessions allow a client to invoke procedures on a remote server and expect a response within a session context. SIP (Session Initiation Protocol) call sessions manage the lifecycle of multimedia calls. Older Windows networks used the NetBIOS session service to open named sessions between computers for file and printer sharing. HTTP-based web sessions use cookies and tokens to maintain state across multiple requests. Database sessions maintain connection pools and transaction contexts. Login sessions authenticate users and maintain their authenticated state across multiple interactions. In all these cases, the session layer (or a session-like abstraction) provides the glue that maintains logical continuity despite the underlying transport being potentially connectionless or unreliable.
+                        </p>
+                    `
+                },
+                {
+                    id: 'interactions',
+                    heading: 'Interaction with Other Layers',
+                    label: 'Session layer interactions',
+                    html: `
+                        <p>
+                            Layer 5 interacts with Layer 4 by relying on transport services (reliable or unreliable) to actually transmit session data. It hands segments or datagrams to the transport layer and expects delivery semantics that align with session needs. Interaction with higher layers (such as presentation and application) means session services often blend with application-level session implementations; the boundaries can be pragmatic rather than absolute in modern stacks. A session might use TCP for reliability (Layer 4), rely on encryption and compression services (Layer 6 — Presentation), and be exposed through application APIs (Layer 7). The session layer coordinates these interactions to present a cohesive dialog to the application.
+                        </p>
+                    `
+                },
+                {
+                    id: 'best-practices',
+                    heading: 'Best Practices and Common Pitfalls',
+                    label: 'Session best practices',
+                    html: `
+                        <p>
+                            Common considerations for sessions include when to time out a session, how to manage session identifiers, and how to reconcile session-level state with distributed or replicated services. Poor session management can cause resource leaks, unexpected behavior, or security issues (stale sessions left open, replay possibilities). Best practices include setting reasonable timeouts, securely generating session identifiers (avoid predictability), clearing session state on logout, and designing session infrastructure to handle failures gracefully. In modern cloud and distributed environments, session state is often stored in centralized caches (like Redis) rather than on a single server, enabling horizontal scaling and resilience.
+                        </p>
+                    `
+                },
+                {
+                    type: 'diagram',
+                    id: 'lifecycle',
+                    heading: 'Session Lifecycle: Handshake and Termination',
+                    label: 'Session handshake diagram',
+                    caption: 'This diagram illustrates the typical lifecycle of a session: establishment, maintenance with keep-alive events, and graceful termination.',
+                    html: `
+                        <div class="svg-responsive">
+                        <svg class="responsive-svg" viewBox="0 0 700 300" aria-label="Session handshake timeline diagram">
+                            <defs>
+                                <style>
+                                    .timeline-line { stroke: var(--text-color); stroke-width: 2; }
+                                    .timeline-dot { fill: var(--color-accent); stroke: var(--text-color); stroke-width: 2; }
+                                    .timeline-label { fill: var(--text-color); font-size: 13px; }
+                                    .timeline-actor { fill: var(--text-color); font-size: 12px; font-weight: bold; }
+                                    .timeline-event { fill: var(--color-accent); stroke: var(--text-color); stroke-width: 1; }
+                                </style>
+                            </defs>
+
+                            <!-- Timeline actors -->
+                            <text class="timeline-actor" x="80" y="30">Client</text>
+                            <text class="timeline-actor" x="580" y="30">Server</text>
+
+                            <!-- Vertical lines representing actors -->
+                            <line class="timeline-line" x1="100" y1="40" x2="100" y2="280" stroke-dasharray="5,5" />
+                            <line class="timeline-line" x1="600" y1="40" x2="600" y2="280" />
+
+                            <!-- Timeline horizontal axis -->
+                            <line class="timeline-line" x1="100" y1="280" x2="600" y2="280" />
+
+                            <!-- Event 1: Open Session -->
+                            <circle class="timeline-dot" cx="100" cy="80" r="6" />
+                            <text class="timeline-label" x="110" y="80" text-anchor="start">Session</text>
+                            <text class="timeline-label" x="110" y="95" text-anchor="start">Open</text>
+
+                            <path d="M 100 80 L 600 120" stroke="var(--text-color)" stroke-width="2" fill="none" marker-end="url(#arrowhead-small)" />
+                            <text class="timeline-label" x="340" y="95">SYN / SETUP</text>
+
+                            <circle class="timeline-dot" cx="600" cy="120" r="6" />
+
+                            <!-- Event 2: Keep-Alive -->
+                            <circle class="timeline-dot" cx="100" cy="170" r="6" />
+                            <text class="timeline-label" x="110" y="170" text-anchor="start">Keep</text>
+                            <text class="timeline-label" x="110" y="185" text-anchor="start">Alive</text>
+
+                            <path d="M 600 140 L 100 170" stroke="var(--text-color)" stroke-width="2" fill="none" marker-end="url(#arrowhead-small)" />
+                            <text class="timeline-label" x="340" y="155">ACK / DATA</text>
+
+                            <!-- Event 3: Close Session -->
+                            <circle class="timeline-dot" cx="600" cy="220" r="6" />
+                            <text class="timeline-label" x="610" y="220" text-anchor="start">Session</text>
+                            <text class="timeline-label" x="610" y="235" text-anchor="start">Close</text>
+
+                            <path d="M 100 170 L 600 220" stroke="var(--text-color)" stroke-width="2" fill="none" marker-end="url(#arrowhead-small)" />
+                            <text class="timeline-label" x="340" y="200">FIN / CLOSE</text>
+
+                            <!-- Legend -->
+                            <text class="timeline-label" x="50" y="260" font-weight="bold">Timeline: Session management over time</text>
+
+                            <defs>
+                                <marker id="arrowhead-small" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
+                                    <polygon points="0 0, 10 3, 0 6" fill="var(--text-color)" />
+                                </marker>
+                            </defs>
+                        </svg>
+                        </div>
+                    `
+                },
+                { type: 'simulator', simulator: 'session', id: 'sessionSim', label: 'Session lifecycle simulator' }
+            ],
+            cipherSummary: 'The cipher puzzle on this page encodes a single word that represents a fundamental concept of the Session Layer: the ability to manage and maintain ongoing <strong>sessions</strong> between two communicating entities. Decode the puzzle below to confirm the word!'
+        },
+        {
+            number: 6,
+            name: 'Presentation',
+            page: 'layer.html?layer=6',
+            description: 'OSI Layer 6 — Presentation Layer with interactive Baconian cipher puzzle',
+            summary: "Discover how data is encoded, encrypted and compressed so both ends can read it. Decode the layer's keyword.",
+            sections: [
+                {
+                    id: 'responsibilities',
+                    heading: 'Responsibilities and Primary Functions',
+                    label: 'Presentation layer responsibilities',
+                    html: `
+                        <p>
+                            The presentation layer (Layer 6) makes sure that data sent by one application can be read by the application on the other end. It is concerned with the syntax of the data rather than its meaning, and it has three classic jobs: translating between different data representations, encrypting and decrypting, and compressing and decompressing. It is sometimes called the translator of the network.
+                        </p>
+                    `
+                },
+                {
+                    id: 'encoding',
+                    heading: 'Character Encoding and Data Formats',
+                    label: 'Character encoding and data formats',
+                    html: `
+                        <p>
+                            Two computers only understand each other if they agree on how data is written down. Text needs a character encoding — ASCII, or UTF-8 for every language and emoji. Numbers need an agreed byte order; network protocols use big-endian "network byte order". Structured data is serialized into formats such as JSON, XML, ASN.1 or Protocol Buffers, and email uses MIME types and Base64 to carry images and attachments through a system built for plain text.
+                        </p>
+                    `
+                },
+                {
+                    id: 'encryption',
+                    heading: 'Encryption',
+                    label: 'Encryption',
+                    html: `
+                        <p>
+                            Encryption transforms readable data into ciphertext that only the holder of the right key can turn back. TLS, which secures HTTPS, is often placed at this layer in the OSI model, even though in practice it runs on top of TCP inside the application. The Baconian cipher on this site is a presentation-layer idea at heart: the message is the same, only its representation changes — letters become groups of A and B, just as text becomes bytes and bytes become ciphertext.
+                        </p>
+                    `
+                },
+                {
+                    id: 'compression',
+                    heading: 'Compression',
+                    label: 'Compression',
+                    html: `
+                        <p>
+                            Compression shrinks data before it is sent, trading processor time for bandwidth. Lossless compression such as gzip or Brotli, used for web pages, gives back exactly the original bytes. Lossy formats such as JPEG, MP3 and streaming video codecs throw away detail people are unlikely to notice in return for much smaller files.
+                        </p>
+                    `
+                },
+                {
+                    id: 'modern-stacks',
+                    heading: 'Layer 6 in Modern Stacks',
+                    label: 'Presentation layer in modern stacks',
+                    html: `
+                        <p>
+                            The TCP/IP model has no separate presentation layer: its jobs are done by the application and the libraries it uses — a TLS library, a JSON parser, an image decoder. The OSI layer is still a useful way to think about them, because encoding, encryption and compression are separate concerns from both the network underneath and the application's own logic.
+                        </p>
+                    `
+                }
+            ],
+            cipherSummary: 'The cipher puzzle on this page encodes a single word for the job this layer does when it turns data into a form the other side can read — which is also what the Baconian cipher itself does: <strong>encoding</strong>. Decode the puzzle below to confirm the word!'
+        },
+        {
+            number: 7,
+            name: 'Application',
+            page: 'layer.html?layer=7',
+            description: 'OSI Layer 7 — Application Layer with interactive Baconian cipher puzzle',
+            summary: 'Explore HTTP, DNS, email and the other protocols applications speak. Finish with one last cipher puzzle.',
+            sections: [
+                {
+                    id: 'responsibilities',
+                    heading: 'Responsibilities and Primary Functions',
+                    label: 'Application layer responsibilities',
+                    html: `
+                        <p>
+                            The application layer (Layer 7) is the layer closest to the user. It is not the application itself — your browser or mail client — but the protocols those programs use to offer network services: fetching web pages, resolving names, sending mail, transferring files. It identifies the other party, decides what resources are available and defines the messages the two sides exchange.
+                        </p>
+                    `
+                },
+                {
+                    id: 'protocols',
+                    heading: 'Common Application Protocols',
+                    label: 'Application protocols',
+                    html: `
+                        <p>
+                            HTTP and HTTPS (ports 80 and 443) carry the web. DNS (port 53) turns names such as example.com into IP addresses. SMTP (port 25) sends email, while IMAP and POP3 retrieve it. FTP (port 21) and SFTP transfer files, SSH (port 22) gives a secure remote shell, DHCP hands out IP addresses when a device joins a network, and NTP (port 123) keeps clocks in step. Each relies on the transport layer below to carry its messages.
+                        </p>
+                    `
+                },
+                {
+                    id: 'requests',
+                    heading: 'Requests and Responses',
+                    label: 'Requests and responses',
+                    html: `
+                        <p>
+                            Most application protocols follow a client-server pattern: the client sends a request, the server answers with a response. An HTTP exchange for one of this site's pages looks like this:
+                        </p>
+                        <pre class="code-block"><code>
+GET /layer4.html HTTP/1.1
+Host: example.com
+Accept: text/html
+
+HTTP/1.1 200 OK
+Content-Type: text/html; charset=utf-8
+Content-Length: 5120
+
+&lt;!DOCTYPE html&gt; ...
+                        </code></pre>
+                        <p>
+                            The first line names the method and the resource; the headers that follow describe the request or response. Status codes summarise the outcome: 200 means OK, 404 means not found and 500 means the server failed.
+                        </p>
+                    `
+                },
+                {
+                    id: 'all-together',
+                    heading: 'Putting the Layers Together',
+                    label: 'How the layers work together',
+                    html: `
+                        <p>
+                            Loading a web page uses every layer. DNS (Layer 7) finds the server's address. TCP (<a href="layer4.html">Layer 4</a>) opens a connection with its three-way handshake, and TLS (<a href="layer.html?layer=6">Layer 6</a>) encrypts it. The HTTP request is then split into segments, each wrapped in an IP packet (<a href="layer.html?layer=3">Layer 3</a>), each packet in a frame (<a href="layer.html?layer=2">Layer 2</a>), and each frame sent as a signal (<a href="layer.html?layer=1">Layer 1</a>). The server unwraps the layers in reverse order and sends its response back the same way.
+                        </p>
+                    `
+                },
+                {
+                    id: 'security',
+                    heading: 'Application-Layer Security',
+                    label: 'Application layer security',
+                    html: `
+                        <p>
+                            Most attacks people hear about happen at Layer 7: phishing, SQL injection, cross-site scripting, stolen passwords and floods of requests aimed at a single web service. Defences live here too — validating every input, strong authentication, keeping software patched, and web application firewalls that inspect requests before they reach the server.
+                        </p>
+                    `
+                }
+            ],
+            cipherSummary: 'The cipher puzzle on this page encodes a single word for what a client sends when it wants something from a server: a <strong>request</strong>. Decode the puzzle below to verify the word!'
+        }
+    ]
+};
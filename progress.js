@@ -0,0 +1,371 @@
+/**
+ * progress.js
+ *
+ * Versioned puzzle and quiz progress store for the OSI Model educational website.
+ *
+ * Progress lives in localStorage under one key, so it survives reloads and
+ * is shared between layer4.html, layer5.html and any other page:
+ *
+ *   osiProgress = {
+ *     version: 1,
+ *     puzzles: {
+ *       <puzzleId>: {
+ *         revealed: [0, 3],                        // indices of flipped chips
+ *         extracted: false,                        // steganographic groups extracted
+ *         attempts: [{ guess, correct, at }],      // guess history, oldest first
+ *         hintsUsed: [{ level, text, at }],        // hint ladder levels taken
+ *         startedAt: 1700000000000,                // first time the puzzle was shown
+ *         solvedAt: null,                          // time of the first correct guess
+ *         solveTimeMs: null,                       // solvedAt - startedAt
+ *         chipCount: null,                         // chips in the puzzle when solved
+ *         revealedBeforeSolve: null,               // chips flipped when solved
+ *         score: null,                             // see computeScore()
+ *         practice: null,                          // practice mode on/off (null: manifest default)
+ *         chipChecks: [{ index, guess, correct, at }], // practice-mode letter checks
+ *         gaveUp: [2]                              // chips flipped by giving up in practice mode
+ *       }
+ *     },
+ *     bestScores: { <puzzleId>: 850 },             // kept when one puzzle is reset
+ *     quizzes: {
+ *       <quizId>: {
+ *         attempts: [{ correct, total, answers: [{ questionId, correct }], at }],
+ *         best: { correct: 4, total: 5 }           // highest-percentage run
+ *       }
+ *     }
+ *   }
+ *
+ * Stored data from an older or unknown version is discarded rather than
+ * guessed at. If localStorage is unavailable, progress is kept in memory
+ * for the current page only.
+ *
+ * No external dependencies. Pure JavaScript.
+ */
+
+// Prevent re-initialization in case this script is loaded multiple times
+if (typeof window.PuzzleProgress === 'undefined') {
+    window.PuzzleProgress = {};
+
+    window.PuzzleProgress.STORAGE_KEY = 'osiProgress';
+    window.PuzzleProgress.VERSION = 1;
+
+    // Fallback store used when localStorage throws (private mode, blocked storage)
+    let memoryStore = null;
+
+    /**
+     * Creates an empty progress record for one puzzle.
+     * @returns {object} - A record with nothing revealed, attempted or solved.
+     */
+    window.PuzzleProgress.createRecord = function() {
+        return {
+            revealed: [],
+            extracted: false,
+            attempts: [],
+            hintsUsed: [],
+            startedAt: null,
+            solvedAt: null,
+            solveTimeMs: null,
+            chipCount: null,
+            revealedBeforeSolve: null,
+            score: null,
+            practice: null,
+            chipChecks: [],
+            gaveUp: []
+        };
+    };
+
+    /**
+     * Loads all progress, discarding data saved by a different version.
+     * @returns {object} - { version, puzzles }
+     */
+    window.PuzzleProgress.load = function() {
+        const empty = { version: window.PuzzleProgress.VERSION, puzzles: {}, bestScores: {}, quizzes: {} };
+        let raw = memoryStore;
+
+        try {
+            raw = localStorage.getItem(window.PuzzleProgress.STORAGE_KEY);
+        } catch (err) {
+            // Storage blocked: keep using the in-memory copy
+        }
+
+        if (!raw) {
+            return empty;
+        }
+
+        try {
+            const data = JSON.parse(raw);
+            if (!data || data.version !== window.PuzzleProgress.VERSION || typeof data.puzzles !== 'object') {
+                return empty;
+            }
+            data.bestScores = data.bestScores || {};
+            data.quizzes = data.quizzes || {};
+            return data;
+        } catch (err) {
+            console.warn('Discarding unreadable puzzle progress', err);
+            return empty;
+        }
+    };
+
+    /**
+     * Saves all progress.
+     * @param {object} data - { version, puzzles } as returned by load().
+     */
+    window.PuzzleProgress.save = function(data) {
+        const raw = JSON.stringify(data);
+        memoryStore = raw;
+        try {
+            localStorage.setItem(window.PuzzleProgress.STORAGE_KEY, raw);
+        } catch (err) {
+            // Storage blocked or full: progress stays in memory for this page
+        }
+    };
+
+    /**
+     * Gets one puzzle's progress.
+     * @param {string} puzzleId - Puzzle ID (e.g. 'layer4').
+     * @returns {object} - The stored record, or an empty record.
+     */
+    window.PuzzleProgress.getPuzzle = function(puzzleId) {
+        const stored = window.PuzzleProgress.load().puzzles[puzzleId];
+        return Object.assign(window.PuzzleProgress.createRecord(), stored || {});
+    };
+
+    /**
+     * Gets every stored puzzle record.
+     * @returns {object} - Records keyed by puzzle ID.
+     */
+    window.PuzzleProgress.getAll = function() {
+        return window.PuzzleProgress.load().puzzles;
+    };
+
+    /**
+     * Merges changes into one puzzle's progress and saves it.
+     * @param {string} puzzleId - Puzzle ID.
+     * @param {object} changes - Fields to overwrite (see the record shape above).
+     * @returns {object} - The updated record.
+     */
+    window.PuzzleProgress.updatePuzzle = function(puzzleId, changes) {
+        const data = window.PuzzleProgress.load();
+        const record = Object.assign(window.PuzzleProgress.createRecord(), data.puzzles[puzzleId] || {}, changes);
+        data.puzzles[puzzleId] = record;
+        window.PuzzleProgress.save(data);
+        return record;
+    };
+
+    /**
+     * Marks a puzzle as started if it hasn't been already.
+     * @param {string} puzzleId - Puzzle ID.
+     * @returns {object} - The puzzle's record.
+     */
+    window.PuzzleProgress.startPuzzle = function(puzzleId) {
+        const record = window.PuzzleProgress.getPuzzle(puzzleId);
+        if (record.startedAt) {
+            return record;
+        }
+        return window.PuzzleProgress.updatePuzzle(puzzleId, { startedAt: Date.now() });
+    };
+
+    /**
+     * Appends a guess to a puzzle's attempt history. The first correct guess
+     * also records the solve time, how many chips were flipped, and the score.
+     * @param {string} puzzleId - Puzzle ID.
+     * @param {string} guess - The normalized guess.
+     * @param {boolean} correct - Whether the guess matched the answer.
+     * @param {object} [board] - { chipCount, revealed } at the time of the guess.
+     * @returns {object} - The updated record.
+     */
+    window.PuzzleProgress.recordAttempt = function(puzzleId, guess, correct, board) {
+        const record = window.PuzzleProgress.getPuzzle(puzzleId);
+        const now = Date.now();
+        const changes = {
+            attempts: record.attempts.concat([{ guess: guess, correct: correct, at: now }])
+        };
+
+        if (correct && !record.solvedAt) {
+            changes.solvedAt = now;
+            changes.solveTimeMs = record.startedAt ? now - record.startedAt : null;
+            changes.chipCount = board ? board.chipCount : null;
+            changes.revealedBeforeSolve = board ? board.revealed : null;
+            changes.score = window.PuzzleProgress.computeScore(Object.assign({}, record, changes)).score;
+        }
+
+        const updated = window.PuzzleProgress.updatePuzzle(puzzleId, changes);
+        if (updated.score !== null) {
+            const data = window.PuzzleProgress.load();
+            data.bestScores[puzzleId] = Math.max(data.bestScores[puzzleId] || 0, updated.score);
+            window.PuzzleProgress.save(data);
+        }
+        return updated;
+    };
+
+    /**
+     * Records a practice-mode letter check on one chip.
+     * @param {string} puzzleId - Puzzle ID.
+     * @param {number} index - Index of the chip in the puzzle.
+     * @param {string} guess - The letter the student typed.
+     * @param {boolean} correct - Whether it matched the chip's letter.
+     * @returns {object} - The updated record.
+     */
+    window.PuzzleProgress.recordChipCheck = function(puzzleId, index, guess, correct) {
+        const record = window.PuzzleProgress.getPuzzle(puzzleId);
+        return window.PuzzleProgress.updatePuzzle(puzzleId, {
+            chipChecks: record.chipChecks.concat([{ index: index, guess: guess, correct: correct, at: Date.now() }])
+        });
+    };
+
+    /**
+     * Records that the student gave up on a chip in practice mode (or that
+     * a hint gave its letter away).
+     * @param {string} puzzleId - Puzzle ID.
+     * @param {number} index - Index of the chip in the puzzle.
+     * @returns {object} - The updated record.
+     */
+    window.PuzzleProgress.recordGiveUp = function(puzzleId, index) {
+        const record = window.PuzzleProgress.getPuzzle(puzzleId);
+        if (record.gaveUp.indexOf(index) !== -1) {
+            return record;
+        }
+        return window.PuzzleProgress.updatePuzzle(puzzleId, { gaveUp: record.gaveUp.concat([index]) });
+    };
+
+    /**
+     * Scoring model. A solve starts at BASE points and loses points for:
+     *   - each wrong guess before the solve,
+     *   - each hint used,
+     *   - the share of chips flipped before solving (all flipped = CHIP_PENALTY);
+     *     in practice mode only chips the student gave up on count,
+     *   - every TIME_STEP_MS spent past FREE_TIME_MS, up to MAX_TIME_PENALTY.
+     * A solved puzzle never scores below MIN.
+     */
+    window.PuzzleProgress.SCORING = {
+        BASE: 1000,
+        MIN: 100,
+        WRONG_GUESS_PENALTY: 100,
+        HINT_PENALTY: 75,
+        CHIP_PENALTY: 400,
+        FREE_TIME_MS: 60000,
+        TIME_STEP_MS: 5000,
+        MAX_TIME_PENALTY: 200
+    };
+
+    /**
+     * Scores a puzzle record.
+     * @param {object} record - A puzzle progress record.
+     * @returns {object} - { score, breakdown: { base, attempts, hints, chips, time } };
+     *   score is 0 for an unsolved puzzle.
+     */
+    window.PuzzleProgress.computeScore = function(record) {
+        const rules = window.PuzzleProgress.SCORING;
+        const breakdown = { base: 0, attempts: 0, hints: 0, chips: 0, time: 0 };
+
+        if (!record || !record.solvedAt) {
+            return { score: 0, breakdown: breakdown };
+        }
+
+        const firstCorrect = record.attempts.findIndex(attempt => attempt.correct);
+        const wrongGuesses = firstCorrect === -1 ? record.attempts.length : firstCorrect;
+        const chipShare = record.chipCount ? (record.revealedBeforeSolve || 0) / record.chipCount : 0;
+        const overtime = Math.max(0, (record.solveTimeMs || 0) - rules.FREE_TIME_MS);
+
+        breakdown.base = rules.BASE;
+        breakdown.attempts = -wrongGuesses * rules.WRONG_GUESS_PENALTY;
+        breakdown.hints = -record.hintsUsed.length * rules.HINT_PENALTY;
+        breakdown.chips = -Math.round(chipShare * rules.CHIP_PENALTY);
+        breakdown.time = -Math.min(rules.MAX_TIME_PENALTY, Math.floor(overtime / rules.TIME_STEP_MS));
+
+        const total = breakdown.base + breakdown.attempts + breakdown.hints + breakdown.chips + breakdown.time;
+        return { score: Math.max(rules.MIN, total), breakdown: breakdown };
+    };
+
+    /**
+     * Gets the best score ever recorded for each puzzle.
+     * @returns {object} - Scores keyed by puzzle ID.
+     */
+    window.PuzzleProgress.getBestScores = function() {
+        return window.PuzzleProgress.load().bestScores;
+    };
+
+    /**
+     * Works out the student's streaks: runs of consecutive solves (in the
+     * order they were solved) that took one guess and no hints.
+     * @returns {object} - { current, best }
+     */
+    window.PuzzleProgress.getStreaks = function() {
+        const puzzles = window.PuzzleProgress.load().puzzles;
+        const solved = Object.keys(puzzles)
+            .map(id => puzzles[id])
+            .filter(record => record.solvedAt)
+            .sort((a, b) => a.solvedAt - b.solvedAt);
+
+        let current = 0;
+        let best = 0;
+        solved.forEach(record => {
+            const clean = record.attempts.length > 0 && record.attempts[0].correct && record.hintsUsed.length === 0;
+            current = clean ? current + 1 : 0;
+            best = Math.max(best, current);
+        });
+
+        return { current: current, best: best };
+    };
+
+    /**
+     * Describes how far along a puzzle is.
+     * @param {object} record - A puzzle progress record.
+     * @returns {string} - 'solved', 'in-progress' or 'not-started'.
+     */
+    window.PuzzleProgress.getStatus = function(record) {
+        if (record.solvedAt) {
+            return 'solved';
+        }
+        const touched = record.revealed.length > 0 || record.attempts.length > 0 ||
+            record.hintsUsed.length > 0 || record.extracted || record.chipChecks.length > 0;
+        return touched ? 'in-progress' : 'not-started';
+    };
+
+    /**
+     * Gets one quiz's results.
+     * @param {string} quizId - Quiz ID (e.g. 'layer4Quiz').
+     * @returns {object} - { attempts, best }, with best null before the first run.
+     */
+    window.PuzzleProgress.getQuiz = function(quizId) {
+        return window.PuzzleProgress.load().quizzes[quizId] || { attempts: [], best: null };
+    };
+
+    /**
+     * Records one finished run of a quiz and keeps its best result.
+     * @param {string} quizId - Quiz ID.
+     * @param {object} result - { correct, total, answers } where answers holds
+     *   one { questionId, correct } per question asked.
+     * @returns {object} - The quiz's updated { attempts, best }.
+     */
+    window.PuzzleProgress.recordQuizResult = function(quizId, result) {
+        const data = window.PuzzleProgress.load();
+        const quiz = data.quizzes[quizId] || { attempts: [], best: null };
+        const attempt = { correct: result.correct, total: result.total, answers: result.answers || [], at: Date.now() };
+        const ratio = run => (run.total ? run.correct / run.total : 0);
+
+        quiz.attempts = quiz.attempts.concat([attempt]);
+        if (!quiz.best || ratio(attempt) > ratio(quiz.best)) {
+            quiz.best = { correct: attempt.correct, total: attempt.total };
+        }
+        data.quizzes[quizId] = quiz;
+        window.PuzzleProgress.save(data);
+        return quiz;
+    };
+
+    /**
+     * Clears one puzzle's progress. Its best score is kept.
+     * @param {string} puzzleId - Puzzle ID.
+     */
+    window.PuzzleProgress.resetPuzzle = function(puzzleId) {
+        const data = window.PuzzleProgress.load();
+        delete data.puzzles[puzzleId];
+        window.PuzzleProgress.save(data);
+    };
+
+    /**
+     * Clears progress for every puzzle and quiz.
+     */
+    window.PuzzleProgress.resetAll = function() {
+        window.PuzzleProgress.save({ version: window.PuzzleProgress.VERSION, puzzles: {}, bestScores: {}, quizzes: {} });
+    };
+}
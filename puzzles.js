@@ -0,0 +1,153 @@
+/**
+ * puzzles.js
+ *
+ * Puzzle manifest for the OSI Model educational website.
+ *
+ * Each entry describes one Baconian cipher puzzle. app.js renders every entry
+ * whose `page` matches the current page into its placeholder element:
+ *   <section class="puzzle-section" data-puzzle="<id>"></section>
+ *
+ * Entry fields:
+ *   - id (required): Unique puzzle ID, also the base name for element IDs
+ *     (e.g. 'layer4' -> #layer4Chips, #layer4Guess, #layer4Feedback).
+ *   - page (required): The page the puzzle belongs to: its layer's `page` in
+ *     layers.js (e.g. 'layer4.html', 'layer.html?layer=1'). The layer page
+ *     template renders a [data-puzzle] placeholder for each of its puzzles.
+ *   - layer: OSI layer number the puzzle is about (1-7).
+ *   - title: Heading shown above the puzzle.
+ *   - plaintext (required): The answer the puzzle decodes to.
+ *   - alphabet: 'binary26' (default) or 'bacon24' (see baconian.js).
+ *   - hints: Extra hint texts, added to the hint ladder after the mapping hint.
+ *   - maxHints: Cap on how many hints the Hint button gives (default: no cap).
+ *   - feedback: 'letters' to mark each letter of a wrong guess as correct,
+ *     wrong position or absent (default: pass/fail only).
+ *   - practice: true to start in practice mode, where each chip only flips
+ *     once the student types its letter (or gives up). Students can switch.
+ *   - intro: Optional HTML replacing the default explanation paragraph.
+ *   - cover: ID of an element whose text hides the message (steganographic mode).
+ *   - stegoStyle: 'weight' (bold vs normal) or 'typeface' (serif vs sans).
+ *
+ * This is a plain script rather than a fetched .json file so the site keeps
+ * working when opened straight from disk. A page may instead embed the same
+ * object as JSON in <script type="application/json" id="puzzleManifest">.
+ */
+
+window.PuzzleManifest = {
+    version: 1,
+    puzzles: [
+        {
+            id: 'layer1',
+            page: 'layer.html?layer=1',
+            layer: 1,
+            title: 'Baconian Puzzle: Physical Layer Message',
+            plaintext: 'SIGNAL',
+            alphabet: 'binary26',
+            feedback: 'letters',
+            hints: [
+                'The word names what a cable, fiber or radio link actually carries.'
+            ]
+        },
+        {
+            id: 'layer2',
+            page: 'layer.html?layer=2',
+            layer: 2,
+            title: 'Baconian Puzzle: Data Link Layer Message',
+            plaintext: 'FRAME',
+            alphabet: 'bacon24',
+            feedback: 'letters',
+            hints: [
+                'The word names the unit of data this layer wraps around each packet.'
+            ]
+        },
+        {
+            id: 'layer3',
+            page: 'layer.html?layer=3',
+            layer: 3,
+            title: 'Baconian Puzzle: Network Layer Message',
+            plaintext: 'PACKET',
+            alphabet: 'binary26',
+            feedback: 'letters',
+            hints: [
+                'The word names the unit of data routers forward.'
+            ]
+        },
+        {
+            id: 'layer4',
+            page: 'layer4.html',
+            layer: 4,
+            title: 'Baconian Puzzle: Transport Layer Message',
+            plaintext: 'RELIABLE',
+            alphabet: 'binary26',
+            feedback: 'letters',
+            hints: [
+                'The word describes what TCP promises and UDP does not.'
+            ]
+        },
+        {
+            id: 'layer4Stego',
+            page: 'layer4.html',
+            layer: 4,
+            title: "Hidden Message: Bacon's Biliteral Trick",
+            plaintext: 'SEGMENT',
+            alphabet: 'binary26',
+            maxHints: 3,
+            hints: [
+                'The word names the unit of data the transport layer creates.'
+            ],
+            intro: "Bacon's real cipher never showed A/B groups at all. He printed an innocent-looking text in two slightly different typefaces: letters in one face stand for <strong>A</strong>, letters in the other for <strong>B</strong>. The <em>Helpful Analogy</em> paragraph above hides a second word this way — every <strong>bold</strong> letter is a B and every normal letter is an A. Read the letters five at a time, or press \"Extract A/B groups\" to let the decoder read the typeface for you.",
+            cover: 'layer4Cover',
+            stegoStyle: 'weight'
+        },
+        {
+            id: 'layer5',
+            page: 'layer5.html',
+            layer: 5,
+            title: 'Baconian Puzzle: Session Layer Message',
+            plaintext: 'SESSION',
+            alphabet: 'bacon24',
+            feedback: 'letters',
+            hints: [
+                'The word is the thing this layer opens, maintains and closes.'
+            ]
+        },
+        {
+            id: 'layer5Stego',
+            page: 'layer5.html',
+            layer: 5,
+            title: "Hidden Message: Bacon's Biliteral Trick",
+            plaintext: 'CHECKPOINT',
+            alphabet: 'binary26',
+            maxHints: 3,
+            hints: [
+                'The word names the synchronization point a session resumes from.'
+            ],
+            intro: "Bacon's real cipher never showed A/B groups at all. He printed an innocent-looking text in two slightly different typefaces: letters in one face stand for <strong>A</strong>, letters in the other for <strong>B</strong>. The <em>Helpful Analogy</em> paragraph above hides a second word this way — every letter in a <strong>serif</strong> face is a B and every sans-serif letter is an A. Read the letters five at a time, or press \"Extract A/B groups\" to let the decoder read the typeface for you.",
+            cover: 'layer5Cover',
+            stegoStyle: 'typeface'
+        },
+        {
+            id: 'layer6',
+            page: 'layer.html?layer=6',
+            layer: 6,
+            title: 'Baconian Puzzle: Presentation Layer Message',
+            plaintext: 'ENCODING',
+            alphabet: 'bacon24',
+            feedback: 'letters',
+            hints: [
+                'The word describes turning data into an agreed representation — as this cipher does.'
+            ]
+        },
+        {
+            id: 'layer7',
+            page: 'layer.html?layer=7',
+            layer: 7,
+            title: 'Baconian Puzzle: Application Layer Message',
+            plaintext: 'REQUEST',
+            alphabet: 'binary26',
+            feedback: 'letters',
+            hints: [
+                'The word names what a client sends to a server.'
+            ]
+        }
+    ]
+};
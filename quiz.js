@@ -0,0 +1,173 @@
+/**
+ * quiz.js
+ *
+ * Quiz engine for the OSI Model educational website: picks and shuffles a
+ * quiz's questions and grades answers. Question banks live in quizzes.js;
+ * app.js renders the quiz and saves results with PuzzleProgress.
+ *
+ * Question types (the `type` field):
+ *   - 'choice': Pick one of `options`; `answer` is the index of the right one.
+ *   - 'order':  Arrange `items`, which are listed in the correct order.
+ *   - 'match':  Pair each `pairs[i].left` with its `pairs[i].right`.
+ *   - 'blank':  Fill the ___ in `prompt`; any of `answers` is accepted
+ *               (case and extra spaces are ignored).
+ * Every question also has an `id`, a `prompt` and an `explanation` that is
+ * shown once the student has answered.
+ *
+ * Like baconian.js, the module touches no window or document:
+ *   - Browser: <script src="quiz.js"> defines window.QuizEngine.
+ *   - Node: const QuizEngine = require('./quiz.js'); (or import)
+ *
+ * No external dependencies. Pure JavaScript.
+ */
+
+(function(root, factory) {
+    const QuizEngine = factory();
+
+    // Node / CommonJS (ESM importers get this as the default export)
+    if (typeof module === 'object' && module.exports) {
+        module.exports = QuizEngine;
+    }
+
+    // Browser global. Prevent re-initialization in case this script is loaded multiple times
+    if (root && typeof root.QuizEngine === 'undefined') {
+        root.QuizEngine = QuizEngine;
+    }
+})(typeof window !== 'undefined' ? window : null, function() {
+    const QuizEngine = {};
+
+    QuizEngine.TYPES = ['choice', 'order', 'match', 'blank'];
+
+    /**
+     * Returns a shuffled copy of an array (Fisher-Yates).
+     * @param {array} items - Items to shuffle (not modified).
+     * @param {function} [random] - Returns a number in [0, 1). Defaults to Math.random.
+     * @returns {array} - The items in a random order.
+     */
+    QuizEngine.shuffle = function(items, random) {
+        random = random || Math.random;
+        const copy = items.slice();
+        for (let i = copy.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            const swap = copy[i];
+            copy[i] = copy[j];
+            copy[j] = swap;
+        }
+        return copy;
+    };
+
+    /**
+     * Checks that a question has the fields its type needs.
+     * @param {object} question - A question from a question bank.
+     * @returns {boolean} - True if the question can be asked and graded.
+     */
+    QuizEngine.isValidQuestion = function(question) {
+        if (!question || !question.id || !question.prompt || QuizEngine.TYPES.indexOf(question.type) === -1) {
+            return false;
+        }
+        switch (question.type) {
+            case 'choice':
+                return Array.isArray(question.options) && question.options[question.answer] !== undefined;
+            case 'order':
+                return Array.isArray(question.items) && question.items.length > 1;
+            case 'match':
+                return Array.isArray(question.pairs) && question.pairs.length > 1 &&
+                    question.pairs.every(pair => pair.left && pair.right);
+            default:
+                return Array.isArray(question.answers) && question.answers.length > 0;
+        }
+    };
+
+    /**
+     * Picks and shuffles the questions for one run of a quiz. Choice options,
+     * order items and match answers are shuffled too; order items are never
+     * left already in the correct order.
+     * @param {object} quiz - { questions, count } where count caps how many
+     *   questions are asked (default: all).
+     * @param {function} [random] - Returns a number in [0, 1). Defaults to Math.random.
+     * @returns {array} - Copies of the chosen questions, each with a display
+     *   field: choices ([{ text, index }]) for 'choice', shuffled for 'order',
+     *   rights for 'match'.
+     */
+    QuizEngine.prepareQuiz = function(quiz, random) {
+        const valid = (quiz.questions || []).filter(QuizEngine.isValidQuestion);
+        const count = quiz.count ? Math.min(quiz.count, valid.length) : valid.length;
+
+        return QuizEngine.shuffle(valid, random).slice(0, count).map(question => {
+            const prepared = Object.assign({}, question);
+            if (question.type === 'choice') {
+                prepared.choices = QuizEngine.shuffle(question.options.map((text, index) => ({ text: text, index: index })), random);
+            } else if (question.type === 'order') {
+                let shuffled = QuizEngine.shuffle(question.items, random);
+                for (let tries = 0; tries < 10 && shuffled.join('\n') === question.items.join('\n'); tries++) {
+                    shuffled = QuizEngine.shuffle(question.items, random);
+                }
+                if (shuffled.join('\n') === question.items.join('\n')) {
+                    shuffled = question.items.slice().reverse();
+                }
+                prepared.shuffled = shuffled;
+            } else if (question.type === 'match') {
+                prepared.rights = QuizEngine.shuffle(question.pairs.map(pair => pair.right), random);
+            }
+            return prepared;
+        });
+    };
+
+    /**
+     * Normalizes a typed answer: lowercase, trimmed, single spaces.
+     * @param {string} text - What the student typed.
+     * @returns {string} - The normalized answer.
+     */
+    QuizEngine.normalizeAnswer = function(text) {
+        return String(text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    };
+
+    /**
+     * Grades one answer.
+     * @param {object} question - The question (as returned by prepareQuiz or from the bank).
+     * @param {*} response - 'choice': the chosen option's index; 'order': the items
+     *   in the student's order; 'match': the right-hand answer chosen for each pair;
+     *   'blank': the typed text.
+     * @returns {object} - { correct, expected } where expected describes the right answer.
+     */
+    QuizEngine.gradeAnswer = function(question, response) {
+        switch (question.type) {
+            case 'choice':
+                return {
+                    correct: Number(response) === question.answer,
+                    expected: question.options[question.answer]
+                };
+            case 'order':
+                return {
+                    correct: Array.isArray(response) && response.join('\n') === question.items.join('\n'),
+                    expected: question.items.join(' → ')
+                };
+            case 'match':
+                return {
+                    correct: Array.isArray(response) && question.pairs.every((pair, i) => response[i] === pair.right),
+                    expected: question.pairs.map(pair => `${pair.left}: ${pair.right}`).join('; ')
+                };
+            default:
+                return {
+                    correct: question.answers.some(answer => QuizEngine.normalizeAnswer(answer) === QuizEngine.normalizeAnswer(response)),
+                    expected: question.answers[0]
+                };
+        }
+    };
+
+    /**
+     * Totals a run of graded answers.
+     * @param {array} results - One { questionId, correct } per answered question.
+     * @returns {object} - { correct, total, percent }
+     */
+    QuizEngine.scoreResults = function(results) {
+        const correct = results.filter(result => result.correct).length;
+        return {
+            correct: correct,
+            total: results.length,
+            percent: results.length ? Math.round((correct / results.length) * 100) : 0
+        };
+    };
+
+    return QuizEngine;
+});
@@ -0,0 +1,161 @@
+/**
+ * quizzes.js
+ *
+ * Question bank for the OSI Model educational website.
+ *
+ * Each entry is one quiz. app.js renders every quiz whose `page` matches the
+ * current page into its placeholder element:
+ *   <section class="quiz-section" data-quiz="<id>"></section>
+ *
+ * Entry fields:
+ *   - id (required): Unique quiz ID, also the base name for element IDs
+ *     (e.g. 'layer4Quiz' -> #layer4QuizQuestion, #layer4QuizFeedback).
+ *   - page (required): The page the quiz belongs to (a layer's `page` in layers.js).
+ *   - layer: OSI layer number the quiz is about (1-7).
+ *   - title: Heading shown above the quiz.
+ *   - count: How many questions to ask per run, drawn at random (default: all).
+ *   - questions (required): See quiz.js for the question types and their fields.
+ *
+ * Like puzzles.js, this is a plain script so the site works from disk.
+ */
+
+window.QuizBank = {
+    version: 1,
+    quizzes: [
+        {
+            id: 'layer4Quiz',
+            page: 'layer4.html',
+            layer: 4,
+            title: 'Check Your Understanding: Transport Layer',
+            count: 5,
+            questions: [
+                {
+                    id: 'l4-reliable',
+                    type: 'choice',
+                    prompt: 'Which protocol gives applications a reliable, ordered byte stream?',
+                    options: ['TCP', 'UDP', 'IP', 'Ethernet'],
+                    answer: 0,
+                    explanation: 'TCP numbers every byte, acknowledges what arrives and retransmits what is lost. UDP just sends datagrams.'
+                },
+                {
+                    id: 'l4-handshake',
+                    type: 'order',
+                    prompt: 'Put the start of a TCP connection in order.',
+                    items: ['Client sends SYN', 'Server replies SYN-ACK', 'Client sends ACK', 'Client sends the first data segment'],
+                    explanation: 'The three-way handshake (SYN, SYN-ACK, ACK) agrees on both sequence numbers before any data flows.'
+                },
+                {
+                    id: 'l4-layers',
+                    type: 'match',
+                    prompt: 'Match each protocol to its OSI layer.',
+                    pairs: [
+                        { left: 'TCP', right: 'Layer 4 — Transport' },
+                        { left: 'IP', right: 'Layer 3 — Network' },
+                        { left: 'HTTP', right: 'Layer 7 — Application' },
+                        { left: 'Ethernet', right: 'Layer 2 — Data Link' }
+                    ],
+                    explanation: 'TCP and UDP are transport protocols; they ride on IP and carry application protocols such as HTTP.'
+                },
+                {
+                    id: 'l4-socket',
+                    type: 'blank',
+                    prompt: 'A ___ pairs an IP address with a port number to identify one endpoint of a connection.',
+                    answers: ['socket', 'sockets'],
+                    explanation: 'A socket is an IP address plus a port (and protocol). A connection is identified by both ends: the 4-tuple.'
+                },
+                {
+                    id: 'l4-https',
+                    type: 'choice',
+                    prompt: 'Which well-known port does HTTPS use?',
+                    options: ['80', '22', '443', '53'],
+                    answer: 2,
+                    explanation: 'HTTPS listens on 443. Port 80 is plain HTTP, 22 is SSH and 53 is DNS.'
+                },
+                {
+                    id: 'l4-dns-udp',
+                    type: 'choice',
+                    prompt: 'Why do DNS lookups usually travel over UDP?',
+                    options: [
+                        'UDP encrypts the query',
+                        'A lookup is one small request and reply, so a handshake would only add delay',
+                        'UDP guarantees the answer arrives',
+                        'DNS servers cannot accept TCP connections'
+                    ],
+                    answer: 1,
+                    explanation: 'UDP skips the handshake. If a reply is lost, the resolver simply asks again.'
+                },
+                {
+                    id: 'l4-segment',
+                    type: 'blank',
+                    prompt: "The transport layer splits application data into pieces called ___ (TCP's name for its unit of data).",
+                    answers: ['segments', 'segment'],
+                    explanation: "TCP calls its unit of data a segment; UDP's is usually called a datagram."
+                }
+            ]
+        },
+        {
+            id: 'layer5Quiz',
+            page: 'layer5.html',
+            layer: 5,
+            title: 'Check Your Understanding: Session Layer',
+            count: 5,
+            questions: [
+                {
+                    id: 'l5-role',
+                    type: 'choice',
+                    prompt: "What is the session layer's main job?",
+                    options: [
+                        'Routing packets between networks',
+                        'Managing the dialog between two applications: opening, synchronizing and closing it',
+                        'Encrypting and compressing data',
+                        'Turning bits into electrical signals'
+                    ],
+                    answer: 1,
+                    explanation: 'Routing is Layer 3, encryption is Layer 6 and signalling is Layer 1. Layer 5 manages the conversation itself.'
+                },
+                {
+                    id: 'l5-lifecycle',
+                    type: 'order',
+                    prompt: 'Put the events of a session in order.',
+                    items: ['Establish the session', 'Exchange data', 'Insert a checkpoint', 'Connection drops and the session resumes', 'Terminate the session'],
+                    explanation: 'A checkpoint has to exist before a failure for the session to resume from it.'
+                },
+                {
+                    id: 'l5-terms',
+                    type: 'match',
+                    prompt: 'Match each term to what it does.',
+                    pairs: [
+                        { left: 'Checkpoint', right: 'A point both sides agree they can resume from' },
+                        { left: 'Token', right: 'Decides who may send in half duplex' },
+                        { left: 'Full duplex', right: 'Both sides send at the same time' },
+                        { left: 'Session ID', right: 'Names the conversation so it can be picked up again' }
+                    ],
+                    explanation: 'Together these give the session layer dialog control and synchronization.'
+                },
+                {
+                    id: 'l5-token',
+                    type: 'blank',
+                    prompt: 'In half-duplex dialog control, only the side holding the ___ may send.',
+                    answers: ['token', 'data token'],
+                    explanation: 'Passing the token hands the right to send to the other side.'
+                },
+                {
+                    id: 'l5-resume',
+                    type: 'choice',
+                    prompt: 'After the connection drops, where does a session resume?',
+                    options: ['From the very beginning', 'From the last checkpoint', 'From the last byte sent', 'It cannot resume'],
+                    answer: 1,
+                    explanation: 'Only data up to the last checkpoint is known to be safe; anything after it is sent again.'
+                },
+                {
+                    id: 'l5-sip',
+                    type: 'choice',
+                    prompt: 'Which protocol sets up, manages and ends multimedia calls?',
+                    options: ['SIP', 'ARP', 'FTP', 'ICMP'],
+                    answer: 0,
+                    explanation: 'SIP (Session Initiation Protocol) is a classic example of session management.'
+                }
+            ]
+        }
+    ]
+};
@@ -0,0 +1,227 @@
+/**
+ * search.js
+ *
+ * Site search for the OSI Model educational website: builds an index of
+ * every layer's content sections from the layer registry (layers.js), ranks
+ * sections against a query and cuts highlighted snippets. app.js draws the
+ * search box in the header and links each result to its section's <h3> anchor.
+ *
+ * Ranking, per query word (every word must match somewhere):
+ *   - a word in the section heading counts most,
+ *   - then the layer's name,
+ *   - then each use in the section text (capped, so long sections don't win
+ *     just by being long).
+ * The last query word also matches as a prefix, so results update while
+ * typing ("checkp" finds "checkpoint"). Sections containing the whole query
+ * as a phrase get a bonus.
+ *
+ * Like baconian.js, the module touches no window or document:
+ *   - Browser: <script src="search.js"> defines window.SiteSearch.
+ *   - Node: const SiteSearch = require('./search.js'); (or import)
+ *
+ * No external dependencies. Pure JavaScript.
+ */
+
+(function(root, factory) {
+    const SiteSearch = factory();
+
+    // Node / CommonJS (ESM importers get this as the default export)
+    if (typeof module === 'object' && module.exports) {
+        module.exports = SiteSearch;
+    }
+
+    // Browser global. Prevent re-initialization in case this script is loaded multiple times
+    if (root && typeof root.SiteSearch === 'undefined') {
+        root.SiteSearch = SiteSearch;
+    }
+})(typeof window !== 'undefined' ? window : null, function() {
+    const SiteSearch = {};
+
+    const WEIGHTS = { heading: 10, layer: 3, text: 2, textCap: 5, phrase: 5 };
+    const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'", '&nbsp;': ' ' };
+
+    /**
+     * Turns an HTML fragment into plain text: tags removed, common entities
+     * decoded, whitespace collapsed.
+     * @param {string} html - HTML from a layers.js section.
+     * @returns {string} - The text a reader sees.
+     */
+    SiteSearch.stripHtml = function(html) {
+        return String(html || '')
+            .replace(/<(script|style)[\s\S]*?<\/\1>/gi, ' ')
+            .replace(/<!--[\s\S]*?-->/g, ' ')
+            .replace(/<[^>]*>/g, ' ')
+            .replace(/&(amp|lt|gt|quot|#39|nbsp);/g, entity => ENTITIES[entity])
+            .replace(/\s+/g, ' ')
+            .trim();
+    };
+
+    /**
+     * Splits text into lowercase words (letters and digits only).
+     * @param {string} text - Any text.
+     * @returns {array} - The words, in order.
+     */
+    SiteSearch.tokenize = function(text) {
+        return String(text || '').toLowerCase().match(/[a-z0-9]+/g) || [];
+    };
+
+    /**
+     * Counts how often each word appears.
+     * @param {array} words - Words from tokenize().
+     * @returns {object} - { word: count }
+     */
+    function countWords(words) {
+        const counts = {};
+        words.forEach(word => {
+            counts[word] = (counts[word] || 0) + 1;
+        });
+        return counts;
+    }
+
+    /**
+     * Builds the search index: one document per text or diagram section of
+     * every layer (simulator placeholders have no text to search).
+     * @param {array} layers - Layer registry entries (window.LayerRegistry.layers).
+     * @returns {array} - Documents of { layer, layerName, page, id, heading, text, url }
+     *   plus the word counts used for ranking.
+     */
+    SiteSearch.buildIndex = function(layers) {
+        const docs = [];
+        (layers || []).forEach(layer => {
+            (layer.sections || []).forEach((section, order) => {
+                if (section.type === 'simulator' || !section.id || !section.heading) return;
+
+                const text = SiteSearch.stripHtml([section.caption, section.html].filter(Boolean).join(' '));
+                docs.push({
+                    layer: layer.number,
+                    layerName: layer.name,
+                    page: layer.page,
+                    id: section.id,
+                    heading: section.heading,
+                    text: text,
+                    url: `${layer.page}#${section.id}`,
+                    order: order,
+                    headingWords: countWords(SiteSearch.tokenize(section.heading)),
+                    layerWords: countWords(SiteSearch.tokenize(layer.name)),
+                    textWords: countWords(SiteSearch.tokenize(text))
+                });
+            });
+        });
+        return docs;
+    };
+
+    /**
+     * Counts the words in a count table that match a query word.
+     * @param {object} counts - { word: count } for one field.
+     * @param {string} term - A query word.
+     * @param {boolean} prefix - Also match words that start with the term.
+     * @returns {number} - How many times the term matched.
+     */
+    function countMatches(counts, term, prefix) {
+        if (!prefix) return counts[term] || 0;
+        return Object.keys(counts).reduce((sum, word) => sum + (word.indexOf(term) === 0 ? counts[word] : 0), 0);
+    }
+
+    /**
+     * Ranks the indexed sections against a query.
+     * @param {array} index - Documents from buildIndex().
+     * @param {string} query - What the student typed.
+     * @param {object} [options] - Search options.
+     * @param {number} [options.limit] - Most results to return (default 8).
+     * @returns {array} - Results of { doc, score, terms }, best first; terms are
+     *   the query words, for highlighting.
+     */
+    SiteSearch.search = function(index, query, options = {}) {
+        const terms = SiteSearch.tokenize(query);
+        if (!terms.length || terms.join('').length < 2) return [];
+
+        const limit = options.limit || 8;
+        const phrase = terms.join(' ');
+
+        const results = [];
+        index.forEach(doc => {
+            let score = 0;
+            const allMatch = terms.every((term, i) => {
+                const prefix = i === terms.length - 1;
+                const heading = countMatches(doc.headingWords, term, prefix);
+                const layer = countMatches(doc.layerWords, term, prefix);
+                const text = countMatches(doc.textWords, term, prefix);
+
+                score += (heading ? WEIGHTS.heading : 0) + (layer ? WEIGHTS.layer : 0) + Math.min(text, WEIGHTS.textCap) * WEIGHTS.text;
+                return heading + layer + text > 0;
+            });
+            if (!allMatch) return;
+
+            if (terms.length > 1 && SiteSearch.tokenize(`${doc.heading} ${doc.text}`).join(' ').indexOf(phrase) !== -1) {
+                score += WEIGHTS.phrase;
+            }
+            results.push({ doc: doc, score: score, terms: terms });
+        });
+
+        return results
+            .sort((a, b) => b.score - a.score || a.doc.layer - b.doc.layer || a.doc.order - b.doc.order)
+            .slice(0, limit);
+    };
+
+    /**
+     * Builds a regular expression matching any of the query words at the
+     * start of a word (so "checkp" highlights "checkpoints").
+     * @param {array} terms - Query words from tokenize() (letters and digits only).
+     * @returns {RegExp|null} - The pattern, or null if there are no words.
+     */
+    function termPattern(terms) {
+        if (!terms.length) return null;
+        return new RegExp(`(^|[^a-z0-9])((?:${terms.join('|')})[a-z0-9]*)`, 'gi');
+    }
+
+    /**
+     * Splits text into plain and matching parts, for highlighting.
+     * @param {string} text - Text to mark up.
+     * @param {array} terms - Query words.
+     * @returns {array} - Parts of { text, match } that join back into the text.
+     */
+    SiteSearch.highlight = function(text, terms) {
+        const pattern = termPattern(terms);
+        const parts = [];
+        let last = 0;
+
+        if (pattern) {
+            let found;
+            while ((found = pattern.exec(text)) !== null) {
+                const start = found.index + found[1].length;
+                if (start > last) parts.push({ text: text.slice(last, start), match: false });
+                parts.push({ text: found[2], match: true });
+                last = start + found[2].length;
+            }
+        }
+        if (last < text.length) parts.push({ text: text.slice(last), match: false });
+        return parts;
+    };
+
+    /**
+     * Cuts a snippet of the text around the first match and highlights it.
+     * @param {string} text - A section's text.
+     * @param {array} terms - Query words.
+     * @param {number} [length] - Rough snippet length in characters (default 160).
+     * @returns {array} - Highlighted parts (see highlight()), with '…' added
+     *   where the text was cut.
+     */
+    SiteSearch.makeSnippet = function(text, terms, length = 160) {
+        const pattern = termPattern(terms);
+        const found = pattern ? pattern.exec(text) : null;
+        const matchAt = found ? found.index + found[1].length : 0;
+
+        let start = Math.max(0, matchAt - Math.floor(length / 3));
+        let end = Math.min(text.length, start + length);
+        start = Math.max(0, Math.min(start, end - length));
+
+        // Don't cut words in half
+        if (start > 0) start = text.indexOf(' ', start) + 1 || start;
+        if (end < text.length) end = text.lastIndexOf(' ', end) > start ? text.lastIndexOf(' ', end) : end;
+
+        const snippet = (start > 0 ? '…' : '') + text.slice(start, end).trim() + (end < text.length ? '…' : '');
+        return SiteSearch.highlight(snippet, terms);
+    };
+
+    return SiteSearch;
+});
@@ -0,0 +1,346 @@
+/**
+ * shortcuts.js
+ *
+ * Keyboard shortcut registry for the OSI Model educational website. Every
+ * page-wide shortcut is registered here instead of adding its own document
+ * keydown listener, so there is one place that:
+ *   - dispatches keys (ignoring keys typed into inputs, selects and
+ *     contenteditable elements, and keys pressed with Ctrl, Alt or Meta),
+ *   - detects two shortcuts claiming the same key,
+ *   - stores keys the student has remapped, and
+ *   - lists the active shortcuts for the '?' help overlay (see app.js).
+ *
+ * Scopes: a binding belongs to 'global' (anywhere) or to a named scope
+ * defined with defineScope(name, { label, selector }). A scoped binding is
+ * only active on pages that have an element matching the selector. Its
+ * handler receives the element the student is working in: the one holding
+ * focus, or else the first on the page. So one 'r' binding serves every
+ * puzzle on a page, acting on the puzzle in use.
+ *
+ * Remapped keys live in localStorage under one key:
+ *
+ *   osiShortcuts = {
+ *     version: 1,
+ *     keys: { <bindingId>: 'x' }    // only bindings whose key was changed
+ *   }
+ *
+ * Stored data from an older or unknown version is discarded. If
+ * localStorage is unavailable, remaps last for the current page only.
+ *
+ * No external dependencies. Pure JavaScript.
+ */
+
+// Prevent re-initialization in case this script is loaded multiple times
+if (typeof window.ShortcutManager === 'undefined') {
+    window.ShortcutManager = {};
+
+    window.ShortcutManager.STORAGE_KEY = 'osiShortcuts';
+    window.ShortcutManager.VERSION = 1;
+
+    const scopes = {
+        global: { label: 'Anywhere', selector: null }
+    };
+    const bindings = [];
+    let enabled = true;
+
+    // Fallback store used when localStorage throws (private mode, blocked storage)
+    let memoryStore = null;
+
+    /**
+     * Normalizes a key name so bindings and events compare equal: letters
+     * are lowercased ('D' and 'd' are the same shortcut), ' ' becomes 'Space'.
+     * @param {string} key - A KeyboardEvent.key value.
+     * @returns {string} - The normalized key ('' for none).
+     */
+    window.ShortcutManager.normalizeKey = function(key) {
+        if (!key) return '';
+        if (key === ' ' || key === 'Spacebar') return 'Space';
+        if (key === 'Esc') return 'Escape';
+        return key.length === 1 ? key.toLowerCase() : key;
+    };
+
+    /**
+     * Checks whether a key can be bound: a single printable character other
+     * than space. Named keys (Tab, Enter, arrows, Escape) are left to the
+     * page's own controls.
+     * @param {string} key - A normalized key.
+     * @returns {boolean} - True if students may remap a shortcut to it.
+     */
+    window.ShortcutManager.isBindableKey = function(key) {
+        return typeof key === 'string' && key.length === 1 && key.trim() !== '';
+    };
+
+    /**
+     * Checks whether typing in an element should bypass shortcuts: text
+     * inputs, textareas, selects and contenteditable regions.
+     * @param {Element} element - Usually document.activeElement.
+     * @returns {boolean} - True if keys pressed there are text, not shortcuts.
+     */
+    window.ShortcutManager.isEditable = function(element) {
+        if (!element || element.nodeType !== 1) return false;
+        if (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA' || element.tagName === 'SELECT') return true;
+        return Boolean(element.isContentEditable || element.closest('[contenteditable]:not([contenteditable="false"])'));
+    };
+
+    /**
+     * Loads the stored key remaps, discarding data saved by a different version.
+     * @returns {object} - { version, keys }
+     */
+    window.ShortcutManager.load = function() {
+        const empty = { version: window.ShortcutManager.VERSION, keys: {} };
+        let raw = null;
+        try {
+            raw = localStorage.getItem(window.ShortcutManager.STORAGE_KEY);
+        } catch (err) {
+            return memoryStore || empty;
+        }
+        if (!raw) return empty;
+
+        try {
+            const data = JSON.parse(raw);
+            if (data && data.version === window.ShortcutManager.VERSION && data.keys && typeof data.keys === 'object') {
+                return data;
+            }
+        } catch (err) {
+            console.warn('Discarding unreadable shortcut settings', err);
+        }
+        return empty;
+    };
+
+    /**
+     * Saves the key remaps.
+     * @param {object} data - { version, keys }
+     */
+    window.ShortcutManager.save = function(data) {
+        try {
+            localStorage.setItem(window.ShortcutManager.STORAGE_KEY, JSON.stringify(data));
+        } catch (err) {
+            memoryStore = data;
+        }
+    };
+
+    /**
+     * Defines a scope that bindings can belong to.
+     * @param {string} name - Scope name (e.g. 'puzzle').
+     * @param {object} options - { label, selector }: label heads the scope's
+     *   group in the help overlay; selector matches the elements it covers.
+     */
+    window.ShortcutManager.defineScope = function(name, options) {
+        scopes[name] = { label: options.label || name, selector: options.selector || null };
+    };
+
+    /**
+     * Finds the registered binding that owns a key, if any.
+     * @param {string} key - A normalized key.
+     * @param {string} [exceptId] - Binding to leave out (the one being changed).
+     * @returns {object|null} - The binding using the key.
+     */
+    function findBindingForKey(key, exceptId) {
+        return bindings.find(binding => binding.id !== exceptId && binding.key === key && !binding.conflict) || null;
+    }
+
+    /**
+     * Registers a shortcut. A stored remap replaces the default key. If the key
+     * is already taken, the binding is kept (so the overlay can show it) but
+     * marked as conflicting and does not fire until it is given another key.
+     * @param {object} options - Binding options.
+     * @param {string} options.id - Unique binding ID (also the remap storage key).
+     * @param {string} [options.key] - Default key. Omit for entries that only
+     *   document a key handled elsewhere (see options.display).
+     * @param {string} options.description - What the shortcut does.
+     * @param {string} [options.scope] - 'global' (default) or a defineScope() name.
+     * @param {function} [options.handler] - Called with (event, scopeElement);
+     *   returning false leaves the key to the browser.
+     * @param {boolean} [options.remappable] - Whether students may change the key
+     *   (default: true when there is a handler).
+     * @param {string} [options.display] - Key text shown instead of the key.
+     * @returns {object} - { ok, conflict } where conflict is the ID of the
+     *   binding that already had the key.
+     */
+    window.ShortcutManager.register = function(options) {
+        if (window.ShortcutManager.getBinding(options.id)) {
+            console.warn(`Shortcut "${options.id}" is already registered`);
+            return { ok: false, conflict: options.id };
+        }
+        if (options.scope && !scopes[options.scope]) {
+            console.warn(`Unknown shortcut scope "${options.scope}"`);
+        }
+
+        const defaultKey = window.ShortcutManager.normalizeKey(options.key);
+        const stored = window.ShortcutManager.load().keys[options.id];
+        const binding = {
+            id: options.id,
+            defaultKey: defaultKey,
+            key: stored && defaultKey ? window.ShortcutManager.normalizeKey(stored) : defaultKey,
+            description: options.description,
+            scope: options.scope || 'global',
+            handler: options.handler || null,
+            remappable: options.remappable !== undefined ? Boolean(options.remappable) : Boolean(options.handler && defaultKey),
+            display: options.display || null,
+            conflict: null
+        };
+
+        const owner = binding.key ? findBindingForKey(binding.key) : null;
+        if (owner) {
+            binding.conflict = owner.id;
+            console.warn(`Shortcut "${binding.id}" wants "${binding.key}", which "${owner.id}" already uses`);
+        }
+        bindings.push(binding);
+        return { ok: !owner, conflict: owner ? owner.id : null };
+    };
+
+    /**
+     * Removes a binding.
+     * @param {string} id - Binding ID.
+     */
+    window.ShortcutManager.unregister = function(id) {
+        const index = bindings.findIndex(binding => binding.id === id);
+        if (index !== -1) bindings.splice(index, 1);
+    };
+
+    /**
+     * Looks up a binding.
+     * @param {string} id - Binding ID.
+     * @returns {object|null} - The binding.
+     */
+    window.ShortcutManager.getBinding = function(id) {
+        return bindings.find(binding => binding.id === id) || null;
+    };
+
+    /**
+     * Finds the element a scope applies to: the one holding focus, or the
+     * first on the page.
+     * @param {string} scopeName - Scope name.
+     * @returns {Element|Document|null} - The element, document for 'global',
+     *   or null if the scope has no element on this page.
+     */
+    function getScopeElement(scopeName) {
+        const scope = scopes[scopeName];
+        if (!scope || !scope.selector) return document;
+
+        const focused = document.activeElement && document.activeElement.closest
+            ? document.activeElement.closest(scope.selector)
+            : null;
+        return focused || document.querySelector(scope.selector);
+    }
+
+    /**
+     * Lists every binding, for the help overlay and the homepage's list.
+     * @returns {array} - Copies of { id, key, defaultKey, description, scope,
+     *   scopeLabel, remappable, display, conflict, active }, in registration
+     *   order. active is true if the binding's scope is on this page.
+     */
+    window.ShortcutManager.getBindings = function() {
+        return bindings.map(binding => ({
+            id: binding.id,
+            key: binding.key,
+            defaultKey: binding.defaultKey,
+            description: binding.description,
+            scope: binding.scope,
+            scopeLabel: (scopes[binding.scope] || { label: binding.scope }).label,
+            remappable: binding.remappable,
+            display: binding.display,
+            conflict: binding.conflict,
+            active: Boolean(getScopeElement(binding.scope))
+        }));
+    };
+
+    /**
+     * Lists keys claimed by more than one binding.
+     * @returns {array} - { key, ids } for each contested key.
+     */
+    window.ShortcutManager.findConflicts = function() {
+        const byKey = {};
+        bindings.filter(binding => binding.key).forEach(binding => {
+            byKey[binding.key] = byKey[binding.key] || [];
+            byKey[binding.key].push(binding.id);
+        });
+        return Object.keys(byKey)
+            .filter(key => byKey[key].length > 1)
+            .map(key => ({ key: key, ids: byKey[key] }));
+    };
+
+    /**
+     * Changes a binding's key and remembers it. Refuses keys that cannot be
+     * bound or that another binding already uses.
+     * @param {string} id - Binding ID.
+     * @param {string} key - The new key (a KeyboardEvent.key value).
+     * @returns {object} - { ok, reason, conflict } where reason is 'unknown',
+     *   'fixed', 'invalid' or 'conflict', and conflict the other binding's ID.
+     */
+    window.ShortcutManager.setKey = function(id, key) {
+        const binding = window.ShortcutManager.getBinding(id);
+        if (!binding) return { ok: false, reason: 'unknown', conflict: null };
+        if (!binding.remappable) return { ok: false, reason: 'fixed', conflict: null };
+
+        const normalized = window.ShortcutManager.normalizeKey(key);
+        if (!window.ShortcutManager.isBindableKey(normalized)) {
+            return { ok: false, reason: 'invalid', conflict: null };
+        }
+        const owner = findBindingForKey(normalized, id);
+        if (owner) {
+            return { ok: false, reason: 'conflict', conflict: owner.id };
+        }
+
+        binding.key = normalized;
+        binding.conflict = null;
+
+        const data = window.ShortcutManager.load();
+        if (normalized === binding.defaultKey) {
+            delete data.keys[id];
+        } else {
+            data.keys[id] = normalized;
+        }
+        window.ShortcutManager.save(data);
+        return { ok: true, reason: null, conflict: null };
+    };
+
+    /**
+     * Puts every binding back on its default key and forgets stored remaps.
+     * Bindings whose default is still taken stay marked as conflicting.
+     */
+    window.ShortcutManager.resetKeys = function() {
+        window.ShortcutManager.save({ version: window.ShortcutManager.VERSION, keys: {} });
+        bindings.forEach(binding => {
+            binding.key = binding.defaultKey;
+            binding.conflict = null;
+        });
+        bindings.forEach(binding => {
+            const owner = binding.key ? bindings.find(other => other !== binding && other.key === binding.key && !other.conflict) : null;
+            if (owner && bindings.indexOf(owner) < bindings.indexOf(binding)) {
+                binding.conflict = owner.id;
+            }
+        });
+    };
+
+    /**
+     * Turns shortcut dispatch on or off (e.g. while a dialog is capturing keys).
+     * @param {boolean} on - Whether shortcuts should fire.
+     */
+    window.ShortcutManager.setEnabled = function(on) {
+        enabled = Boolean(on);
+    };
+
+    /**
+     * Runs the binding for a keydown event, if any.
+     * @param {KeyboardEvent} e - The event.
+     * @returns {boolean} - True if a shortcut handled the key.
+     */
+    window.ShortcutManager.handleKeydown = function(e) {
+        if (!enabled || e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return false;
+        if (window.ShortcutManager.isEditable(document.activeElement)) return false;
+
+        const key = window.ShortcutManager.normalizeKey(e.key);
+        const binding = bindings.find(candidate => candidate.key === key && candidate.handler && !candidate.conflict);
+        if (!binding) return false;
+
+        const scopeElement = getScopeElement(binding.scope);
+        if (!scopeElement) return false;
+
+        if (binding.handler(e, scopeElement) === false) return false;
+        e.preventDefault();
+        return true;
+    };
+
+    document.addEventListener('keydown', window.ShortcutManager.handleKeydown);
+}
@@ -0,0 +1,131 @@
+/**
+ * sw.js
+ *
+ * Service worker for the OSI Model educational website: keeps every page,
+ * script and stylesheet in a cache on the first visit, so the site keeps
+ * working on a flaky or missing network afterwards.
+ *
+ * - install: downloads PRECACHE_URLS into a cache named after CACHE_VERSION.
+ * - activate: deletes caches left by older versions.
+ * - fetch: same-origin GET requests are answered from the cache when
+ *   possible (stale-while-revalidate): the cached copy is returned at once,
+ *   and the file is fetched again in the background to refresh the cache
+ *   for the next load. Files not cached yet come from the network and are
+ *   cached. A page that is in neither, while offline, gets index.html.
+ *
+ * Versioning: an edited file reaches a returning visitor on their second
+ * load after the edit, with no version change. To switch everyone over at
+ * once, or to precache a new file, bump CACHE_VERSION below. The browser
+ * then sees a changed sw.js, installs the new version next to the old one
+ * and leaves it waiting; app.js shows a "new content available" toast, and
+ * its Reload button sends { type: 'SKIP_WAITING' } so the new version takes
+ * over and the page reloads with the new files.
+ *
+ * app.js only registers this worker for pages served over http(s). Pages
+ * opened straight from disk (file://) work as before, without it.
+ *
+ * No external dependencies. Pure JavaScript.
+ */
+
+const CACHE_PREFIX = 'osi-model-';
+const CACHE_VERSION = 'v1';
+const CACHE_NAME = CACHE_PREFIX + CACHE_VERSION;
+
+// Every file a page needs. Keep this in step with the deployment notes in app.js.
+const PRECACHE_URLS = [
+    'index.html',
+    'glossary.html',
+    'layer.html',
+    'layer4.html',
+    'layer5.html',
+    'styles.css',
+    'theme.js',
+    'baconian.js',
+    'layers.js',
+    'search.js',
+    'glossary.js',
+    'puzzles.js',
+    'quiz.js',
+    'quizzes.js',
+    'shortcuts.js',
+    'toast.js',
+    'worksheet.js',
+    'progress.js',
+    'app.js',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+                .map(name => caches.delete(name))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Sent by app.js when the student chooses to reload into the new version
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+/**
+ * Downloads a file and stores it in the cache, replacing any older copy.
+ * Pages are stored without their query string (layer.html?layer=1 is
+ * layer.html), so they replace the copy that install put there.
+ * @param {Request} request - A same-origin GET request.
+ * @returns {Promise<Response>} - The downloaded response.
+ */
+async function refresh(request) {
+    const response = await fetch(request);
+    if (response.ok) {
+        const key = request.mode === 'navigate' ? request.url.split('?')[0] : request;
+        const cache = await caches.open(CACHE_NAME);
+        await cache.put(key, response.clone());
+    }
+    return response;
+}
+
+/**
+ * Answers a request from the cache, falling back to the network.
+ * @param {Request} request - A same-origin GET request.
+ * @param {Promise<Response>} network - The download already under way (from refresh()).
+ * @returns {Promise<Response>} - The cached or downloaded response.
+ */
+async function respond(request, network) {
+    const cache = await caches.open(CACHE_NAME);
+    const navigation = request.mode === 'navigate';
+
+    const cached = await cache.match(request, { ignoreSearch: navigation });
+    if (cached) return cached;
+
+    try {
+        return await network;
+    } catch (err) {
+        // Offline and not cached: show the homepage rather than the browser's error page
+        const fallback = navigation ? await cache.match('index.html') : null;
+        if (fallback) return fallback;
+        throw err;
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+        return;
+    }
+    // Always revalidate, even when the cache answers; keep the worker alive until the cache is updated
+    const network = refresh(request);
+    event.waitUntil(network.catch(() => null));
+    event.respondWith(respond(request, network));
+});
@@ -0,0 +1,177 @@
+/**
+ * baconian.test.js
+ *
+ * Unit tests for the Baconian cipher module (baconian.js), run under Node
+ * with `npm test`. These replace the console self-test that used to run on
+ * every page load.
+ */
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const BaconianCipher = require('../baconian.js');
+
+/**
+ * Lists all 32 five-bit patterns as A/B groups, AAAAA (0) to BBBBB (31).
+ * @returns {array} - 32 { index, group } pairs.
+ */
+function allPatterns() {
+    return Array.from({ length: 32 }, (value, index) => ({
+        index: index,
+        group: index.toString(2).padStart(5, '0').replace(/0/g, 'A').replace(/1/g, 'B')
+    }));
+}
+
+describe('decodeGroup', () => {
+    const cases = [
+        ['BAAAB', 'R'],
+        ['AABAA', 'E'],
+        ['BAABA', 'S'],
+        ['AAAAA', 'A'],
+        ['AAAAB', 'B'],
+        ['ABBBA', 'O']
+    ];
+
+    cases.forEach(([group, letter]) => {
+        it(`decodes ${group} to ${letter}`, () => {
+            assert.equal(BaconianCipher.decodeGroup(group), letter);
+        });
+    });
+
+    it('accepts lowercase groups', () => {
+        assert.equal(BaconianCipher.decodeGroup('baaab'), 'R');
+    });
+
+    it('returns ? for malformed groups', () => {
+        ['', 'BAAA', 'BAAAAB', 'BACAB', null, 17].forEach(group => {
+            assert.equal(BaconianCipher.decodeGroup(group), '?');
+        });
+    });
+
+    it('uses the bacon24 table when asked', () => {
+        assert.equal(BaconianCipher.decodeGroup('ABAAA', 'bacon24'), 'I');
+        assert.equal(BaconianCipher.decodeGroup('BAAAA', 'bacon24'), 'R');
+        assert.equal(BaconianCipher.decodeGroup('BAABB', 'bacon24'), 'U');
+        assert.equal(BaconianCipher.decodeGroup('BABBB', 'bacon24'), 'Z');
+        assert.equal(BaconianCipher.decodeGroup('BBAAA', 'bacon24'), '?');
+    });
+});
+
+describe('every 5-bit pattern', () => {
+    ['binary26', 'bacon24'].forEach(alphabet => {
+        const letters = BaconianCipher.getAlphabet(alphabet).letters;
+
+        allPatterns().forEach(({ index, group }) => {
+            it(`${alphabet}: ${group} (${index}) round-trips or is rejected`, () => {
+                const letter = BaconianCipher.decodeGroup(group, alphabet);
+                const steps = BaconianCipher.explainGroup(group, alphabet);
+
+                assert.equal(steps.index, index);
+                if (index < letters.length) {
+                    assert.equal(letter, letters[index]);
+                    assert.equal(BaconianCipher.encodeLetter(letter, alphabet), group);
+                    assert.equal(BaconianCipher.isValidGroup(group, alphabet), true);
+                    assert.equal(steps.valid, true);
+                } else {
+                    assert.equal(letter, '?');
+                    assert.equal(BaconianCipher.isValidGroup(group, alphabet), false);
+                    assert.equal(steps.valid, false);
+                }
+            });
+        });
+    });
+});
+
+describe('encoding', () => {
+    it('round-trips A-Z through encodeText and decodeGroups', () => {
+        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+        assert.equal(BaconianCipher.decodeGroups(BaconianCipher.encodeText(alphabet)), alphabet);
+        assert.equal(BaconianCipher.encodeLetter('r'), 'BAAAB');
+    });
+
+    it("round-trips Bacon's 24 letters", () => {
+        const letters = BaconianCipher.getAlphabet('bacon24').letters;
+        const groups = BaconianCipher.encodeText(letters, 'bacon24');
+        assert.equal(BaconianCipher.decodeGroups(groups, 'bacon24'), letters);
+    });
+
+    it('folds J and V into I and U in bacon24', () => {
+        assert.equal(BaconianCipher.encodeLetter('J', 'bacon24'), 'ABAAA');
+        assert.equal(BaconianCipher.encodeLetter('V', 'bacon24'), 'BAABB');
+    });
+
+    it('rejects non-letters', () => {
+        assert.equal(BaconianCipher.encodeLetter('7'), '');
+        assert.equal(BaconianCipher.encodeLetter('AB'), '');
+    });
+
+    it('decodes the layer puzzles', () => {
+        const reliable = ['BAAAB', 'AABAA', 'ABABB', 'ABAAA', 'AAAAA', 'AAAAB', 'ABABB', 'AABAA'];
+        const session = ['BAABA', 'AABAA', 'BAABA', 'BAABA', 'ABAAA', 'ABBBA', 'ABBAB'];
+        assert.equal(BaconianCipher.decodeGroups(reliable), 'RELIABLE');
+        assert.equal(BaconianCipher.decodeGroups(session), 'SESSION');
+    });
+
+    it('generates chip markup that decodes back to the plaintext', () => {
+        const puzzle = BaconianCipher.generatePuzzle('Session', 'bacon24');
+        assert.equal(puzzle.plaintext, 'SESSION');
+        assert.equal(puzzle.alphabet, 'bacon24');
+        assert.equal(BaconianCipher.decodeGroups(puzzle.groups, 'bacon24'), 'SESSION');
+        assert.equal((puzzle.markup.match(/class="chip-card"/g) || []).length, 7);
+    });
+});
+
+describe('normalizePlaintext', () => {
+    it('strips non-letters and uppercases', () => {
+        assert.equal(BaconianCipher.normalizePlaintext('Hello World!'), 'HELLOWORLD');
+        assert.equal(BaconianCipher.normalizePlaintext('ReliAbLE'), 'RELIABLE');
+        assert.equal(BaconianCipher.normalizePlaintext('SeSsIoN'), 'SESSION');
+    });
+
+    it('folds merged letters for bacon24', () => {
+        assert.equal(BaconianCipher.normalizePlaintext('Java', 'bacon24'), 'IAUA');
+    });
+});
+
+describe('explainGroup', () => {
+    it('breaks BAAAB into bits, terms and running sums', () => {
+        const steps = BaconianCipher.explainGroup('BAAAB');
+        assert.equal(steps.binary, '10001');
+        assert.deepEqual(steps.terms, [16, 1]);
+        assert.deepEqual(steps.runningSums, [16, 16, 16, 16, 17]);
+        assert.equal(steps.letter, 'R');
+        assert.equal(steps.maxIndex, 25);
+    });
+
+    it('returns null for malformed groups', () => {
+        assert.equal(BaconianCipher.explainGroup('ABC'), null);
+    });
+});
+
+describe('guess comparison', () => {
+    it('marks letters Wordle-style', () => {
+        const marks = BaconianCipher.compareGuess('REALLY', 'RELIABLE').map(mark => mark.status[0]).join('');
+        assert.equal(marks, 'ccpppa');
+    });
+
+    it('counts edits including swaps', () => {
+        assert.equal(BaconianCipher.editDistance('RELABLE', 'RELIABLE'), 1);
+        assert.equal(BaconianCipher.editDistance('SESSINO', 'SESSION'), 1);
+        assert.ok(BaconianCipher.editDistance('PORT', 'SESSION') > 1);
+    });
+});
+
+describe('steganographic cover', () => {
+    it('hides a message in a cover text and reads it back', () => {
+        const cover = BaconianCipher.encodeCover('Think of the transport layer as the postal service.', 'TCP');
+        const stream = cover.filter(part => part.bit).map(part => part.bit).join('');
+        assert.equal(BaconianCipher.decodeGroups(BaconianCipher.splitStream(stream)), 'TCP');
+    });
+
+    it('refuses a cover that is too short', () => {
+        assert.equal(BaconianCipher.encodeCover('Too short', 'TCP'), null);
+    });
+
+    it('drops a trailing partial group', () => {
+        assert.deepEqual(BaconianCipher.splitStream('AABAABAAAAAB'), ['AABAA', 'BAAAA']);
+    });
+});
@@ -0,0 +1,13 @@
+/**
+ * esm.test.mjs
+ *
+ * Checks that baconian.js can be imported from an ES module.
+ */
+
+import { it } from 'node:test';
+import assert from 'node:assert/strict';
+import BaconianCipher from '../baconian.js';
+
+it('imports baconian.js as an ES module default export', () => {
+    assert.equal(BaconianCipher.decodeGroups(BaconianCipher.encodeText('TCP')), 'TCP');
+});
@@ -0,0 +1,145 @@
+/**
+ * glossary.test.js
+ *
+ * Tests for the glossary (glossary.js): term matching, the tooltip pass over
+ * layer content in app.js, and the generated glossary page.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/page.js');
+
+const SCRIPTS = ['baconian.js', 'layers.js', 'search.js', 'glossary.js', 'puzzles.js', 'quiz.js', 'quizzes.js', 'progress.js', 'app.js'];
+const LAYER_SHELL = '<header class="header" data-site-header></header><main id="main" data-layer-content></main>';
+
+let dom = null;
+
+/**
+ * Loads a page with every site script.
+ * @param {string} page - Page URL (e.g. 'layer5.html').
+ * @param {string} body - HTML for the <body>.
+ * @param {string} [bodyAttributes] - Attributes for the <body> tag.
+ * @returns {Promise<object>} - The page's window.
+ */
+async function open(page, body, bodyAttributes) {
+    dom = await loadPage({ page: page, body: body, bodyAttributes: bodyAttributes, scripts: SCRIPTS });
+    return dom.window;
+}
+
+afterEach(() => {
+    if (dom) dom.window.close();
+    dom = null;
+});
+
+describe('glossary data', () => {
+    it('has unique IDs, and every term is used on some layer page', async () => {
+        const window = await open('index.html', '');
+        const entries = window.loadGlossary();
+
+        assert.equal(new Set(entries.map(entry => entry.id)).size, entries.length);
+        entries.forEach(entry => {
+            assert.ok(window.findGlossaryUsages(entry).length > 0, `${entry.term} is used`);
+        });
+    });
+});
+
+describe('buildGlossaryPattern', () => {
+    it('matches acronyms only in capitals, as whole words', async () => {
+        const window = await open('index.html', '');
+        const pattern = window.buildGlossaryPattern({ term: 'TCP' });
+
+        assert.equal(pattern.test('uses TCP for'), true);
+        assert.equal(pattern.test('TCP/IP'), true);
+        assert.equal(pattern.test('tcp'), false);
+        assert.equal(pattern.test('TCPX'), false);
+    });
+
+    it('matches other terms in any case, with a plural s and aliases', async () => {
+        const window = await open('index.html', '');
+        const pattern = window.buildGlossaryPattern({ term: 'half duplex', aliases: ['half-duplex'] });
+
+        assert.equal(pattern.exec('Half-duplex dialog')[2], 'Half-duplex');
+        assert.equal(window.buildGlossaryPattern({ term: 'socket' }).exec('two sockets')[2], 'sockets');
+    });
+
+    it("matches an acronym's spelled-out alias in any case, but the acronym only in capitals", async () => {
+        const window = await open('index.html', '');
+        const pattern = window.buildGlossaryPattern({ term: 'MSS', aliases: ['maximum segment size'] });
+
+        assert.equal(pattern.exec('Maximum segment size is announced')[2], 'Maximum segment size');
+        assert.equal(pattern.exec('the MAXIMUM SEGMENT SIZE')[2], 'MAXIMUM SEGMENT SIZE');
+        assert.equal(pattern.test('the mss option'), false);
+        assert.equal(pattern.exec('two MSSs')[2], 'MSSs');
+    });
+});
+
+describe('applyGlossaryTerms', () => {
+    it('turns the first use of a term in each section into a tooltip link', async () => {
+        const window = await open('layer5.html', LAYER_SHELL, 'data-layer="5"');
+        const document = window.document;
+        const examples = document.getElementById('examples').closest('section');
+        const rpc = examples.querySelectorAll('.glossary-term[data-term="rpc"]');
+
+        assert.equal(rpc.length, 1);
+        assert.equal(rpc[0].getAttribute('href'), 'glossary.html#rpc');
+        const tooltip = document.getElementById(rpc[0].getAttribute('aria-describedby'));
+        assert.equal(tooltip.getAttribute('role'), 'tooltip');
+        assert.match(tooltip.textContent, /Remote Procedure Call/);
+    });
+
+    it('leaves headings and steganographic cover texts alone', async () => {
+        const window = await open('layer5.html', LAYER_SHELL, 'data-layer="5"');
+        const document = window.document;
+
+        assert.equal(document.querySelectorAll('h3 .glossary-term').length, 0);
+        assert.equal(document.querySelectorAll('#layer5Cover .glossary-term').length, 0);
+        assert.equal(window.readSteganography(document.getElementById('layer5Cover')).length % 5, 0);
+    });
+
+    it('keeps the text readable: wrapping a term does not change it', async () => {
+        const window = await open('layer4.html', LAYER_SHELL, 'data-layer="4"');
+        const paragraph = window.document.getElementById('services').parentElement.querySelector('p');
+
+        // What a reader sees: the terms, without their (hidden) tooltips
+        const visible = Array.from(paragraph.childNodes)
+            .map(node => node.classList && node.classList.contains('glossary-wrap') ? node.querySelector('.glossary-term').textContent : node.textContent)
+            .join('');
+        assert.ok(paragraph.querySelectorAll('.glossary-term').length > 0);
+        assert.match(visible, /the window size each receiver advertises/);
+        assert.match(visible, /maximum segment size \(MSS\)/);
+    });
+
+    it('hides an open tooltip on Escape until focus leaves the term', async () => {
+        const window = await open('layer4.html', LAYER_SHELL, 'data-layer="4"');
+        const term = window.document.querySelector('.glossary-term');
+        term.focus();
+        window.document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+        assert.equal(term.parentElement.classList.contains('dismissed'), true);
+        term.blur();
+        assert.equal(term.parentElement.classList.contains('dismissed'), false);
+    });
+
+    it('leaves Escape alone when no tooltip is open', async () => {
+        const window = await open('layer4.html', LAYER_SHELL, 'data-layer="4"');
+        const escape = new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true, cancelable: true });
+        window.document.body.dispatchEvent(escape);
+
+        assert.equal(escape.defaultPrevented, false);
+        assert.equal(window.document.querySelectorAll('.glossary-wrap.dismissed').length, 0);
+    });
+});
+
+describe('renderGlossaryPage', () => {
+    it('lists every term alphabetically with links to where it is used', async () => {
+        const window = await open('glossary.html', '<header class="header" data-site-header></header><main id="main" data-glossary></main>');
+        const document = window.document;
+        const terms = Array.from(document.querySelectorAll('.glossary-entry dt')).map(dt => dt.id);
+
+        assert.equal(terms.length, window.loadGlossary().length);
+        assert.ok(terms.indexOf('arp') < terms.indexOf('tcp'));
+        const links = document.getElementById('mss').parentElement.querySelectorAll('.glossary-used a');
+        assert.equal(links[0].getAttribute('href'), 'layer4.html#services');
+        assert.equal(document.querySelector('.nav-link.active').textContent, 'Glossary');
+    });
+});
@@ -0,0 +1,112 @@
+/**
+ * page.js
+ *
+ * Test helper: loads the site's scripts into a simulated browser page (jsdom)
+ * so app.js can be exercised without a real browser.
+ */
+
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..', '..');
+
+/**
+ * Creates a page, runs the given site scripts in it and waits for load.
+ * @param {object} [options] - Page options.
+ * @param {string} [options.body] - HTML for the <body>.
+ * @param {string} [options.bodyAttributes] - Attributes for the <body> tag (e.g. 'data-layer="4"').
+ * @param {string} [options.page] - Page file name used in the URL (e.g. 'layer4.html').
+ * @param {string} [options.origin] - Where the page is served from (default 'http://localhost';
+ *   'file://' opens it as if from disk).
+ * @param {array} [options.scripts] - Script files to run, in order.
+ * @param {object} [options.storage] - localStorage values to set before the scripts run.
+ * @param {boolean} [options.reducedMotion] - What prefers-reduced-motion should report.
+ * @param {string} [options.colorScheme] - What prefers-color-scheme should report ('light' or 'dark').
+ * @param {boolean} [options.highContrast] - Whether prefers-contrast: more should match.
+ * @param {object} [options.serviceWorker] - A stand-in for navigator.serviceWorker
+ *   (jsdom has none).
+ * @returns {Promise<object>} - The JSDOM instance once the page has loaded, with
+ *   setMedia({ colorScheme, highContrast }) to change the device settings later.
+ */
+async function loadPage(options = {}) {
+    const scripts = options.scripts || ['baconian.js', 'progress.js', 'app.js'];
+
+    // Pass page errors through, but keep app.js's info logging out of test output
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('error', (...args) => console.error(...args));
+    virtualConsole.on('jsdomError', error => console.error(error));
+
+    const dom = new JSDOM(`<!DOCTYPE html><html><head></head><body ${options.bodyAttributes || ''}>${options.body || ''}</body></html>`, {
+        url: `${options.origin || 'http://localhost'}/${options.page || 'index.html'}`,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole: virtualConsole
+    });
+    const window = dom.window;
+
+    // jsdom has no media queries; answer them the way a default browser would,
+    // or as the options say, and let tests change the answer while the page runs
+    const media = {
+        reducedMotion: Boolean(options.reducedMotion),
+        colorScheme: options.colorScheme || 'light',
+        highContrast: Boolean(options.highContrast)
+    };
+    const mediaListeners = [];
+    const evaluate = query => {
+        if (/reduce/.test(query)) return media.reducedMotion;
+        if (/prefers-color-scheme: dark/.test(query)) return media.colorScheme === 'dark';
+        if (/prefers-contrast: more/.test(query)) return media.highContrast;
+        return false;
+    };
+    window.matchMedia = query => ({
+        get matches() {
+            return evaluate(query);
+        },
+        media: query,
+        addEventListener(type, listener) {
+            mediaListeners.push({ query: query, listener: listener });
+        },
+        removeEventListener() {},
+        addListener(listener) {
+            mediaListeners.push({ query: query, listener: listener });
+        },
+        removeListener() {}
+    });
+    dom.setMedia = changes => {
+        Object.assign(media, changes);
+        mediaListeners.forEach(({ query, listener }) => listener({ matches: evaluate(query), media: query }));
+    };
+    window.confirm = () => true;
+    if (options.serviceWorker) {
+        Object.defineProperty(window.navigator, 'serviceWorker', { value: options.serviceWorker, configurable: true });
+    }
+
+    Object.keys(options.storage || {}).forEach(key => {
+        window.localStorage.setItem(key, options.storage[key]);
+    });
+
+    // Run each file as a classic <script>, so top-level const/let are shared page globals
+    const context = dom.getInternalVMContext();
+    scripts.forEach(file => {
+        const filename = path.join(ROOT, file);
+        new vm.Script(fs.readFileSync(filename, 'utf8'), { filename: filename }).runInContext(context);
+    });
+
+    if (window.document.readyState !== 'complete') {
+        await new Promise(resolve => window.addEventListener('load', resolve));
+    }
+    return dom;
+}
+
+/**
+ * Waits for pending timers (e.g. the staggered Reveal All animation).
+ * @param {number} [ms] - How long to wait.
+ * @returns {Promise<void>}
+ */
+function wait(ms = 0) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = { loadPage, wait };
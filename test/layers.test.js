@@ -0,0 +1,126 @@
+/**
+ * layers.test.js
+ *
+ * Tests for the layer registry (layers.js) and the page template in app.js
+ * that renders the shared header, layer pages and homepage cards from it.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/page.js');
+
+const SCRIPTS = ['baconian.js', 'layers.js', 'puzzles.js', 'quiz.js', 'quizzes.js', 'progress.js', 'app.js'];
+const LAYER_SHELL = '<header class="header" data-site-header></header><main id="main" data-layer-content></main>';
+
+let dom = null;
+
+/**
+ * Loads a page with every site script.
+ * @param {string} page - Page URL (e.g. 'layer.html?layer=3').
+ * @param {string} body - HTML for the <body>.
+ * @param {string} [bodyAttributes] - Attributes for the <body> tag.
+ * @returns {Promise<object>} - The page's window.
+ */
+async function open(page, body, bodyAttributes) {
+    dom = await loadPage({ page: page, body: body, bodyAttributes: bodyAttributes, scripts: SCRIPTS });
+    return dom.window;
+}
+
+afterEach(() => {
+    if (dom) dom.window.close();
+    dom = null;
+});
+
+describe('layer registry', () => {
+    it('lists all seven layers once each, with their own pages', async () => {
+        const window = await open('index.html', '');
+        const layers = window.loadLayerRegistry();
+
+        assert.deepEqual([...layers.map(layer => layer.number)], [1, 2, 3, 4, 5, 6, 7]);
+        assert.equal(new Set(layers.map(layer => layer.page)).size, 7);
+    });
+
+    it('gives every puzzle and quiz a page that is in the registry', async () => {
+        const window = await open('index.html', '');
+        const pages = window.loadLayerRegistry().map(layer => layer.page);
+
+        window.loadPuzzleManifest().concat(window.loadQuizBank()).forEach(entry => {
+            assert.ok(pages.includes(entry.page), `${entry.id} is on ${entry.page}`);
+        });
+        window.loadLayerRegistry().forEach(layer => {
+            assert.ok(window.loadPuzzleManifest().some(entry => entry.page === layer.page), `Layer ${layer.number} has a puzzle`);
+        });
+    });
+
+    it('uses unique section anchors within each layer', async () => {
+        const window = await open('index.html', '');
+
+        window.loadLayerRegistry().forEach(layer => {
+            const ids = layer.sections.map(section => section.id);
+            assert.equal(new Set(ids).size, ids.length, `Layer ${layer.number}`);
+        });
+    });
+});
+
+describe('renderLayerPage', () => {
+    it('renders a layer from ?layer=N on the shared template', async () => {
+        const window = await open('layer.html?layer=3', LAYER_SHELL);
+        const document = window.document;
+
+        assert.equal(document.title, 'Layer 3 — Network | OSI Model');
+        assert.equal(document.querySelector('.page-title').textContent, 'Layer 3 — Network (Detailed)');
+        assert.equal(document.querySelectorAll('.content-section').length, 5);
+        assert.equal(document.getElementById('routing').tagName, 'H3');
+        assert.equal(window.getCurrentPageName(), 'layer.html?layer=3');
+        assert.equal(window.getDecodedText('layer3Chips'), 'PACKET');
+    });
+
+    it('renders a layer named by <body data-layer> with its simulators, puzzles and quiz', async () => {
+        const window = await open('layer4.html', LAYER_SHELL, 'data-layer="4"');
+        const document = window.document;
+
+        assert.ok(document.querySelector('#tcpSim[data-simulator="tcp"]').children.length > 0);
+        assert.ok(document.querySelector('#portSim[data-simulator="ports"]').children.length > 0);
+        assert.equal(window.getDecodedText('layer4Chips'), 'RELIABLE');
+        assert.ok(document.querySelectorAll('#layer4Cover span').length > 0);
+        assert.ok(document.getElementById('layer4QuizQuestion'));
+    });
+
+    it('links to the neighbouring layers', async () => {
+        const window = await open('layer.html?layer=7', LAYER_SHELL);
+        const links = window.document.querySelectorAll('.layer-pager a');
+
+        assert.equal(links.length, 1);
+        assert.equal(links[0].getAttribute('href'), 'layer.html?layer=6');
+    });
+
+    it('explains an unknown layer instead of rendering an empty page', async () => {
+        const window = await open('layer.html?layer=9', LAYER_SHELL);
+
+        assert.equal(window.document.querySelector('.page-title').textContent, 'Layer Not Found');
+        assert.equal(window.document.querySelectorAll('.nav-link.active').length, 0);
+    });
+});
+
+describe('shared header', () => {
+    it('renders Home, one link per layer and Glossary, with the current layer active', async () => {
+        const window = await open('layer.html?layer=2', LAYER_SHELL);
+        const links = window.document.querySelectorAll('.nav-link');
+        const active = window.document.querySelectorAll('.nav-link.active');
+
+        assert.equal(links.length, 9);
+        assert.ok(window.document.getElementById('themeToggle'));
+        assert.equal(active.length, 1);
+        assert.equal(active[0].dataset.layer, '2');
+        assert.equal(active[0].getAttribute('aria-current'), 'page');
+    });
+
+    it('marks Home active on the homepage and renders the layer cards', async () => {
+        const window = await open('index.html', '<header data-site-header></header><div id="layerCards"></div>');
+        const active = window.document.querySelectorAll('.nav-link.active');
+
+        assert.equal(active.length, 1);
+        assert.equal(active[0].getAttribute('href'), 'index.html');
+        assert.equal(window.document.querySelectorAll('#layerCards .layer-card').length, 7);
+    });
+});
@@ -0,0 +1,352 @@
+/**
+ * offline.test.js
+ *
+ * Tests for the service worker (sw.js), run against a stand-in cache and
+ * network, and for app.js's registration and "new content" reload prompt.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { loadPage, wait } = require('./helpers/page.js');
+
+const ROOT = path.join(__dirname, '..');
+const ORIGIN = 'http://localhost';
+const PAGES = ['index.html', 'glossary.html', 'layer.html', 'layer4.html', 'layer5.html'];
+const SCRIPTS = ['baconian.js', 'toast.js', 'progress.js', 'app.js'];
+
+/**
+ * Runs sw.js with stand-ins for the Cache Storage API and the network.
+ * @param {object} [options] - Worker options.
+ * @param {array} [options.caches] - Names of caches left by earlier versions.
+ * @returns {object} - { dispatch(type, event), stores, fetched, worker,
+ *   setOnline(online), edit(pathname, contents) }
+ */
+function loadWorker(options = {}) {
+    const stores = new Map();
+    (options.caches || []).forEach(name => stores.set(name, new Map()));
+    const fetched = [];
+    const edited = new Map();
+    let online = true;
+
+    const absolute = input => new URL(typeof input === 'string' ? input : input.url, `${ORIGIN}/sw.js`).href;
+    const withoutSearch = url => url.split('?')[0];
+
+    const fetch = async (request) => {
+        if (!online) throw new TypeError('Failed to fetch');
+        const url = absolute(request);
+        fetched.push(url);
+        const pathname = new URL(url).pathname;
+        return new Response(edited.get(pathname) || `contents of ${pathname}`);
+    };
+
+    const openCache = (name) => {
+        if (!stores.has(name)) stores.set(name, new Map());
+        const store = stores.get(name);
+        return {
+            async addAll(urls) {
+                for (const url of urls) store.set(absolute(url), await fetch(url));
+            },
+            async put(request, response) {
+                store.set(absolute(request), response);
+            },
+            async match(request, matchOptions = {}) {
+                const url = absolute(request);
+                const key = Array.from(store.keys()).find(stored => matchOptions.ignoreSearch
+                    ? withoutSearch(stored) === withoutSearch(url)
+                    : stored === url);
+                return key ? store.get(key).clone() : undefined;
+            }
+        };
+    };
+
+    const listeners = {};
+    const worker = {
+        location: new URL(`${ORIGIN}/sw.js`),
+        skippedWaiting: false,
+        claimed: false,
+        addEventListener(type, listener) {
+            listeners[type] = listener;
+        },
+        skipWaiting() {
+            this.skippedWaiting = true;
+        },
+        clients: {
+            claim: async () => {
+                worker.claimed = true;
+            }
+        }
+    };
+
+    const context = vm.createContext({
+        self: worker,
+        caches: {
+            open: async name => openCache(name),
+            keys: async () => Array.from(stores.keys()),
+            delete: async name => stores.delete(name)
+        },
+        fetch: fetch,
+        URL: URL,
+        Response: Response,
+        console: console
+    });
+    const filename = path.join(ROOT, 'sw.js');
+    new vm.Script(fs.readFileSync(filename, 'utf8'), { filename: filename }).runInContext(context);
+
+    /**
+     * Sends an event to the worker and waits for it to finish.
+     * @param {string} type - 'install', 'activate', 'fetch' or 'message'.
+     * @param {object} [event] - Event fields (request, data).
+     * @returns {Promise<Response|null>} - For fetch: the response given, or
+     *   null if the worker left the request to the browser.
+     */
+    async function dispatch(type, event = {}) {
+        const pending = [];
+        let response = null;
+        listeners[type](Object.assign({
+            waitUntil: promise => pending.push(promise),
+            respondWith: promise => {
+                response = promise;
+            }
+        }, event));
+        await Promise.all(pending);
+        return response ? await response : null;
+    }
+
+    return {
+        dispatch: dispatch,
+        stores: stores,
+        fetched: fetched,
+        worker: worker,
+        setOnline: value => {
+            online = value;
+        },
+        edit: (pathname, contents) => {
+            edited.set(pathname, contents);
+        }
+    };
+}
+
+/**
+ * Builds a fetch request as the worker sees it.
+ * @param {string} url - Page-relative URL.
+ * @param {object} [fields] - Other fields (mode, method).
+ * @returns {object} - { url, method, mode }
+ */
+function request(url, fields = {}) {
+    return Object.assign({ url: new URL(url, `${ORIGIN}/`).href, method: 'GET', mode: 'no-cors' }, fields);
+}
+
+describe('service worker', () => {
+    it('precaches every page and every file the pages load', async () => {
+        const sw = loadWorker();
+        await sw.dispatch('install');
+
+        assert.equal(sw.stores.size, 1);
+        const name = Array.from(sw.stores.keys())[0];
+        assert.match(name, /^osi-model-/);
+        const cached = Array.from(sw.stores.get(name).keys()).map(url => new URL(url).pathname.slice(1));
+
+        const needed = new Set(PAGES.concat('manifest.webmanifest'));
+        PAGES.forEach(page => {
+            const html = fs.readFileSync(path.join(ROOT, page), 'utf8');
+            for (const match of html.matchAll(/<(?:script|link)\b[^>]*\b(?:src|href)="([^"#?:]+)"/g)) {
+                needed.add(match[1]);
+            }
+        });
+        needed.forEach(file => assert.ok(cached.includes(file), `${file} is precached`));
+        cached.forEach(file => assert.ok(fs.existsSync(path.join(ROOT, file)), `${file} exists`));
+    });
+
+    it('deletes caches from older versions when activated, but not other caches', async () => {
+        const sw = loadWorker({ caches: ['osi-model-v0', 'another-app'] });
+        await sw.dispatch('install');
+        await sw.dispatch('activate');
+
+        const names = Array.from(sw.stores.keys());
+        assert.equal(names.length, 2);
+        assert.ok(names.includes('another-app'));
+        assert.ok(!names.includes('osi-model-v0'));
+        assert.equal(sw.worker.claimed, true);
+    });
+
+    it('answers from the cache, and caches other same-origin files on first use', async () => {
+        const sw = loadWorker();
+        await sw.dispatch('install');
+
+        const styles = await sw.dispatch('fetch', { request: request('styles.css') });
+        assert.equal(await styles.text(), 'contents of /styles.css');
+
+        await sw.dispatch('fetch', { request: request('notes.txt') });
+        sw.setOnline(false);
+        const notes = await sw.dispatch('fetch', { request: request('notes.txt') });
+        assert.equal(await notes.text(), 'contents of /notes.txt');
+    });
+
+    it('refreshes the cache in the background, so an edited file shows on the next load', async () => {
+        const sw = loadWorker();
+        await sw.dispatch('install');
+        sw.fetched.length = 0;
+        sw.edit('/app.js', 'new app.js');
+        sw.edit('/layer.html', 'new layer.html');
+
+        const first = await sw.dispatch('fetch', { request: request('app.js') });
+        assert.equal(await first.text(), 'contents of /app.js');
+        assert.deepEqual(sw.fetched, [`${ORIGIN}/app.js`]);
+        const second = await sw.dispatch('fetch', { request: request('app.js') });
+        assert.equal(await second.text(), 'new app.js');
+
+        await sw.dispatch('fetch', { request: request('layer.html?layer=3', { mode: 'navigate' }) });
+        sw.setOnline(false);
+        const layer = await sw.dispatch('fetch', { request: request('layer.html?layer=1', { mode: 'navigate' }) });
+        assert.equal(await layer.text(), 'new layer.html');
+        const styles = await sw.dispatch('fetch', { request: request('styles.css') });
+        assert.equal(await styles.text(), 'contents of /styles.css');
+    });
+
+    it('serves pages offline whatever their query string, with the homepage as a fallback', async () => {
+        const sw = loadWorker();
+        await sw.dispatch('install');
+        sw.setOnline(false);
+
+        const layer = await sw.dispatch('fetch', { request: request('layer.html?layer=3', { mode: 'navigate' }) });
+        assert.equal(await layer.text(), 'contents of /layer.html');
+
+        const missing = await sw.dispatch('fetch', { request: request('missing.html', { mode: 'navigate' }) });
+        assert.equal(await missing.text(), 'contents of /index.html');
+
+        await assert.rejects(sw.dispatch('fetch', { request: request('missing.js') }), TypeError);
+    });
+
+    it('leaves other sites and non-GET requests to the browser', async () => {
+        const sw = loadWorker();
+        await sw.dispatch('install');
+
+        assert.equal(await sw.dispatch('fetch', { request: request('https://example.com/app.js') }), null);
+        assert.equal(await sw.dispatch('fetch', { request: request('index.html', { method: 'POST' }) }), null);
+    });
+
+    it('only takes over from an older version when the page asks', async () => {
+        const sw = loadWorker();
+        await sw.dispatch('install');
+        assert.equal(sw.worker.skippedWaiting, false);
+
+        await sw.dispatch('message', { data: { type: 'SKIP_WAITING' } });
+        assert.equal(sw.worker.skippedWaiting, true);
+    });
+});
+
+describe('offline support in the page', () => {
+    let dom = null;
+
+    afterEach(() => {
+        if (dom) dom.window.close();
+        dom = null;
+    });
+
+    /**
+     * Creates a stand-in for navigator.serviceWorker.
+     * @param {object} [options] - { controller, waiting }: the worker in
+     *   control of the page and one left waiting by an earlier visit.
+     * @returns {object} - The container, with registered (URLs passed to
+     *   register()) and registration.
+     */
+    function fakeContainer(options = {}) {
+        const container = new EventTarget();
+        container.controller = options.controller || null;
+        container.registered = [];
+        container.registration = Object.assign(new EventTarget(), { waiting: options.waiting || null, installing: null });
+        container.register = async (url) => {
+            container.registered.push(url);
+            return container.registration;
+        };
+        return container;
+    }
+
+    /**
+     * Creates a stand-in for a service worker that records its messages.
+     * @returns {object} - The worker, with messages.
+     */
+    function fakeWorker() {
+        const worker = Object.assign(new EventTarget(), { state: 'installing', messages: [] });
+        worker.postMessage = message => worker.messages.push(message);
+        return worker;
+    }
+
+    /**
+     * Plays a new worker being found and installed.
+     * @param {object} container - From fakeContainer().
+     * @returns {object} - The new worker.
+     */
+    function installWorker(container) {
+        const worker = fakeWorker();
+        container.registration.installing = worker;
+        container.registration.dispatchEvent(new Event('updatefound'));
+        worker.state = 'installed';
+        worker.dispatchEvent(new Event('statechange'));
+        return worker;
+    }
+
+    /**
+     * Lists the messages of the toasts on screen.
+     * @returns {array} - Message texts, oldest first.
+     */
+    function messages() {
+        return Array.from(dom.window.document.querySelectorAll('.toast-message')).map(p => p.textContent);
+    }
+
+    it('registers sw.js and links the manifest for a page served over http', async () => {
+        const container = fakeContainer();
+        dom = await loadPage({ scripts: SCRIPTS, serviceWorker: container, reducedMotion: true });
+        await wait();
+
+        assert.deepEqual(container.registered, ['sw.js']);
+        assert.equal(dom.window.document.querySelector('link[rel="manifest"]').getAttribute('href'), 'manifest.webmanifest');
+    });
+
+    it('says when the site is first saved for offline use', async () => {
+        const container = fakeContainer();
+        dom = await loadPage({ scripts: SCRIPTS, serviceWorker: container, reducedMotion: true });
+        await wait();
+
+        installWorker(container);
+        assert.deepEqual(messages(), ['Success: This site is now saved for offline use.']);
+        assert.equal(dom.window.document.querySelector('.toast-action'), null);
+    });
+
+    it('offers to reload when a new version has installed, and only then tells it to take over', async () => {
+        const container = fakeContainer({ controller: fakeWorker() });
+        dom = await loadPage({ scripts: SCRIPTS, serviceWorker: container, reducedMotion: true });
+        await wait();
+
+        const worker = installWorker(container);
+        assert.match(messages().join('\n'), /New content is available/);
+        assert.deepEqual(worker.messages, []);
+
+        const reload = dom.window.document.querySelector('.toast-action');
+        assert.equal(reload.textContent, 'Reload');
+        reload.click();
+        assert.deepEqual(worker.messages.map(message => message.type), ['SKIP_WAITING']);
+        assert.equal(dom.window.Toast.getState().visible.length, 0);
+    });
+
+    it('offers to reload into a version left waiting by an earlier visit', async () => {
+        const waiting = fakeWorker();
+        dom = await loadPage({ scripts: SCRIPTS, serviceWorker: fakeContainer({ controller: fakeWorker(), waiting: waiting }), reducedMotion: true });
+        await wait();
+
+        assert.match(messages().join('\n'), /New content is available/);
+    });
+
+    it('skips the service worker and manifest for a page opened from disk', async () => {
+        const container = fakeContainer();
+        dom = await loadPage({ scripts: SCRIPTS, origin: 'file://', serviceWorker: container, body: '<main id="main"></main>' });
+        await wait();
+
+        assert.equal(dom.window.location.protocol, 'file:');
+        assert.deepEqual(container.registered, []);
+        assert.equal(dom.window.document.querySelector('link[rel="manifest"]'), null);
+    });
+});
@@ -0,0 +1,240 @@
+/**
+ * progress.test.js
+ *
+ * Tests for the progress store (progress.js): versioning, the in-memory
+ * fallback, resets, scoring and streaks, and the homepage dashboard app.js
+ * draws from it.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/page.js');
+
+const DASHBOARD_SCRIPTS = ['baconian.js', 'puzzles.js', 'quiz.js', 'quizzes.js', 'progress.js', 'app.js'];
+
+let dom = null;
+
+/**
+ * Loads a page with only the progress store.
+ * @param {object} [storage] - localStorage values to start with.
+ * @returns {Promise<object>} - The page's window.
+ */
+async function open(storage = {}) {
+    dom = await loadPage({ scripts: ['progress.js'], storage: storage });
+    return dom.window;
+}
+
+/**
+ * Builds a stored record for a solved puzzle.
+ * @param {number} solvedAt - When it was solved.
+ * @param {object} [fields] - Other fields (attempts, hintsUsed).
+ * @returns {object} - The record.
+ */
+function solvedRecord(solvedAt, fields = {}) {
+    return Object.assign({
+        revealed: [],
+        extracted: false,
+        attempts: [{ guess: 'X', correct: true, at: solvedAt }],
+        hintsUsed: [],
+        startedAt: solvedAt - 1000,
+        solvedAt: solvedAt,
+        chipChecks: [],
+        gaveUp: []
+    }, fields);
+}
+
+/**
+ * Serializes progress the way the store saves it.
+ * @param {object} puzzles - Records keyed by puzzle ID.
+ * @param {object} [extra] - Other top-level fields (version, bestScores, quizzes).
+ * @returns {object} - loadPage() storage with the osiProgress key.
+ */
+function stored(puzzles, extra = {}) {
+    return { osiProgress: JSON.stringify(Object.assign({ version: 1, puzzles: puzzles, bestScores: {}, quizzes: {} }, extra)) };
+}
+
+afterEach(() => {
+    if (dom) dom.window.close();
+    dom = null;
+});
+
+describe('PuzzleProgress store', () => {
+    it('saves records under one versioned key and reads them back', async () => {
+        const window = await open();
+        window.PuzzleProgress.updatePuzzle('layer4', { revealed: [0, 2] });
+
+        const saved = JSON.parse(window.localStorage.getItem('osiProgress'));
+        assert.equal(saved.version, window.PuzzleProgress.VERSION);
+        assert.deepEqual(saved.puzzles.layer4.revealed, [0, 2]);
+        assert.deepEqual([...window.PuzzleProgress.getPuzzle('layer4').revealed], [0, 2]);
+        assert.equal(window.PuzzleProgress.getPuzzle('layer5').startedAt, null);
+    });
+
+    it('discards progress saved by another version, or that cannot be read', async () => {
+        let window = await open(stored({ layer4: solvedRecord(5000) }, { version: 0 }));
+        assert.deepEqual(Object.keys(window.PuzzleProgress.getAll()), []);
+        dom.window.close();
+
+        window = await open({ osiProgress: '{not json' });
+        assert.deepEqual(Object.keys(window.PuzzleProgress.getAll()), []);
+    });
+
+    it('keeps progress in memory for the page when localStorage is blocked', async () => {
+        const window = await open();
+        const storage = window.localStorage;
+        Object.defineProperty(window, 'localStorage', {
+            configurable: true,
+            get: () => {
+                throw new window.DOMException('The operation is insecure.', 'SecurityError');
+            }
+        });
+
+        window.PuzzleProgress.updatePuzzle('layer4', { extracted: true });
+        assert.equal(window.PuzzleProgress.getPuzzle('layer4').extracted, true);
+        assert.equal(window.PuzzleProgress.getStatus(window.PuzzleProgress.getPuzzle('layer4')), 'in-progress');
+        assert.equal(storage.getItem('osiProgress'), null);
+    });
+
+    it('resets one puzzle but keeps its best score, and resets everything on resetAll', async () => {
+        const window = await open(stored({ layer4: solvedRecord(5000), layer5: solvedRecord(6000) }, {
+            bestScores: { layer4: 900, layer5: 800 },
+            quizzes: { layer4Quiz: { attempts: [], best: { correct: 3, total: 5 } } }
+        }));
+
+        window.PuzzleProgress.resetPuzzle('layer4');
+        assert.equal(window.PuzzleProgress.getPuzzle('layer4').solvedAt, null);
+        assert.equal(window.PuzzleProgress.getPuzzle('layer5').solvedAt, 6000);
+        assert.equal(window.PuzzleProgress.getBestScores().layer4, 900);
+
+        window.PuzzleProgress.resetAll();
+        assert.deepEqual(Object.keys(window.PuzzleProgress.getAll()), []);
+        assert.deepEqual(Object.keys(window.PuzzleProgress.getBestScores()), []);
+        assert.equal(window.PuzzleProgress.getQuiz('layer4Quiz').best, null);
+    });
+});
+
+describe('PuzzleProgress.computeScore', () => {
+    it('takes each penalty off the base score', async () => {
+        const window = await open();
+        const result = window.PuzzleProgress.computeScore(solvedRecord(5000, {
+            attempts: [{ guess: 'A', correct: false }, { guess: 'B', correct: true }],
+            hintsUsed: [{ level: 'context' }],
+            chipCount: 4,
+            revealedBeforeSolve: 1,
+            solveTimeMs: 70000
+        }));
+
+        assert.deepEqual({ ...result.breakdown }, { base: 1000, attempts: -100, hints: -75, chips: -100, time: -2 });
+        assert.equal(result.score, 723);
+    });
+
+    it('never scores a solve below MIN, and scores an unsolved puzzle 0', async () => {
+        const window = await open();
+        const wrong = Array.from({ length: 20 }, () => ({ guess: 'A', correct: false }));
+        const result = window.PuzzleProgress.computeScore(solvedRecord(5000, {
+            attempts: wrong.concat([{ guess: 'B', correct: true }])
+        }));
+
+        assert.equal(result.score, window.PuzzleProgress.SCORING.MIN);
+        assert.equal(window.PuzzleProgress.computeScore(window.PuzzleProgress.createRecord()).score, 0);
+    });
+
+    it('keeps the best score when a puzzle is solved again after a reset', async () => {
+        const window = await open();
+        window.PuzzleProgress.recordAttempt('layer4', 'SEGMENT', true, { chipCount: 7, revealed: 0 });
+        const first = window.PuzzleProgress.getBestScores().layer4;
+
+        window.PuzzleProgress.resetPuzzle('layer4');
+        window.PuzzleProgress.recordAttempt('layer4', 'WRONG', false);
+        window.PuzzleProgress.recordAttempt('layer4', 'SEGMENT', true, { chipCount: 7, revealed: 7 });
+        assert.ok(window.PuzzleProgress.getPuzzle('layer4').score < first);
+        assert.equal(window.PuzzleProgress.getBestScores().layer4, first);
+    });
+});
+
+describe('PuzzleProgress.getStreaks', () => {
+    it('counts clean solves in the order they were solved, not the order stored', async () => {
+        const hinted = { hintsUsed: [{ level: 'context' }] };
+        const window = await open(stored({
+            layer7: solvedRecord(4000),
+            layer1: solvedRecord(1000),
+            layer3: solvedRecord(3000),
+            layer2: solvedRecord(2000, hinted),
+            layer5: solvedRecord(5000, { attempts: [{ guess: 'A', correct: false }, { guess: 'B', correct: true }] }),
+            layer6: { attempts: [], hintsUsed: [] }
+        }));
+
+        assert.deepEqual({ ...window.PuzzleProgress.getStreaks() }, { current: 0, best: 2 });
+
+        window.PuzzleProgress.resetPuzzle('layer5');
+        assert.deepEqual({ ...window.PuzzleProgress.getStreaks() }, { current: 2, best: 2 });
+    });
+});
+
+describe('renderProgressDashboard', () => {
+    /**
+     * Loads the homepage dashboard with some saved progress.
+     * @returns {Promise<object>} - The page's window.
+     */
+    async function openDashboard() {
+        dom = await loadPage({
+            body: '<div id="progressDashboard"></div>',
+            scripts: DASHBOARD_SCRIPTS,
+            storage: stored({
+                layer4: solvedRecord(1000),
+                layer5: { revealed: [1], attempts: [], hintsUsed: [] }
+            }, {
+                bestScores: { layer4: 950, layer7: 400 },
+                quizzes: { layer4Quiz: { attempts: [], best: { correct: 4, total: 5 } } }
+            })
+        });
+        return dom.window;
+    }
+
+    /**
+     * Reads one layer card of the dashboard.
+     * @param {object} window - The page's window.
+     * @param {number} layer - Layer number.
+     * @returns {object} - { count, rows: [{ title, status, score }] }
+     */
+    function layerCard(window, layer) {
+        const card = Array.from(window.document.querySelectorAll('.dashboard-layer'))
+            .find(element => element.querySelector('h4').textContent.startsWith(`Layer ${layer} `));
+        return {
+            count: card.querySelector('.dashboard-layer-count').textContent,
+            rows: Array.from(card.querySelectorAll('.dashboard-puzzle')).map(row => ({
+                title: row.querySelector('a').textContent,
+                status: row.querySelector('.status-badge').textContent,
+                score: row.querySelector('.dashboard-score').textContent
+            }))
+        };
+    }
+
+    it("shows completion, best scores and streaks, with each layer's puzzles and quizzes", async () => {
+        const window = await openDashboard();
+        const document = window.document;
+
+        assert.match(document.querySelector('.dashboard-summary').textContent, /Complete \(1 of \d+ puzzles\)/);
+        assert.match(document.querySelector('.dashboard-summary').textContent, /1350\s*Total best score/);
+        assert.match(document.querySelector('.dashboard-summary').textContent, /1\s*Clean-solve streak \(best 1\)/);
+
+        const layer4 = layerCard(window, 4);
+        assert.equal(layer4.count, '1 / 2 solved');
+        assert.deepEqual(layer4.rows.map(row => [row.status, row.score]), [
+            ['Solved', 'Best: 950'],
+            ['Not started', '—'],
+            ['Taken', 'Best: 4 / 5']
+        ]);
+        assert.deepEqual(layerCard(window, 5).rows.map(row => row.status), ['In progress', 'Not started', 'Not taken']);
+        assert.equal(layerCard(window, 7).rows[0].score, 'Best: 400');
+    });
+
+    it('clears every puzzle and quiz from the Reset All button', async () => {
+        const window = await openDashboard();
+        window.document.getElementById('dashboardResetAll').click();
+
+        assert.match(window.document.querySelector('.dashboard-summary').textContent, /Complete \(0 of \d+ puzzles\)/);
+        assert.deepEqual(layerCard(window, 4).rows.map(row => row.score), ['—', '—', '—']);
+        assert.equal(window.PuzzleProgress.getQuiz('layer4Quiz').best, null);
+    });
+});
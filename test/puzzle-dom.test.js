@@ -0,0 +1,344 @@
+/**
+ * puzzle-dom.test.js
+ *
+ * DOM tests for the puzzle functions in app.js (initializePuzzle, checkGuess,
+ * the chip workbench, the practice-mode letter check, revealAllChips), run
+ * against a simulated page.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, wait } = require('./helpers/page.js');
+
+const DEMO = {
+    id: 'demo',
+    title: 'Demo Puzzle',
+    plaintext: 'RELIABLE',
+    alphabet: 'binary26',
+    feedback: 'letters',
+    hints: ['The word describes what TCP promises.']
+};
+
+let dom = null;
+
+/**
+ * Loads a page holding the demo puzzle's markup, then initializes it.
+ * @param {object} [config] - Overrides for the demo puzzle config.
+ * @param {object} [storage] - localStorage values to start with.
+ * @returns {Promise<object>} - The page's window.
+ */
+async function setUpPuzzle(config = {}, storage = {}) {
+    dom = await loadPage({ body: '<section id="host"></section>', storage: storage, reducedMotion: true });
+    const window = dom.window;
+    const entry = Object.assign({}, DEMO, config);
+    window.document.getElementById('host').innerHTML = window.buildPuzzleMarkup(entry);
+    window.initializePuzzle(entry);
+    return window;
+}
+
+/**
+ * Types a guess and checks it.
+ * @param {object} window - The page's window.
+ * @param {string} value - What the student types.
+ */
+function guess(window, value) {
+    window.document.getElementById('demoGuess').value = value;
+    window.checkGuess('demo', DEMO.plaintext, DEMO.alphabet);
+}
+
+afterEach(() => {
+    if (dom) dom.window.close();
+    dom = null;
+});
+
+describe('initializePuzzle', () => {
+    it('renders one chip per letter with its decoded back face', async () => {
+        const window = await setUpPuzzle();
+        const chips = window.document.querySelectorAll('#demoChips .chip-card');
+
+        assert.equal(chips.length, 8);
+        assert.equal(chips[0].getAttribute('data-group'), 'BAAAB');
+        assert.equal(chips[0].querySelector('.chip-back').textContent, 'R');
+        assert.equal(window.getDecodedText('demoChips'), 'RELIABLE');
+    });
+
+    it('fills the alphabet note and mapping legend for the chosen table', async () => {
+        const window = await setUpPuzzle({ plaintext: 'SESSION', alphabet: 'bacon24' });
+
+        assert.equal(window.document.querySelectorAll('#demoMapping tr').length, 12);
+        assert.match(window.document.getElementById('demoAlphabet').textContent, /24-letter/);
+        assert.equal(window.document.getElementById('demoChips').dataset.alphabet, 'bacon24');
+    });
+
+    it('still accepts the older (layerName, plaintext) signature', async () => {
+        dom = await loadPage({ body: '<section id="host"></section>' });
+        const window = dom.window;
+        window.document.getElementById('host').innerHTML = window.buildPuzzleMarkup(DEMO);
+        window.initializePuzzle('demo', 'TCP');
+
+        assert.equal(window.getDecodedText('demoChips'), 'TCP');
+    });
+
+    it('restores revealed chips from saved progress', async () => {
+        const saved = JSON.stringify({ version: 1, puzzles: { demo: { revealed: [0, 2] } }, bestScores: {} });
+        const window = await setUpPuzzle({}, { osiProgress: saved });
+        const chips = window.document.querySelectorAll('#demoChips .chip-card');
+
+        assert.equal(chips[0].classList.contains('revealed'), true);
+        assert.equal(chips[1].classList.contains('revealed'), false);
+        assert.equal(chips[2].getAttribute('aria-pressed'), 'true');
+    });
+});
+
+describe('checkGuess', () => {
+    it('accepts a correct guess regardless of case and spacing, and scores it', async () => {
+        const window = await setUpPuzzle();
+        guess(window, ' reli able ');
+
+        const feedback = window.document.getElementById('demoFeedback');
+        const record = window.PuzzleProgress.getPuzzle('demo');
+        assert.match(feedback.className, /success/);
+        assert.match(feedback.textContent, /Score: 1000/);
+        assert.ok(record.solvedAt);
+        assert.equal(window.PuzzleProgress.getBestScores().demo, 1000);
+    });
+
+    it('rejects a wrong guess, offers a hint and marks each letter', async () => {
+        const window = await setUpPuzzle();
+        guess(window, 'REALLY');
+
+        const feedback = window.document.getElementById('demoFeedback');
+        const tiles = feedback.querySelectorAll('.letter-tile');
+        assert.match(feedback.className, /error/);
+        assert.equal(window.document.getElementById('demoHint').style.display, 'inline-block');
+        assert.equal(tiles.length, 6);
+        assert.equal(tiles[0].classList.contains('tile-correct'), true);
+        assert.equal(window.PuzzleProgress.getPuzzle('demo').attempts.length, 1);
+    });
+
+    it('says when a guess is one edit away', async () => {
+        const window = await setUpPuzzle();
+        guess(window, 'RELABLE');
+
+        assert.match(window.document.getElementById('demoFeedback').textContent, /So close!/);
+    });
+
+    it('dispatches a puzzleguess event', async () => {
+        const window = await setUpPuzzle();
+        let detail = null;
+        window.document.addEventListener('puzzleguess', e => { detail = e.detail; });
+        guess(window, 'RELIABLE');
+
+        assert.equal(detail.puzzleId, 'demo');
+        assert.equal(detail.correct, true);
+        assert.equal(detail.firstSolve, true);
+
+        guess(window, 'RELIABLE');
+        assert.equal(detail.correct, true);
+        assert.equal(detail.firstSolve, false);
+    });
+
+    it('clears feedback for an empty guess without recording it', async () => {
+        const window = await setUpPuzzle();
+        guess(window, '   ');
+
+        assert.match(window.document.getElementById('demoFeedback').className, /hidden/);
+        assert.equal(window.PuzzleProgress.getPuzzle('demo').attempts.length, 0);
+    });
+});
+
+describe('showHint', () => {
+    it('steps up the hint ladder, flipping a chip at the letter level', async () => {
+        const window = await setUpPuzzle();
+        ['mapping', 'custom:0', 'worked', 'letter'].forEach(() => window.showHint('demo'));
+
+        assert.deepEqual([...window.getHintsUsed('demo')].map(hint => hint.level), ['mapping', 'custom:0', 'worked', 'letter']);
+        assert.equal(window.getHintsUsed('demo')[3].text, 'Letter 1 is R.');
+        assert.equal(window.document.querySelectorAll('#demoChips .chip-card.revealed').length, 1);
+    });
+
+    it('counts a letter given away by a hint against the score in practice mode too', async () => {
+        const window = await setUpPuzzle({ practice: true });
+        ['mapping', 'custom:0', 'worked', 'letter'].forEach(() => window.showHint('demo'));
+        assert.deepEqual([...window.PuzzleProgress.getPuzzle('demo').gaveUp], [0]);
+        guess(window, 'RELIABLE');
+        const practiceScore = window.PuzzleProgress.getPuzzle('demo').score;
+        dom.window.close();
+
+        const normal = await setUpPuzzle();
+        ['mapping', 'custom:0', 'worked', 'letter'].forEach(() => normal.showHint('demo'));
+        guess(normal, 'RELIABLE');
+        assert.equal(practiceScore, normal.PuzzleProgress.getPuzzle('demo').score);
+    });
+
+    it('asks for extraction first when a hidden message has no chips yet', async () => {
+        dom = await loadPage({ body: '<p id="demoCover">Think of the transport layer as the postal service of the network stack.</p><section id="host"></section>', reducedMotion: true });
+        const window = dom.window;
+        const entry = Object.assign({}, DEMO, { plaintext: 'TCP', cover: 'demoCover', hints: [] });
+        window.document.getElementById('host').innerHTML = window.buildPuzzleMarkup(entry);
+        window.initializePuzzle(entry);
+
+        ['mapping', 'worked', 'letter'].forEach(() => window.showHint('demo'));
+        const texts = [...window.getHintsUsed('demo')].map(hint => hint.text);
+        assert.match(texts[2], /^Extract the A\/B groups first/);
+        assert.ok(!texts.some(text => /already revealed/.test(text)));
+    });
+});
+
+describe('chip workbench', () => {
+    /**
+     * Opens the first chip's workbench.
+     * @param {object} window - The page's window.
+     * @returns {HTMLElement} - The workbench panel.
+     */
+    function openWorkbench(window) {
+        const toggle = window.document.querySelector('#demoChips .workbench-toggle');
+        toggle.click();
+        assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+        return window.document.getElementById(toggle.getAttribute('aria-controls'));
+    }
+
+    /**
+     * Flips one bit of the working group.
+     * @param {HTMLElement} panel - The workbench panel.
+     * @param {number} bit - Bit position, 0 for the leftmost.
+     */
+    function flipBit(panel, bit) {
+        panel.querySelector(`.workbench-bit[data-bit="${bit}"]`).click();
+    }
+
+    it('works through the decoding and updates the letter as bits flip', async () => {
+        const window = await setUpPuzzle();
+        const panel = openWorkbench(window);
+        const lookup = () => panel.querySelector('.workbench-lookup').textContent;
+
+        assert.match(panel.textContent, /BAAAB → 10001/);
+        assert.match(panel.textContent, /Running sum: 16 → 16 → 16 → 16 → 17/);
+        assert.match(lookup(), /Index 17 → R/);
+
+        flipBit(panel, 4);
+        assert.match(lookup(), /Index 16 → Q/);
+        assert.equal(window.document.activeElement, panel.querySelector('.workbench-bit[data-bit="4"]'));
+
+        const chip = window.document.querySelector('#demoChips .chip-card');
+        assert.equal(chip.getAttribute('data-group'), 'BAAAB');
+        assert.equal(chip.classList.contains('revealed'), false);
+
+        panel.querySelector('.workbench-reset').click();
+        assert.match(lookup(), /Index 17 → R/);
+        assert.equal(panel.querySelector('.workbench-reset'), null);
+    });
+
+    it('explains that indices 26 to 31 have no letter', async () => {
+        const window = await setUpPuzzle();
+        const panel = openWorkbench(window);
+        flipBit(panel, 1);
+        flipBit(panel, 2);
+
+        const lookup = panel.querySelector('.workbench-lookup');
+        assert.equal(lookup.classList.contains('is-invalid'), true);
+        assert.match(lookup.textContent, /Index 29 has no letter\. .* only uses indices 0–25, so 5 bits \(0–31\) leave 6 patterns unused/);
+    });
+});
+
+describe('practice mode letter check', () => {
+    /**
+     * Clicks a chip and returns the letter check form it opens.
+     * @param {object} window - The page's window.
+     * @param {number} index - Chip index.
+     * @returns {HTMLFormElement} - The form.
+     */
+    function openCheck(window, index) {
+        window.document.querySelectorAll('#demoChips .chip-card')[index].click();
+        return window.document.querySelector('#demoChips .chip-check');
+    }
+
+    /**
+     * Types a letter into the check form and submits it.
+     * @param {HTMLFormElement} form - The form.
+     * @param {string} letter - What the student types.
+     */
+    function submitLetter(form, letter) {
+        form.querySelector('input').value = letter;
+        form.requestSubmit();
+    }
+
+    it('keeps the chip hidden after a wrong letter, and flips it for the right one', async () => {
+        const window = await setUpPuzzle({ practice: true });
+        const chip = window.document.querySelectorAll('#demoChips .chip-card')[0];
+        const form = openCheck(window, 0);
+        assert.equal(window.document.activeElement, form.querySelector('input'));
+
+        submitLetter(form, 'q');
+        assert.match(form.querySelector('.chip-check-feedback').textContent, /BAAAB isn't Q/);
+        assert.equal(chip.classList.contains('revealed'), false);
+
+        submitLetter(form, 'r');
+        assert.equal(chip.classList.contains('revealed'), true);
+        assert.equal(window.document.querySelector('#demoChips .chip-check'), null);
+        assert.equal(window.document.activeElement, chip);
+
+        const record = window.PuzzleProgress.getPuzzle('demo');
+        assert.deepEqual([...record.chipChecks].map(check => [check.index, check.guess, check.correct]), [[0, 'Q', false], [0, 'R', true]]);
+        assert.deepEqual([...record.gaveUp], []);
+        assert.deepEqual([...record.revealed], [0]);
+    });
+
+    it('flips the chip on "Give up" and counts it against the score', async () => {
+        const window = await setUpPuzzle({ practice: true });
+        openCheck(window, 1).querySelector('.chip-check-giveup').click();
+
+        assert.equal(window.document.querySelectorAll('#demoChips .chip-card')[1].classList.contains('revealed'), true);
+        assert.deepEqual([...window.PuzzleProgress.getPuzzle('demo').gaveUp], [1]);
+
+        guess(window, 'RELIABLE');
+        assert.equal(window.PuzzleProgress.getPuzzle('demo').revealedBeforeSolve, 1);
+    });
+
+    it('closes on Escape without flipping the chip', async () => {
+        const window = await setUpPuzzle({ practice: true });
+        const chip = window.document.querySelectorAll('#demoChips .chip-card')[2];
+        const form = openCheck(window, 2);
+        form.querySelector('input').dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true, cancelable: true }));
+
+        assert.equal(window.document.querySelector('#demoChips .chip-check'), null);
+        assert.equal(chip.classList.contains('revealed'), false);
+        assert.equal(window.document.activeElement, chip);
+        assert.equal(window.PuzzleProgress.getPuzzle('demo').chipChecks.length, 0);
+    });
+});
+
+describe('revealAllChips', () => {
+    it('flips every chip and saves them as revealed', async () => {
+        const window = await setUpPuzzle();
+        window.revealAllChips('demoChips');
+        await wait(10);
+
+        const chips = window.document.querySelectorAll('#demoChips .chip-card');
+        assert.ok(Array.from(chips).every(chip => chip.classList.contains('revealed')));
+        assert.deepEqual([...window.PuzzleProgress.getPuzzle('demo').revealed], [0, 1, 2, 3, 4, 5, 6, 7]);
+    });
+
+    it('counts revealed chips against the score', async () => {
+        const window = await setUpPuzzle();
+        window.revealAllChips('demoChips');
+        await wait(10);
+        guess(window, 'RELIABLE');
+
+        assert.equal(window.PuzzleProgress.getPuzzle('demo').score, 600);
+    });
+
+    it('does nothing in practice mode', async () => {
+        const window = await setUpPuzzle({ practice: true });
+        window.revealAllChips('demoChips');
+        await wait(10);
+
+        assert.equal(window.document.querySelectorAll('#demoChips .chip-card.revealed').length, 0);
+        assert.equal(window.document.getElementById('demoRevealAll').disabled, true);
+    });
+
+    it('ignores a missing container', async () => {
+        const window = await setUpPuzzle();
+        assert.doesNotThrow(() => window.revealAllChips('nope'));
+    });
+});
@@ -0,0 +1,175 @@
+/**
+ * quiz.test.js
+ *
+ * Tests for the quiz engine (quiz.js), the question bank (quizzes.js) and
+ * the quiz UI in app.js.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const QuizEngine = require('../quiz.js');
+const { loadPage } = require('./helpers/page.js');
+
+/**
+ * Makes a repeatable stand-in for Math.random.
+ * @param {number} seed - Starting value.
+ * @returns {function} - Returns numbers in [0, 1).
+ */
+function seededRandom(seed) {
+    let state = seed;
+    return () => {
+        state = (state * 9301 + 49297) % 233280;
+        return state / 233280;
+    };
+}
+
+const CHOICE = { id: 'c', type: 'choice', prompt: 'Pick', options: ['TCP', 'UDP', 'IP'], answer: 0 };
+const ORDER = { id: 'o', type: 'order', prompt: 'Order', items: ['SYN', 'SYN-ACK', 'ACK'] };
+const MATCH = { id: 'm', type: 'match', prompt: 'Match', pairs: [{ left: 'TCP', right: 'L4' }, { left: 'IP', right: 'L3' }] };
+const BLANK = { id: 'b', type: 'blank', prompt: 'A ___', answers: ['socket', 'sockets'] };
+
+describe('QuizEngine.shuffle', () => {
+    it('keeps every item and leaves the input alone', () => {
+        const items = [1, 2, 3, 4, 5];
+        const shuffled = QuizEngine.shuffle(items, seededRandom(7));
+
+        assert.deepEqual(items, [1, 2, 3, 4, 5]);
+        assert.deepEqual(shuffled.slice().sort(), [1, 2, 3, 4, 5]);
+    });
+
+    it('is repeatable with the same random source', () => {
+        assert.deepEqual(QuizEngine.shuffle([1, 2, 3, 4, 5], seededRandom(3)), QuizEngine.shuffle([1, 2, 3, 4, 5], seededRandom(3)));
+    });
+});
+
+describe('QuizEngine.prepareQuiz', () => {
+    it('draws count questions and skips invalid ones', () => {
+        const quiz = { count: 3, questions: [CHOICE, ORDER, MATCH, BLANK, { id: 'x', type: 'essay', prompt: '?' }] };
+        const questions = QuizEngine.prepareQuiz(quiz, seededRandom(1));
+
+        assert.equal(questions.length, 3);
+        assert.ok(questions.every(question => question.id !== 'x'));
+    });
+
+    it('adds shuffled display fields for each type', () => {
+        const questions = QuizEngine.prepareQuiz({ questions: [CHOICE, ORDER, MATCH] }, seededRandom(5));
+        const byId = id => questions.find(question => question.id === id);
+
+        assert.deepEqual(byId('c').choices.map(choice => choice.index).sort(), [0, 1, 2]);
+        assert.notDeepEqual(byId('o').shuffled, ORDER.items);
+        assert.deepEqual(byId('m').rights.slice().sort(), ['L3', 'L4']);
+    });
+
+    it('never presents an order question already solved', () => {
+        for (let seed = 0; seed < 50; seed++) {
+            const [question] = QuizEngine.prepareQuiz({ questions: [ORDER] }, seededRandom(seed));
+            assert.notDeepEqual(question.shuffled, ORDER.items);
+        }
+    });
+});
+
+describe('QuizEngine.gradeAnswer', () => {
+    it('grades multiple choice by original option index', () => {
+        assert.equal(QuizEngine.gradeAnswer(CHOICE, 0).correct, true);
+        assert.equal(QuizEngine.gradeAnswer(CHOICE, 1).correct, false);
+        assert.equal(QuizEngine.gradeAnswer(CHOICE, 1).expected, 'TCP');
+    });
+
+    it('grades ordering', () => {
+        assert.equal(QuizEngine.gradeAnswer(ORDER, ['SYN', 'SYN-ACK', 'ACK']).correct, true);
+        assert.equal(QuizEngine.gradeAnswer(ORDER, ['SYN', 'ACK', 'SYN-ACK']).correct, false);
+    });
+
+    it('grades matching', () => {
+        assert.equal(QuizEngine.gradeAnswer(MATCH, ['L4', 'L3']).correct, true);
+        assert.equal(QuizEngine.gradeAnswer(MATCH, ['L3', 'L4']).correct, false);
+    });
+
+    it('grades blanks ignoring case and spacing', () => {
+        assert.equal(QuizEngine.gradeAnswer(BLANK, '  Sockets ').correct, true);
+        assert.equal(QuizEngine.gradeAnswer(BLANK, 'port').correct, false);
+    });
+});
+
+describe('QuizEngine.scoreResults', () => {
+    it('totals correct answers', () => {
+        const results = [{ correct: true }, { correct: false }, { correct: true }, { correct: true }];
+        assert.deepEqual(QuizEngine.scoreResults(results), { correct: 3, total: 4, percent: 75 });
+        assert.deepEqual(QuizEngine.scoreResults([]), { correct: 0, total: 0, percent: 0 });
+    });
+});
+
+describe('question bank and quiz UI', () => {
+    let dom = null;
+
+    afterEach(() => {
+        if (dom) dom.window.close();
+        dom = null;
+    });
+
+    it('contains only valid questions with explanations', async () => {
+        dom = await loadPage({ scripts: ['quiz.js', 'quizzes.js'] });
+        const quizzes = dom.window.QuizBank.quizzes;
+
+        assert.ok(quizzes.length > 0);
+        quizzes.forEach(quiz => {
+            quiz.questions.forEach(question => {
+                assert.ok(QuizEngine.isValidQuestion(question), `${quiz.id}/${question.id} is valid`);
+                assert.ok(question.explanation, `${quiz.id}/${question.id} has an explanation`);
+            });
+        });
+    });
+
+    it('refuses an empty answer', async () => {
+        dom = await loadPage({
+            page: 'layer4.html',
+            body: '<section data-quiz="layer4Quiz"></section>',
+            scripts: ['baconian.js', 'quiz.js', 'quizzes.js', 'progress.js', 'app.js']
+        });
+        const window = dom.window;
+        const quiz = window.eval('quizRegistry').layer4Quiz;
+        // Order questions always have an answer, so start from another type
+        quiz.questions = quiz.questions.filter(question => question.type !== 'order');
+        window.renderQuizQuestion('layer4Quiz');
+        window.document.getElementById('layer4QuizSubmit').click();
+
+        assert.match(window.document.getElementById('layer4QuizFeedback').textContent, /Answer the question first/);
+        assert.equal(quiz.results.length, 0);
+    });
+
+    it('runs a quiz to the end and saves the result', async () => {
+        dom = await loadPage({
+            page: 'layer4.html',
+            body: '<section data-quiz="layer4Quiz"></section>',
+            scripts: ['baconian.js', 'quiz.js', 'quizzes.js', 'progress.js', 'app.js']
+        });
+        const window = dom.window;
+        const $ = id => window.document.getElementById(id);
+        const quiz = window.eval('quizRegistry').layer4Quiz;
+        let completed = null;
+        window.document.addEventListener('quizcomplete', e => { completed = e.detail; });
+
+        // Answer every question correctly through the page's controls
+        quiz.questions.forEach(question => {
+            const container = $('layer4QuizQuestion');
+            if (question.type === 'choice') {
+                container.querySelector(`input[value="${question.answer}"]`).click();
+            } else if (question.type === 'order') {
+                const list = container.querySelector('.quiz-order');
+                question.items.forEach(item => list.appendChild(list.querySelector(`[data-item="${item}"]`)));
+            } else if (question.type === 'match') {
+                container.querySelectorAll('select').forEach((select, i) => { select.value = question.pairs[i].right; });
+            } else {
+                $('layer4QuizAnswer').value = question.answers[0];
+            }
+            $('layer4QuizSubmit').click();
+            assert.match($('layer4QuizFeedback').textContent, /Correct!/);
+            $('layer4QuizNext').click();
+        });
+
+        assert.deepEqual({ ...completed }, { quizId: 'layer4Quiz', correct: 5, total: 5 });
+        assert.equal($('layer4QuizRestart').hidden, false);
+        assert.equal(window.PuzzleProgress.getQuiz('layer4Quiz').best.correct, 5);
+        assert.equal($('layer4QuizBest').textContent, 'Best result: 5 / 5');
+    });
+});
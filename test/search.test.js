@@ -0,0 +1,194 @@
+/**
+ * search.test.js
+ *
+ * Tests for the site search module (search.js) and the header search box
+ * that app.js builds on it.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const SiteSearch = require('../search.js');
+const { loadPage } = require('./helpers/page.js');
+
+/**
+ * Loads layers.js outside a browser and returns its registry's layers.
+ * @returns {array} - Layer registry entries.
+ */
+function loadLayers() {
+    global.window = {};
+    require('../layers.js');
+    const layers = global.window.LayerRegistry.layers;
+    delete global.window;
+    return layers;
+}
+
+const INDEX = SiteSearch.buildIndex(loadLayers());
+
+describe('SiteSearch text helpers', () => {
+    it('strips tags, comments and SVG styles, and decodes entities', () => {
+        const html = '<p>A &lt;frame&gt; &amp; a <strong>packet</strong></p><!-- note --><svg><style>.x { fill: red; }</style><text>Data</text></svg>';
+        assert.equal(SiteSearch.stripHtml(html), 'A <frame> & a packet Data');
+    });
+
+    it('tokenizes into lowercase words', () => {
+        assert.deepEqual(SiteSearch.tokenize('TCP/UDP, port 443!'), ['tcp', 'udp', 'port', '443']);
+    });
+});
+
+describe('SiteSearch.buildIndex', () => {
+    it('indexes every text and diagram section, but not simulators', () => {
+        const ids = INDEX.filter(doc => doc.layer === 4).map(doc => doc.id);
+        assert.ok(ids.includes('segmentation'));
+        assert.ok(!ids.includes('tcpSim'));
+        assert.ok(INDEX.some(doc => doc.layer === 1));
+        assert.ok(INDEX.some(doc => doc.layer === 7));
+    });
+
+    it('links each section to its anchor on its layer page', () => {
+        const doc = INDEX.find(entry => entry.layer === 3 && entry.id === 'routing');
+        assert.equal(doc.url, 'layer.html?layer=3#routing');
+    });
+});
+
+describe('SiteSearch.search', () => {
+    it('ranks a heading match above passing mentions', () => {
+        const results = SiteSearch.search(INDEX, 'port');
+        assert.equal(results[0].doc.url, 'layer4.html#ports-and-sockets');
+    });
+
+    it('finds UDP on the transport layer page first', () => {
+        const results = SiteSearch.search(INDEX, 'UDP');
+        assert.ok(results.length > 1);
+        assert.equal(results[0].doc.layer, 4);
+    });
+
+    it('matches the last word as a prefix while typing', () => {
+        const results = SiteSearch.search(INDEX, 'checkp');
+        assert.ok(results.length > 0);
+        assert.ok(results.every(result => result.doc.layer === 5));
+    });
+
+    it('requires every word to match', () => {
+        assert.equal(SiteSearch.search(INDEX, 'checkpoint ethernet').length, 0);
+        assert.ok(SiteSearch.search(INDEX, 'session checkpoint').length > 0);
+    });
+
+    it('ignores queries that are too short or have no words', () => {
+        assert.deepEqual(SiteSearch.search(INDEX, 'a'), []);
+        assert.deepEqual(SiteSearch.search(INDEX, '  ?! '), []);
+    });
+
+    it('caps the number of results', () => {
+        assert.equal(SiteSearch.search(INDEX, 'the', { limit: 3 }).length, 3);
+    });
+});
+
+describe('SiteSearch highlighting', () => {
+    it('marks words that start with a query word', () => {
+        const parts = SiteSearch.highlight('Ports and a passport', ['port']);
+        assert.deepEqual(parts.filter(part => part.match).map(part => part.text), ['Ports']);
+        assert.equal(parts.map(part => part.text).join(''), 'Ports and a passport');
+    });
+
+    it('cuts a snippet around the first match', () => {
+        const text = `${'filler '.repeat(60)}the checkpoint lets a session resume ${'tail '.repeat(60)}`.trim();
+        const parts = SiteSearch.makeSnippet(text, ['checkpoint'], 80);
+        const snippet = parts.map(part => part.text).join('');
+
+        assert.ok(snippet.startsWith('…') && snippet.endsWith('…'));
+        assert.ok(snippet.length <= 84);
+        assert.ok(parts.some(part => part.match && part.text === 'checkpoint'));
+    });
+});
+
+describe('header search box', () => {
+    let dom = null;
+
+    afterEach(() => {
+        if (dom) dom.window.close();
+        dom = null;
+    });
+
+    /**
+     * Loads the homepage header with every script the search needs.
+     * @returns {Promise<object>} - The page's window.
+     */
+    async function openHomepage() {
+        dom = await loadPage({
+            body: '<header class="header" data-site-header></header>',
+            scripts: ['baconian.js', 'layers.js', 'search.js', 'progress.js', 'app.js']
+        });
+        return dom.window;
+    }
+
+    /**
+     * Dispatches a keydown event.
+     * @param {object} window - The page's window.
+     * @param {EventTarget} target - Element (or document) to send it to.
+     * @param {string} key - The key.
+     */
+    function press(window, target, key) {
+        target.dispatchEvent(new window.KeyboardEvent('keydown', { key: key, bubbles: true }));
+    }
+
+    it("focuses the search box on '/'", async () => {
+        const window = await openHomepage();
+        press(window, window.document, '/');
+
+        assert.equal(window.document.activeElement.id, 'siteSearch');
+    });
+
+    it('lists highlighted results as you type and announces the count', async () => {
+        const window = await openHomepage();
+        const input = window.document.getElementById('siteSearch');
+        input.value = 'checkpoint';
+        input.dispatchEvent(new window.Event('input'));
+
+        const list = window.document.getElementById('siteSearchResults');
+        assert.equal(list.hidden, false);
+        assert.equal(input.getAttribute('aria-expanded'), 'true');
+        assert.ok(list.querySelectorAll('[role="option"]').length > 0);
+        assert.equal(list.querySelector('mark').textContent.toLowerCase().startsWith('checkpoint'), true);
+        assert.match(list.querySelector('a').getAttribute('href'), /^layer5\.html#/);
+        assert.match(window.document.getElementById('siteSearchStatus').textContent, /\d+ results?/);
+    });
+
+    it('moves through results with the arrow keys and closes on Escape', async () => {
+        const window = await openHomepage();
+        const input = window.document.getElementById('siteSearch');
+        input.focus();
+        input.value = 'port';
+        input.dispatchEvent(new window.Event('input'));
+
+        press(window, input, 'ArrowDown');
+        press(window, input, 'ArrowDown');
+        assert.equal(input.getAttribute('aria-activedescendant'), 'siteSearchResult1');
+        press(window, input, 'ArrowUp');
+        press(window, input, 'ArrowUp');
+        assert.equal(window.document.getElementById(input.getAttribute('aria-activedescendant')).getAttribute('aria-selected'), 'true');
+
+        press(window, input, 'Escape');
+        assert.equal(window.document.getElementById('siteSearchResults').hidden, true);
+        assert.equal(input.value, 'port');
+        press(window, input, 'Escape');
+        assert.equal(input.value, '');
+    });
+
+    it('says so when nothing matches', async () => {
+        const window = await openHomepage();
+        const input = window.document.getElementById('siteSearch');
+        input.value = 'zebra';
+        input.dispatchEvent(new window.Event('input'));
+
+        assert.match(window.document.querySelector('.site-search-empty').textContent, /No sections match "zebra"/);
+    });
+
+    it("lets 'd' be typed into the search box without toggling dark mode", async () => {
+        const window = await openHomepage();
+        const input = window.document.getElementById('siteSearch');
+        input.focus();
+        press(window, input, 'd');
+
+        assert.equal(window.document.documentElement.classList.contains('dark-mode'), false);
+    });
+});
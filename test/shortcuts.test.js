@@ -0,0 +1,223 @@
+/**
+ * shortcuts.test.js
+ *
+ * Tests for the keyboard shortcut registry (shortcuts.js) and the shortcuts
+ * app.js registers with it: scoped dispatch, conflicts, remapped keys and
+ * the '?' help overlay.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, wait } = require('./helpers/page.js');
+
+const SCRIPTS = ['theme.js', 'baconian.js', 'shortcuts.js', 'progress.js', 'app.js'];
+
+let dom = null;
+
+/**
+ * Loads a page with the shortcut registry and app.js.
+ * @param {object} [options] - loadPage() options.
+ * @returns {Promise<object>} - The page's window.
+ */
+async function open(options = {}) {
+    dom = await loadPage(Object.assign({ reducedMotion: true, scripts: SCRIPTS }, options));
+    return dom.window;
+}
+
+/**
+ * Dispatches a keydown event.
+ * @param {object} window - The page's window.
+ * @param {EventTarget} target - Element (or document) to send it to.
+ * @param {string} key - The key.
+ * @param {object} [init] - Extra KeyboardEvent options (e.g. { ctrlKey: true }).
+ */
+function press(window, target, key, init = {}) {
+    target.dispatchEvent(new window.KeyboardEvent('keydown', Object.assign({ key: key, bubbles: true, cancelable: true }, init)));
+}
+
+/**
+ * Adds two puzzles to the page and initializes them.
+ * @param {object} window - The page's window.
+ */
+function addTwoPuzzles(window) {
+    const entries = [
+        { id: 'first', plaintext: 'TCP', alphabet: 'binary26', feedback: 'letters' },
+        { id: 'second', plaintext: 'UDP', alphabet: 'binary26', feedback: 'letters' }
+    ];
+    window.document.body.innerHTML = entries.map(entry => `<section data-puzzle="${entry.id}">${window.buildPuzzleMarkup(entry)}</section>`).join('');
+    entries.forEach(entry => window.initializePuzzle(entry));
+}
+
+afterEach(() => {
+    if (dom) dom.window.close();
+    dom = null;
+});
+
+describe('ShortcutManager', () => {
+    it('treats inputs, selects and contenteditable regions as text entry', async () => {
+        const window = await open({
+            body: '<input id="a"><select id="b"></select><div contenteditable="true"><p id="c">x</p></div><div contenteditable="false"><p id="d">x</p></div><button id="e">x</button>'
+        });
+        const isEditable = id => window.ShortcutManager.isEditable(window.document.getElementById(id));
+
+        assert.equal(isEditable('a'), true);
+        assert.equal(isEditable('b'), true);
+        assert.equal(isEditable('c'), true);
+        assert.equal(isEditable('d'), false);
+        assert.equal(isEditable('e'), false);
+    });
+
+    it('ignores keys typed in a select or contenteditable region, and with modifiers', async () => {
+        const window = await open({ body: '<button id="themeToggle"><span class="theme-icon"></span></button><select id="s"></select><div id="note" contenteditable="true" tabindex="0"></div>' });
+        const root = window.document.documentElement;
+
+        window.document.getElementById('s').focus();
+        press(window, window.document.getElementById('s'), 'd');
+        window.document.getElementById('note').focus();
+        press(window, window.document.getElementById('note'), 'd');
+        window.document.activeElement.blur();
+        press(window, window.document, 'd', { ctrlKey: true });
+        assert.equal(root.classList.contains('dark-mode'), false);
+
+        press(window, window.document, 'D');
+        assert.equal(root.classList.contains('dark-mode'), true);
+    });
+
+    it('refuses a second binding for a taken key and reports the conflict', async () => {
+        const window = await open();
+        const manager = window.ShortcutManager;
+        let fired = 0;
+        const originalWarn = window.console.warn;
+        window.console.warn = () => {};
+
+        const result = manager.register({ id: 'clash', key: 'D', description: 'Clashes with dark mode', handler: () => fired++ });
+        window.console.warn = originalWarn;
+
+        assert.deepEqual({ ...result }, { ok: false, conflict: 'toggleTheme' });
+        assert.equal(manager.getBinding('clash').conflict, 'toggleTheme');
+        assert.deepEqual([...manager.findConflicts()].map(c => [...c.ids]), [['toggleTheme', 'clash']]);
+
+        press(window, window.document, 'd');
+        assert.equal(fired, 0);
+        assert.equal(window.document.documentElement.classList.contains('dark-mode'), true);
+    });
+
+    it('remaps a key, refuses taken or unusable keys, and remembers the change', async () => {
+        const window = await open();
+        const manager = window.ShortcutManager;
+
+        assert.equal(manager.setKey('toggleTheme', '/').reason, 'conflict');
+        assert.equal(manager.setKey('toggleTheme', 'Enter').reason, 'invalid');
+        assert.equal(manager.setKey('showShortcuts', 'h').reason, 'fixed');
+        assert.equal(manager.setKey('toggleTheme', 'T').ok, true);
+
+        const stored = JSON.parse(window.localStorage.getItem('osiShortcuts'));
+        assert.deepEqual(stored, { version: 1, keys: { toggleTheme: 't' } });
+
+        press(window, window.document, 'd');
+        assert.equal(window.document.documentElement.classList.contains('dark-mode'), false);
+        press(window, window.document, 't');
+        assert.equal(window.document.documentElement.classList.contains('dark-mode'), true);
+    });
+
+    it('applies stored keys on load and discards settings from another version', async () => {
+        let window = await open({ storage: { osiShortcuts: JSON.stringify({ version: 1, keys: { toggleTheme: 'k' } }) } });
+        assert.equal(window.ShortcutManager.getBinding('toggleTheme').key, 'k');
+
+        window.ShortcutManager.resetKeys();
+        assert.equal(window.ShortcutManager.getBinding('toggleTheme').key, 'd');
+        window.close();
+
+        window = await open({ storage: { osiShortcuts: JSON.stringify({ version: 99, keys: { toggleTheme: 'k' } }) } });
+        assert.equal(window.ShortcutManager.getBinding('toggleTheme').key, 'd');
+    });
+});
+
+describe('scoped shortcuts', () => {
+    it("reveals only the puzzle in use on 'r', even with two puzzles on the page", async () => {
+        const window = await open();
+        addTwoPuzzles(window);
+        const revealed = id => window.document.querySelectorAll(`#${id}Chips .chip-card.revealed`).length;
+
+        window.document.getElementById('secondReset').focus();
+        press(window, window.document.activeElement, 'r');
+        await wait();
+        assert.equal(revealed('first'), 0);
+        assert.equal(revealed('second'), 3);
+
+        window.document.activeElement.blur();
+        press(window, window.document, 'r');
+        await wait();
+        assert.equal(revealed('first'), 3);
+    });
+
+    it('leaves puzzle shortcuts inactive on pages without a puzzle', async () => {
+        const window = await open();
+        const active = [...window.ShortcutManager.getBindings()].filter(binding => binding.active).map(binding => binding.id);
+
+        assert.equal(active.includes('toggleTheme'), true);
+        assert.equal(active.includes('revealAll'), false);
+    });
+
+    it('claims Escape for a glossary term only while its tooltip is open', async () => {
+        const window = await open({ body: '<p><span class="glossary-wrap"><a class="glossary-term" href="#tcp">TCP</a></span></p><button id="elsewhere">Elsewhere</button>' });
+        const escape = target => {
+            const event = new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true, cancelable: true });
+            target.dispatchEvent(event);
+            return event.defaultPrevented;
+        };
+
+        window.document.getElementById('elsewhere').focus();
+        assert.equal(escape(window.document.activeElement), false);
+
+        window.document.querySelector('.glossary-term').focus();
+        assert.equal(escape(window.document.activeElement), true);
+        assert.equal(window.document.querySelector('.glossary-wrap').classList.contains('dismissed'), true);
+    });
+});
+
+describe('shortcut help overlay', () => {
+    it("opens on '?' with the active shortcuts, and Escape closes it and restores focus", async () => {
+        const window = await open();
+        const document = window.document;
+        addTwoPuzzles(window);
+        document.body.insertAdjacentHTML('afterbegin', '<button id="start">x</button>');
+        document.getElementById('start').focus();
+
+        press(window, document.activeElement, '?');
+        const overlay = document.getElementById('shortcutHelp');
+        const dialog = overlay.querySelector('[role="dialog"]');
+        assert.equal(overlay.hidden, false);
+        assert.equal(dialog.getAttribute('aria-modal'), 'true');
+        assert.equal(overlay.contains(document.activeElement), true);
+
+        const headings = Array.from(overlay.querySelectorAll('.shortcut-group-heading')).map(h => h.textContent);
+        assert.deepEqual(headings, ['Anywhere', 'Cipher puzzles']);
+        assert.ok(overlay.textContent.includes('Reveal every letter of the puzzle'));
+
+        // Shortcuts are paused while the overlay is open
+        press(window, document.activeElement, 'd');
+        assert.equal(document.documentElement.classList.contains('dark-mode'), false);
+
+        press(window, document.activeElement, 'Escape');
+        assert.equal(overlay.hidden, true);
+        assert.equal(document.activeElement.id, 'start');
+    });
+
+    it('changes a key from the overlay and updates the homepage list', async () => {
+        const window = await open({ body: '<ul id="shortcutList"></ul>' });
+        const document = window.document;
+        assert.match(document.getElementById('shortcutList').textContent, /d — Toggle dark mode/);
+
+        window.openShortcutHelp();
+        const overlay = document.getElementById('shortcutHelp');
+        overlay.querySelector('.shortcut-change[data-binding="toggleTheme"]').click();
+        press(window, document.activeElement, '/');
+        assert.match(overlay.querySelector('.shortcut-status').textContent, /already used/);
+
+        overlay.querySelector('.shortcut-change[data-binding="toggleTheme"]').click();
+        press(window, document.activeElement, 'm');
+        assert.equal(window.ShortcutManager.getBinding('toggleTheme').key, 'm');
+        assert.match(document.getElementById('shortcutList').textContent, /m — Toggle dark mode/);
+    });
+});
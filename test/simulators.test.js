@@ -0,0 +1,273 @@
+/**
+ * simulators.test.js
+ *
+ * Tests for the interactive protocol simulators in app.js.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/page.js');
+
+let dom = null;
+
+/**
+ * Loads a page with one simulator placeholder.
+ * @param {string} type - The data-simulator value.
+ * @param {string} id - The placeholder's ID.
+ * @returns {Promise<object>} - The page's window.
+ */
+async function setUpSimulator(type, id) {
+    dom = await loadPage({ body: `<section id="${id}" data-simulator="${type}"></section>` });
+    return dom.window;
+}
+
+afterEach(() => {
+    if (dom) dom.window.close();
+    dom = null;
+});
+
+describe('buildTcpScript', () => {
+    it('handshakes, sends three segments and tears down', async () => {
+        const window = await setUpSimulator('tcp', 'tcpSim');
+        const steps = window.buildTcpScript();
+        const labels = steps.map(step => step.label);
+
+        assert.deepEqual([...labels.slice(0, 3)], ['SYN', 'SYN-ACK', 'ACK']);
+        assert.deepEqual([...labels.slice(-4)], ['FIN', 'ACK', 'FIN', 'ACK']);
+        assert.equal(steps[1].ack, steps[0].seq + 1);
+        assert.equal(steps[steps.length - 1].server, 'CLOSED');
+        assert.equal(steps[steps.length - 1].client, 'TIME-WAIT');
+    });
+
+    it('acknowledges the next byte expected after each segment', async () => {
+        const window = await setUpSimulator('tcp', 'tcpSim');
+        const acks = window.buildTcpScript()
+            .filter(step => step.from === 'server' && step.label === 'ACK')
+            .map(step => step.ack);
+
+        assert.deepEqual([...acks.slice(0, 3)], [1101, 1201, 1301]);
+    });
+
+    it('retransmits a lost segment after a timeout', async () => {
+        const window = await setUpSimulator('tcp', 'tcpSim');
+        const steps = window.buildTcpScript({ loss: true, retransmit: true });
+        const lost = steps.findIndex(step => step.lost);
+
+        assert.equal(steps[lost + 1].label, 'Timeout');
+        assert.equal(steps[lost + 2].seq, steps[lost].seq);
+        assert.equal(steps.some(step => step.label === 'Duplicate ACK'), false);
+    });
+
+    it('leaves a hole in the stream without retransmission', async () => {
+        const window = await setUpSimulator('tcp', 'tcpSim');
+        const steps = window.buildTcpScript({ loss: true, retransmit: false });
+
+        assert.equal(steps.some(step => step.label === 'Timeout'), false);
+        assert.equal(steps.find(step => step.label === 'Duplicate ACK').ack, 1101);
+        assert.match(steps[steps.length - 1].note, /hole/);
+    });
+
+    it('never acknowledges the FIN past the hole, and aborts with a reset', async () => {
+        const window = await setUpSimulator('tcp', 'tcpSim');
+        const steps = window.buildTcpScript({ loss: true, retransmit: false });
+        const fin = steps.findIndex(step => step.label === 'FIN');
+
+        assert.ok(steps.slice(fin).filter(step => step.from === 'server').every(step => step.ack === 1101));
+        assert.equal(steps.some(step => step.ack === steps[fin].seq + 1), false);
+        assert.deepEqual([...steps.slice(fin).map(step => step.label)], ['FIN', 'Duplicate ACK', 'Stalled', 'RST']);
+        assert.equal(steps[steps.length - 1].client, 'CLOSED');
+        assert.equal(steps[steps.length - 1].server, 'CLOSED');
+    });
+});
+
+describe('buildUdpScript', () => {
+    it('sends datagrams with no handshake, numbers or acknowledgements', async () => {
+        const window = await setUpSimulator('tcp', 'tcpSim');
+        const steps = window.buildUdpScript({ loss: true });
+
+        assert.equal(steps.length, 3);
+        assert.ok(steps.every(step => step.from === 'client' && step.seq === null && step.ack === null));
+        assert.equal(steps[1].lost, true);
+    });
+});
+
+describe('TCP simulator widget', () => {
+    it('steps through the script and updates endpoint states', async () => {
+        const window = await setUpSimulator('tcp', 'tcpSim');
+        const $ = id => window.document.getElementById(id);
+
+        $('tcpSimStep').click();
+        assert.equal($('tcpSimTCPClient').textContent, 'SYN-SENT');
+        assert.equal($('tcpSimTCPTimeline').children.length, 1);
+
+        $('tcpSimUdp').click();
+        assert.equal($('tcpSimUDPLane').hidden, false);
+        assert.equal($('tcpSimTCPTimeline').children.length, 0);
+
+        for (let i = 0; i < 20; i++) $('tcpSimStep').click();
+        assert.equal($('tcpSimUDPTimeline').children.length, 3);
+        assert.equal($('tcpSimTCPServer').textContent, 'CLOSED');
+        assert.equal($('tcpSimStep').disabled, true);
+    });
+});
+
+describe('sessionTransition', () => {
+    /**
+     * Applies a list of actions in order, failing if any is refused.
+     * @param {object} window - The page's window.
+     * @param {object} session - Starting session.
+     * @param {array} actions - SESSION_ACTIONS keys.
+     * @returns {object} - The final { session, message }.
+     */
+    function run(window, session, actions) {
+        let result = { session: session, message: '' };
+        actions.forEach(action => {
+            result = window.sessionTransition(result.session, action);
+            assert.ok(result, `${action} should be allowed`);
+        });
+        return result;
+    }
+
+    it('opens, exchanges data and closes', async () => {
+        const window = await setUpSimulator('session', 'sessionSim');
+        const result = run(window, window.createSession('full'), ['open', 'sendA', 'sendB', 'sendB', 'close']);
+
+        assert.equal(result.session.state, 'CLOSED');
+        assert.equal(result.session.sent.B, 2);
+        assert.match(result.message, /S1 closed after A1 \/ B2/);
+    });
+
+    it('only lets the token holder send in half duplex', async () => {
+        const window = await setUpSimulator('session', 'sessionSim');
+        const opened = run(window, window.createSession('half'), ['open']).session;
+
+        assert.equal(window.sessionTransition(opened, 'sendB'), null);
+        const passed = run(window, opened, ['passToken']).session;
+        assert.equal(window.sessionTransition(passed, 'sendA'), null);
+        assert.ok(window.sessionTransition(passed, 'sendB'));
+    });
+
+    it('resumes from the last checkpoint after a drop', async () => {
+        const window = await setUpSimulator('session', 'sessionSim');
+        const result = run(window, window.createSession('full'),
+            ['open', 'sendA', 'sendA', 'checkpoint', 'sendA', 'sendB', 'drop', 'resume']);
+
+        assert.equal(result.session.state, 'ESTABLISHED');
+        assert.equal(result.session.id, 'S1');
+        assert.equal(result.session.sent.A, 2);
+        assert.equal(result.session.sent.B, 0);
+        assert.match(result.message, /checkpoint 1; 1 record\(s\) from A and 1 from B/);
+    });
+
+    it('refuses actions that make no sense in the current state', async () => {
+        const window = await setUpSimulator('session', 'sessionSim');
+        const idle = window.createSession();
+
+        assert.deepEqual([...window.getSessionActions(idle)], ['open']);
+        assert.equal(window.sessionTransition(idle, 'resume'), null);
+        assert.equal(window.sessionTransition(idle, 'bogus'), null);
+    });
+
+    it('logs every transition in the widget', async () => {
+        const window = await setUpSimulator('session', 'sessionSim');
+        const click = action => window.document.querySelector(`#sessionSim [data-action="${action}"]`).click();
+
+        click('open');
+        click('sendA');
+        click('drop');
+        const log = window.document.querySelectorAll('#sessionSimLog li');
+        assert.equal(log.length, 3);
+        assert.match(log[2].textContent, /ESTABLISHED → INTERRUPTED/);
+        assert.equal(window.document.querySelector('#sessionSim .session-state.current').dataset.state, 'INTERRUPTED');
+        assert.equal(window.document.getElementById('sessionSimDuplex').disabled, true);
+    });
+});
+
+describe('port playground', () => {
+    it('describes well-known, registered and ephemeral ports', async () => {
+        const window = await setUpSimulator('ports', 'portSim');
+
+        assert.match(window.describePort(443), /HTTPS over TCP \(well-known/);
+        assert.match(window.describePort(53), /DNS over UDP/);
+        assert.match(window.describePort(8080), /registered port/);
+        assert.match(window.describePort(50000), /ephemeral port/);
+        assert.match(window.describePort(70000), /not a port/);
+    });
+
+    it('gives two connections to the same service separate sockets', async () => {
+        const window = await setUpSimulator('ports', 'portSim');
+        const playground = window.createPortPlayground();
+        const first = window.openPortSocket(playground, 'Tab 1', window.findFreeEphemeralPort(playground), 443);
+        const second = window.openPortSocket(playground, 'Tab 2', window.findFreeEphemeralPort(playground), 443);
+
+        assert.equal(first.socket.srcPort, 49152);
+        assert.equal(second.socket.srcPort, 49153);
+        const segment = { protocol: 'TCP', srcIp: '192.168.1.20', srcPort: 49153, dstIp: '203.0.113.10', dstPort: 443 };
+        assert.equal(window.demultiplexSegment(playground, segment).app, 'Tab 2');
+        assert.equal(window.demultiplexSegment(playground, Object.assign({}, segment, { srcPort: 49999 })), null);
+    });
+
+    it('reports collisions only within the same protocol', async () => {
+        const window = await setUpSimulator('ports', 'portSim');
+        const playground = window.createPortPlayground();
+        window.openPortSocket(playground, 'Tab 1', 50000, 443);
+
+        assert.equal(window.openPortSocket(playground, 'Tab 2', 50000, 80).reason, 'collision');
+        assert.equal(window.openPortSocket(playground, 'Resolver', 50000, 53).ok, true);
+        assert.equal(window.openPortSocket(playground, 'Bad', 0, 80).reason, 'invalid');
+    });
+
+    it('refuses closed ports with RST for TCP and ICMP for UDP', async () => {
+        const window = await setUpSimulator('ports', 'portSim');
+        const playground = window.createPortPlayground();
+        playground.listening = [];
+
+        assert.match(window.openPortSocket(playground, 'SSH', 50000, 22).message, /RST/);
+        assert.match(window.openPortSocket(playground, 'DNS', 50001, 53).message, /ICMP port unreachable/);
+    });
+
+    it('traces the lookup across sockets on the same server port, and refuses a segment nothing matches', async () => {
+        const window = await setUpSimulator('ports', 'portSim');
+        const playground = window.createPortPlayground();
+        window.openPortSocket(playground, 'Tab 1', 49152, 443);
+        window.openPortSocket(playground, 'Tab 2', 49153, 443);
+        const segment = { protocol: 'TCP', srcIp: '192.168.1.20', srcPort: 49153, dstIp: '203.0.113.10', dstPort: 443 };
+
+        const delivered = window.traceDemultiplex(playground, segment);
+        assert.equal(delivered.match.app, 'Tab 2');
+        assert.equal(delivered.candidates.length, 2);
+        assert.match(delivered.message, /#1 Tab 1 \(192\.168\.1\.20:49152\) ✗, #2 Tab 2 \(192\.168\.1\.20:49153\) ✓/);
+
+        const stray = window.traceDemultiplex(playground, Object.assign({}, segment, { srcPort: 50000 }));
+        assert.equal(stray.match, null);
+        assert.equal(stray.reply, 'RST');
+        assert.equal(window.traceDemultiplex(playground, Object.assign({}, segment, { protocol: 'UDP', dstPort: 53 })).reply, 'ICMP');
+    });
+
+    it('answers a segment sent to a closed socket with RST', async () => {
+        const window = await setUpSimulator('ports', 'portSim');
+        const $ = id => window.document.getElementById(id);
+        const click = (client, role) => window.document.querySelector(`[data-client="${client}"] [data-role="${role}"]`).click();
+
+        click('tab1', 'connect');
+        click('tab2', 'connect');
+        click('tab2', 'send');
+        click('tab1', 'connect');
+        assert.equal($('portSimCraftSrc').value, '49152');
+        $('portSimCraftSend').click();
+
+        const log = Array.from(window.document.querySelectorAll('#portSimLog li')).map(item => item.textContent);
+        assert.match(log[2], /Delivered to socket #2 \(Browser tab 2\)/);
+        assert.match(log[4], /49152 → 203\.0\.113\.10:443\. Sockets on port 443: #2 Browser tab 2 .* ✗\. No 4-tuple matches, so the server drops it and answers RST\./);
+        assert.equal(window.document.querySelector('#portSimLog li:last-child').className, 'port-log-error');
+    });
+
+    it('frees a port when its socket closes', async () => {
+        const window = await setUpSimulator('ports', 'portSim');
+        const playground = window.createPortPlayground();
+        const opened = window.openPortSocket(playground, 'Tab 1', 49152, 443);
+        window.closePortSocket(playground, opened.socket.id);
+
+        assert.equal(window.findFreeEphemeralPort(playground), 49152);
+    });
+});
@@ -0,0 +1,170 @@
+/**
+ * theme.test.js
+ *
+ * Tests for the theme manager (theme.js) and the theme controls in app.js:
+ * modes, following the device setting, palettes, the old `theme` key and
+ * the homepage settings panel.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage } = require('./helpers/page.js');
+
+const SCRIPTS = ['theme.js', 'baconian.js', 'progress.js', 'app.js'];
+
+let dom = null;
+
+/**
+ * Loads a page with the theme manager and app.js.
+ * @param {object} [options] - loadPage() options.
+ * @returns {Promise<object>} - The page's window.
+ */
+async function open(options = {}) {
+    dom = await loadPage(Object.assign({ scripts: SCRIPTS }, options));
+    return dom.window;
+}
+
+/**
+ * Reads the stored theme settings.
+ * @param {object} window - The page's window.
+ * @returns {object} - The parsed osiTheme value.
+ */
+function stored(window) {
+    return JSON.parse(window.localStorage.getItem('osiTheme'));
+}
+
+afterEach(() => {
+    if (dom) dom.window.close();
+    dom = null;
+});
+
+describe('ThemeManager', () => {
+    it("follows the device's color scheme on a first visit", async () => {
+        const window = await open({ colorScheme: 'dark' });
+        const root = window.document.documentElement;
+
+        assert.equal(window.ThemeManager.getSettings().mode, 'system');
+        assert.equal(root.classList.contains('dark-mode'), true);
+        assert.equal(root.getAttribute('data-theme'), 'dark');
+    });
+
+    it('switches live when the device setting changes, but only in system mode', async () => {
+        const window = await open();
+        const root = window.document.documentElement;
+
+        dom.setMedia({ colorScheme: 'dark' });
+        assert.equal(root.getAttribute('data-theme'), 'dark');
+        dom.setMedia({ highContrast: true });
+        assert.equal(root.getAttribute('data-theme'), 'high-contrast');
+        assert.equal(root.classList.contains('dark-mode'), false);
+
+        window.ThemeManager.setMode('light');
+        dom.setMedia({ colorScheme: 'dark', highContrast: false });
+        assert.equal(root.getAttribute('data-theme'), 'light');
+    });
+
+    it('moves the old theme key into the versioned setting', async () => {
+        const window = await open({ storage: { theme: 'dark' } });
+
+        assert.deepEqual(stored(window), { version: 1, mode: 'dark', palette: 'default', customAccent: '#3498db' });
+        assert.equal(window.localStorage.getItem('theme'), null);
+        assert.equal(window.document.documentElement.classList.contains('dark-mode'), true);
+    });
+
+    it('discards settings from another version and unknown values', async () => {
+        let window = await open({ storage: { osiTheme: JSON.stringify({ version: 9, mode: 'dark' }) } });
+        assert.equal(window.ThemeManager.getSettings().mode, 'system');
+        window.close();
+
+        window = await open({ storage: { osiTheme: JSON.stringify({ version: 1, mode: 'neon', palette: 'nope', customAccent: 'red' }) } });
+        const settings = window.ThemeManager.getSettings();
+        assert.equal(settings.mode, 'system');
+        assert.equal(settings.palette, 'default');
+        assert.equal(settings.customAccent, '#3498db');
+    });
+
+    it('writes palette colors as custom properties, except in high contrast', async () => {
+        const window = await open();
+        const style = window.document.documentElement.style;
+
+        window.ThemeManager.setPalette('forest');
+        assert.equal(style.getPropertyValue('--color-accent'), '#2e7d32');
+        assert.equal(style.getPropertyValue('--color-link'), style.getPropertyValue('--color-accent-dark'));
+
+        window.ThemeManager.setMode('dark');
+        assert.equal(style.getPropertyValue('--color-accent'), '#66bb6a');
+        assert.equal(style.getPropertyValue('--color-link'), '#66bb6a');
+
+        window.ThemeManager.setMode('high-contrast');
+        assert.equal(style.getPropertyValue('--color-accent'), '');
+
+        window.ThemeManager.setMode('light');
+        assert.equal(window.ThemeManager.setPalette('custom', '#AA0000'), true);
+        assert.equal(style.getPropertyValue('--color-accent'), '#aa0000');
+        assert.equal(window.ThemeManager.setPalette('custom', 'red'), false);
+
+        window.ThemeManager.setPalette('default');
+        assert.equal(style.getPropertyValue('--color-accent'), '');
+    });
+});
+
+describe('theme controls', () => {
+    it("toggles between light and dark from the device's theme, then stops following it", async () => {
+        const window = await open({
+            colorScheme: 'dark',
+            body: '<button id="themeToggle"><span class="theme-icon"></span></button>'
+        });
+        const toggle = window.document.getElementById('themeToggle');
+        assert.equal(toggle.getAttribute('aria-label'), 'Toggle light mode');
+
+        toggle.click();
+        assert.equal(stored(window).mode, 'light');
+        assert.equal(toggle.getAttribute('aria-label'), 'Toggle dark mode');
+
+        dom.setMedia({ colorScheme: 'light' });
+        dom.setMedia({ colorScheme: 'dark' });
+        assert.equal(window.document.documentElement.classList.contains('dark-mode'), false);
+    });
+
+    it('renders the settings panel and applies the choices made in it', async () => {
+        const window = await open({ body: '<section data-theme-settings></section>' });
+        const document = window.document;
+        const choose = (name, value) => {
+            const input = document.querySelector(`input[name="${name}"][value="${value}"]`);
+            input.checked = true;
+            input.dispatchEvent(new window.Event('change', { bubbles: true }));
+        };
+
+        assert.equal(document.querySelectorAll('input[name="themeMode"]').length, 4);
+        assert.equal(document.querySelector('input[name="themeMode"]:checked').value, 'system');
+        assert.match(document.getElementById('themeNote').textContent, /currently light/);
+
+        choose('themeMode', 'high-contrast');
+        assert.equal(document.documentElement.classList.contains('high-contrast'), true);
+        assert.match(document.getElementById('themeNote').textContent, /own colors/);
+
+        choose('themePalette', 'sunset');
+        assert.equal(stored(window).palette, 'sunset');
+
+        // Another tab changing the theme is reflected in the panel
+        window.localStorage.setItem('osiTheme', JSON.stringify({ version: 1, mode: 'dark', palette: 'grape', customAccent: '#3498db' }));
+        window.dispatchEvent(new window.StorageEvent('storage', { key: 'osiTheme' }));
+        assert.equal(document.querySelector('input[name="themeMode"]:checked').value, 'dark');
+        assert.equal(document.querySelector('input[name="themePalette"]:checked').value, 'grape');
+    });
+
+    it('falls back to a plain light/dark toggle without theme.js, and skips the panel', async () => {
+        const window = await open({
+            scripts: SCRIPTS.filter(file => file !== 'theme.js'),
+            storage: { theme: 'dark' },
+            body: '<button id="themeToggle"><span class="theme-icon"></span></button><section data-theme-settings></section>'
+        });
+        const root = window.document.documentElement;
+        assert.equal(root.classList.contains('dark-mode'), true);
+
+        window.document.getElementById('themeToggle').click();
+        assert.equal(root.classList.contains('dark-mode'), false);
+        assert.equal(window.localStorage.getItem('theme'), 'light');
+        assert.equal(window.document.querySelector('[data-theme-settings]').innerHTML, '');
+    });
+});
@@ -0,0 +1,192 @@
+/**
+ * toast.test.js
+ *
+ * Tests for the toast queue (toast.js) and the notifications app.js shows
+ * for puzzle events and the first-visit keyboard tip.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPage, wait } = require('./helpers/page.js');
+
+const SCRIPTS = ['baconian.js', 'toast.js', 'progress.js', 'app.js'];
+
+const DEMO = {
+    id: 'demo',
+    plaintext: 'TCP',
+    alphabet: 'binary26',
+    feedback: 'letters'
+};
+
+let dom = null;
+
+/**
+ * Loads a page with toast.js and app.js.
+ * @param {object} [options] - loadPage() options.
+ * @returns {Promise<object>} - The page's window.
+ */
+async function open(options = {}) {
+    dom = await loadPage(Object.assign({ reducedMotion: true, scripts: SCRIPTS }, options));
+    return dom.window;
+}
+
+/**
+ * Adds the demo puzzle to the page and initializes it.
+ * @param {object} window - The page's window.
+ */
+function addPuzzle(window) {
+    window.document.body.insertAdjacentHTML('beforeend', `<section id="host">${window.buildPuzzleMarkup(DEMO)}</section>`);
+    window.initializePuzzle(DEMO);
+}
+
+/**
+ * Lists the messages of the toasts on screen.
+ * @param {object} window - The page's window.
+ * @returns {array} - Message texts, oldest first.
+ */
+function messages(window) {
+    return Array.from(window.document.querySelectorAll('.toast-message')).map(p => p.textContent);
+}
+
+afterEach(() => {
+    if (dom) dom.window.close();
+    dom = null;
+});
+
+describe('Toast', () => {
+    it('shows toasts in a polite live region, with alerts for errors', async () => {
+        const window = await open();
+        window.Toast.show('Saved', { severity: 'success' });
+        window.Toast.show('Something broke', { severity: 'error' });
+
+        const region = window.document.getElementById('toastRegion');
+        assert.equal(region.getAttribute('aria-live'), 'polite');
+        assert.deepEqual(messages(window), ['Success: Saved', 'Error: Something broke']);
+        assert.equal(region.querySelector('.toast-error').getAttribute('role'), 'alert');
+        assert.equal(region.querySelector('.toast-success').hasAttribute('role'), false);
+    });
+
+    it('queues toasts beyond the visible limit and shows them as others leave', async () => {
+        const window = await open();
+        ['one', 'two', 'three', 'four'].forEach(text => window.Toast.show(text, { duration: 0 }));
+
+        let state = window.Toast.getState();
+        assert.equal(state.visible.length, 3);
+        assert.deepEqual([...state.queued].map(toast => toast.message), ['four']);
+
+        window.document.querySelector('.toast-close').click();
+        state = window.Toast.getState();
+        assert.deepEqual([...state.visible].map(toast => toast.message), ['two', 'three', 'four']);
+        assert.equal(window.document.querySelectorAll('.toast').length, 3);
+    });
+
+    it('disappears after its duration, but errors stay until dismissed', async () => {
+        const window = await open();
+        window.Toast.show('Quick', { duration: 20 });
+        window.Toast.show('Stays', { severity: 'error' });
+
+        await wait(60);
+        assert.deepEqual(messages(window), ['Error: Stays']);
+    });
+
+    it('pauses while hovered or focused, and Escape dismisses the focused toast', async () => {
+        const window = await open();
+        window.Toast.show('Read me', { duration: 20 });
+        const toast = window.document.querySelector('.toast');
+
+        toast.dispatchEvent(new window.MouseEvent('mouseenter'));
+        await wait(60);
+        assert.equal(window.Toast.getState().visible.length, 1);
+
+        toast.querySelector('.toast-close').focus();
+        toast.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+        assert.equal(window.Toast.getState().visible.length, 0);
+    });
+
+    it('replaces a toast with the same id instead of stacking a copy', async () => {
+        const window = await open();
+        window.Toast.show('First version', { id: 'status' });
+        window.Toast.show('Second version', { id: 'status' });
+
+        assert.deepEqual(messages(window), ['Info: Second version']);
+    });
+
+    it('animates unless reduced motion is preferred', async () => {
+        const window = await open({ reducedMotion: false });
+        window.Toast.show('Hello');
+        const toast = window.document.querySelector('.toast');
+        assert.equal(toast.classList.contains('entering'), true);
+
+        window.Toast.clear();
+        assert.equal(toast.classList.contains('leaving'), true);
+        await wait(250);
+        assert.equal(window.document.querySelector('.toast'), null);
+    });
+});
+
+describe('notifications', () => {
+    it('only logs the message when toast.js is not on the page', async () => {
+        const window = await open({ scripts: SCRIPTS.filter(file => file !== 'toast.js') });
+        addPuzzle(window);
+        window.document.getElementById('demoGuess').value = 'TCP';
+
+        assert.doesNotThrow(() => window.checkGuess('demo', DEMO.plaintext, DEMO.alphabet));
+        assert.equal(window.showNotification('Hello'), null);
+        assert.equal(window.document.querySelector('.toast'), null);
+    });
+
+    it('announces a hint unlocked by a wrong guess, then the solve', async () => {
+        const window = await open();
+        addPuzzle(window);
+        const input = window.document.getElementById('demoGuess');
+
+        input.value = 'UDP';
+        window.checkGuess('demo', DEMO.plaintext, DEMO.alphabet);
+        input.value = 'IP';
+        window.checkGuess('demo', DEMO.plaintext, DEMO.alphabet);
+        assert.equal(messages(window).filter(text => /hint is now available/.test(text)).length, 1);
+
+        input.value = 'TCP';
+        window.checkGuess('demo', DEMO.plaintext, DEMO.alphabet);
+        assert.match(messages(window).join('\n'), /Puzzle solved! You scored \d+ points/);
+    });
+
+    it('announces the solve only once, not for guesses after it', async () => {
+        const window = await open();
+        addPuzzle(window);
+        const input = window.document.getElementById('demoGuess');
+
+        input.value = 'TCP';
+        window.checkGuess('demo', DEMO.plaintext, DEMO.alphabet);
+        assert.equal(messages(window).filter(text => /Puzzle solved/.test(text)).length, 1);
+
+        window.Toast.clear();
+        window.checkGuess('demo', DEMO.plaintext, DEMO.alphabet);
+        assert.deepEqual(messages(window), []);
+    });
+
+    it('says when saved progress was restored', async () => {
+        const progress = { version: 1, puzzles: { demo: { revealed: [0] } } };
+        const window = await open({ storage: { osiProgress: JSON.stringify(progress) } });
+        addPuzzle(window);
+
+        assert.deepEqual(messages(window), ['Info: Welcome back! Your progress on this puzzle has been restored.']);
+    });
+
+    it('shows the keyboard tip on the first Tab press only', async () => {
+        const window = await open({ scripts: ['shortcuts.js'].concat(SCRIPTS) });
+        const tab = () => window.document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Tab', bubbles: true }));
+
+        tab();
+        tab();
+        assert.equal(messages(window).filter(text => /press \? at any time/.test(text)).length, 1);
+        assert.equal(window.localStorage.getItem('keyboardHintShown'), 'true');
+    });
+
+    it("points to the homepage list instead of '?' when shortcuts.js is not on the page", async () => {
+        const window = await open();
+        window.document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Tab', bubbles: true }));
+
+        assert.deepEqual(messages(window), ['Info: Tip: the keyboard shortcuts are listed on the homepage, under Keyboard Shortcuts.']);
+    });
+});
@@ -0,0 +1,132 @@
+/**
+ * worksheet.test.js
+ *
+ * Tests for the worksheet module (worksheet.js) and the print and download
+ * buttons app.js adds under each puzzle.
+ */
+
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const BaconianCipher = require('../baconian.js');
+const PuzzleWorksheet = require('../worksheet.js');
+const { loadPage } = require('./helpers/page.js');
+
+const SCRIPTS = ['baconian.js', 'toast.js', 'worksheet.js', 'progress.js', 'app.js'];
+
+const FRAME = { id: 'layer2', title: 'Data Link <Message>', plaintext: 'FRAME', alphabet: 'bacon24', layer: 2 };
+
+describe('PuzzleWorksheet.build', () => {
+    it('lists the groups, their letters and the reference table for the alphabet', () => {
+        const sheet = PuzzleWorksheet.build(FRAME, BaconianCipher);
+
+        assert.deepEqual(sheet.groups, BaconianCipher.encodeText('FRAME', 'bacon24'));
+        assert.equal(sheet.answer, 'FRAME');
+        assert.equal(sheet.rows.length, 24);
+        assert.equal(sheet.rows.find(row => row.letter === 'I/J').group, 'ABAAA');
+        assert.equal(sheet.alphabetName, "Bacon's 24-letter table");
+    });
+});
+
+describe('PuzzleWorksheet output', () => {
+    const sheet = PuzzleWorksheet.build(FRAME, BaconianCipher);
+
+    it('builds a standalone HTML document with blank boxes and no external references', () => {
+        const html = PuzzleWorksheet.toHtml(sheet);
+
+        assert.match(html, /^<!DOCTYPE html>/);
+        assert.match(html, /<style>/);
+        assert.doesNotMatch(html, /<link|<script|src=|https?:\/\//);
+        assert.equal((html.match(/<span class="worksheet-box"><\/span>/g) || []).length, 5);
+        assert.ok(html.includes('Data Link &lt;Message&gt;'));
+        assert.ok(!html.includes('Answer Key'));
+    });
+
+    it('adds the answer key as a separate page only when asked', () => {
+        const html = PuzzleWorksheet.toHtml(sheet, { answerKey: true });
+
+        assert.equal((html.match(/class="worksheet-page/g) || []).length, 2);
+        assert.match(html, /worksheet-page worksheet-key/);
+        assert.match(html, /Answer: <strong>FRAME<\/strong>/);
+        assert.match(PuzzleWorksheet.STYLES, /\.worksheet-page \+ \.worksheet-page \{ break-before: page/);
+    });
+
+    it('draws a worksheet page and an answer key page as SVG', () => {
+        const svg = PuzzleWorksheet.toSvg(sheet);
+        const key = PuzzleWorksheet.toSvg(sheet, { answerKey: true });
+
+        assert.match(svg, /^<\?xml[^>]*\?>\s*<svg xmlns="http:\/\/www.w3.org\/2000\/svg"/);
+        assert.equal((svg.match(/<rect [^>]*stroke="#000"/g) || []).length, 5);
+        sheet.rows.forEach(row => assert.ok(svg.includes(`>${row.group}</text>`)));
+        assert.ok(!svg.includes('Answer Key'));
+        assert.ok(key.includes('Answer: FRAME'));
+    });
+});
+
+describe('worksheet buttons', () => {
+    let dom = null;
+
+    afterEach(() => {
+        if (dom) dom.window.close();
+        dom = null;
+    });
+
+    /**
+     * Loads a page with the FRAME puzzle initialized.
+     * @returns {Promise<object>} - The page's window.
+     */
+    async function setUpPuzzle() {
+        dom = await loadPage({ body: '<main id="main"></main>', reducedMotion: true, scripts: SCRIPTS });
+        const window = dom.window;
+        window.document.getElementById('main').innerHTML = `<section class="puzzle-section">${window.buildPuzzleMarkup(FRAME)}</section>`;
+        window.initializePuzzle(FRAME);
+        return window;
+    }
+
+    it('prints only the worksheet, then puts the page back', async () => {
+        const window = await setUpPuzzle();
+        const document = window.document;
+        let printed = null;
+        window.print = () => {
+            printed = {
+                printing: document.body.classList.contains('printing-worksheet'),
+                pages: document.querySelectorAll('#printWorksheet .worksheet-page').length
+            };
+        };
+
+        document.getElementById('layer2AnswerKey').checked = true;
+        document.getElementById('layer2PrintWorksheet').click();
+        assert.deepEqual({ ...printed }, { printing: true, pages: 2 });
+
+        window.dispatchEvent(new window.Event('afterprint'));
+        assert.equal(document.body.classList.contains('printing-worksheet'), false);
+        assert.equal(document.getElementById('printWorksheet').innerHTML, '');
+    });
+
+    it('downloads the worksheet and answer key as files built in the page', async () => {
+        const window = await setUpPuzzle();
+        const downloads = [];
+        window.URL.createObjectURL = () => `blob:${downloads.length}`;
+        window.URL.revokeObjectURL = () => {};
+        window.HTMLAnchorElement.prototype.click = function() {
+            downloads.push(this.download);
+        };
+
+        window.document.getElementById('layer2DownloadHtml').click();
+        window.document.getElementById('layer2AnswerKey').checked = true;
+        window.document.getElementById('layer2DownloadSvg').click();
+
+        assert.deepEqual(downloads, ['layer2-worksheet.html', 'layer2-worksheet.svg', 'layer2-answer-key.svg']);
+        assert.match(window.document.querySelector('.toast-message').textContent, /Saved layer2-worksheet\.html/);
+    });
+
+    it('leaves the buttons out when worksheet.js is not on the page', async () => {
+        dom = await loadPage({ body: '<main id="main"></main>', reducedMotion: true });
+        const window = dom.window;
+        window.document.getElementById('main').innerHTML = `<section class="puzzle-section">${window.buildPuzzleMarkup(FRAME)}</section>`;
+        window.initializePuzzle(FRAME);
+
+        assert.equal(window.document.querySelector('.worksheet-export'), null);
+        assert.equal(window.buildPuzzleWorksheet('layer2'), null);
+        assert.ok(window.document.getElementById('layer2Chips').children.length > 0);
+    });
+});
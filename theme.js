@@ -0,0 +1,304 @@
+/**
+ * theme.js
+ *
+ * Theme manager for the OSI Model educational website: light, dark and
+ * high-contrast themes, a "system" mode that follows the device's
+ * prefers-color-scheme and prefers-contrast settings (live, as they change),
+ * and accent color palettes.
+ *
+ * Every page loads this script in <head>, straight after styles.css, so the
+ * saved theme is applied before the first paint instead of flashing the
+ * light theme first. It only touches <html>:
+ *   - class 'dark-mode' or 'high-contrast' selects the theme's variables in
+ *     styles.css (no class is the light theme),
+ *   - data-theme names the theme in use ('light', 'dark', 'high-contrast'),
+ *   - a palette other than 'default' sets --color-accent, --color-accent-dark
+ *     and --color-link as inline custom properties, overriding styles.css.
+ * A 'themechange' event is dispatched on window after each change, so
+ * app.js can update the header toggle and the theme settings panel.
+ *
+ * Settings live in localStorage under one key:
+ *
+ *   osiTheme = {
+ *     version: 1,
+ *     mode: 'system',          // 'system', 'light', 'dark' or 'high-contrast'
+ *     palette: 'default',      // a PALETTES key, or 'custom'
+ *     customAccent: '#3498db'  // accent color for the 'custom' palette
+ *   }
+ *
+ * The old `theme` key ('light' or 'dark') is moved into this setting the
+ * first time it is found. Stored data from an older or unknown version is
+ * discarded. If localStorage is unavailable, changes last for the current
+ * page only.
+ *
+ * No external dependencies. Pure JavaScript.
+ */
+
+// Prevent re-initialization in case this script is loaded multiple times
+if (typeof window.ThemeManager === 'undefined') {
+    window.ThemeManager = {};
+
+    window.ThemeManager.STORAGE_KEY = 'osiTheme';
+    window.ThemeManager.LEGACY_KEY = 'theme';
+    window.ThemeManager.VERSION = 1;
+
+    window.ThemeManager.MODES = ['system', 'light', 'dark', 'high-contrast'];
+
+    /**
+     * Accent palettes. Each names the accent color for the light and dark
+     * themes; the darker accent and link colors are derived from it. The
+     * high-contrast theme always uses its own colors from styles.css.
+     */
+    window.ThemeManager.PALETTES = {
+        default: { label: 'Default', light: '#3498db', dark: '#5dade2' },
+        ocean: { label: 'Ocean', light: '#0e7c86', dark: '#4fc3cf' },
+        forest: { label: 'Forest', light: '#2e7d32', dark: '#66bb6a' },
+        sunset: { label: 'Sunset', light: '#c0510f', dark: '#f0883e' },
+        grape: { label: 'Grape', light: '#8e44ad', dark: '#bb8fce' }
+    };
+
+    const PALETTE_PROPERTIES = ['--color-accent', '--color-accent-dark', '--color-link'];
+    const DARK_QUERY = '(prefers-color-scheme: dark)';
+    const CONTRAST_QUERY = '(prefers-contrast: more)';
+
+    // Fallback store used when localStorage throws (private mode, blocked storage)
+    let memoryStore = null;
+
+    /**
+     * Creates the default settings.
+     * @returns {object} - { version, mode, palette, customAccent }
+     */
+    window.ThemeManager.createSettings = function() {
+        return {
+            version: window.ThemeManager.VERSION,
+            mode: 'system',
+            palette: 'default',
+            customAccent: window.ThemeManager.PALETTES.default.light
+        };
+    };
+
+    /**
+     * Loads the theme settings, moving an old `theme` value across and
+     * discarding data saved by a different version.
+     * @returns {object} - { version, mode, palette, customAccent }
+     */
+    window.ThemeManager.load = function() {
+        const settings = window.ThemeManager.createSettings();
+        let raw = memoryStore;
+        let legacy = null;
+
+        try {
+            raw = localStorage.getItem(window.ThemeManager.STORAGE_KEY) || raw;
+            legacy = localStorage.getItem(window.ThemeManager.LEGACY_KEY);
+        } catch (err) {
+            // Storage blocked: keep using the in-memory copy
+        }
+
+        if (!raw) {
+            if (legacy === 'light' || legacy === 'dark') {
+                settings.mode = legacy;
+                window.ThemeManager.save(settings);
+                try {
+                    localStorage.removeItem(window.ThemeManager.LEGACY_KEY);
+                } catch (err) {
+                    // Storage blocked: nothing to clean up
+                }
+            }
+            return settings;
+        }
+
+        try {
+            const data = JSON.parse(raw);
+            if (!data || data.version !== window.ThemeManager.VERSION) {
+                return settings;
+            }
+            if (window.ThemeManager.MODES.indexOf(data.mode) !== -1) settings.mode = data.mode;
+            if (data.palette === 'custom' || window.ThemeManager.PALETTES[data.palette]) settings.palette = data.palette;
+            if (/^#[0-9a-f]{6}$/i.test(data.customAccent)) settings.customAccent = data.customAccent.toLowerCase();
+            return settings;
+        } catch (err) {
+            console.warn('Discarding unreadable theme settings', err);
+            return settings;
+        }
+    };
+
+    /**
+     * Saves the theme settings.
+     * @param {object} settings - { version, mode, palette, customAccent }
+     */
+    window.ThemeManager.save = function(settings) {
+        const raw = JSON.stringify(settings);
+        memoryStore = raw;
+        try {
+            localStorage.setItem(window.ThemeManager.STORAGE_KEY, raw);
+        } catch (err) {
+            // Storage blocked or full: settings stay in memory for this page
+        }
+    };
+
+    /**
+     * Checks a media query, treating browsers without matchMedia as no match.
+     * @param {string} query - A media query.
+     * @returns {boolean} - Whether it matches.
+     */
+    function matches(query) {
+        return typeof window.matchMedia === 'function' && window.matchMedia(query).matches;
+    }
+
+    /**
+     * Works out which theme a mode shows right now.
+     * @param {string} mode - 'system', 'light', 'dark' or 'high-contrast'.
+     * @returns {string} - 'light', 'dark' or 'high-contrast'.
+     */
+    window.ThemeManager.resolve = function(mode) {
+        if (mode !== 'system') return mode;
+        if (matches(CONTRAST_QUERY)) return 'high-contrast';
+        return matches(DARK_QUERY) ? 'dark' : 'light';
+    };
+
+    /**
+     * Mixes a hex color with black or white.
+     * @param {string} hex - Color as #rrggbb.
+     * @param {number} amount - -1 (black) to 1 (white); 0 leaves it unchanged.
+     * @returns {string} - The mixed color as #rrggbb.
+     */
+    window.ThemeManager.shade = function(hex, amount) {
+        const target = amount < 0 ? 0 : 255;
+        const weight = Math.abs(amount);
+        return '#' + [1, 3, 5].map(i => {
+            const channel = parseInt(hex.slice(i, i + 2), 16);
+            return Math.round(channel + (target - channel) * weight).toString(16).padStart(2, '0');
+        }).join('');
+    };
+
+    /**
+     * Lists the custom properties a palette sets for a theme.
+     * @param {object} settings - Theme settings.
+     * @param {string} theme - 'light', 'dark' or 'high-contrast'.
+     * @returns {object} - { '--color-accent': '#...', ... }, empty when
+     *   styles.css's own colors apply (the default palette, high contrast).
+     */
+    window.ThemeManager.getPaletteProperties = function(settings, theme) {
+        if (settings.palette === 'default' || theme === 'high-contrast') return {};
+
+        const palette = window.ThemeManager.PALETTES[settings.palette];
+        const accent = palette
+            ? palette[theme]
+            : (theme === 'dark' ? window.ThemeManager.shade(settings.customAccent, 0.25) : settings.customAccent);
+        const accentDark = window.ThemeManager.shade(accent, -0.2);
+
+        return {
+            '--color-accent': accent,
+            '--color-accent-dark': accentDark,
+            '--color-link': theme === 'dark' ? accent : accentDark
+        };
+    };
+
+    /**
+     * Applies the saved settings to <html> and announces the change.
+     * @returns {string} - The theme now showing.
+     */
+    window.ThemeManager.apply = function() {
+        const settings = window.ThemeManager.load();
+        const theme = window.ThemeManager.resolve(settings.mode);
+        const root = document.documentElement;
+
+        root.classList.toggle('dark-mode', theme === 'dark');
+        root.classList.toggle('high-contrast', theme === 'high-contrast');
+        root.setAttribute('data-theme', theme);
+        root.style.colorScheme = theme === 'dark' ? 'dark' : 'light';
+
+        const properties = window.ThemeManager.getPaletteProperties(settings, theme);
+        PALETTE_PROPERTIES.forEach(name => {
+            if (properties[name]) {
+                root.style.setProperty(name, properties[name]);
+            } else {
+                root.style.removeProperty(name);
+            }
+        });
+
+        window.dispatchEvent(new CustomEvent('themechange', {
+            detail: { mode: settings.mode, theme: theme, palette: settings.palette }
+        }));
+        return theme;
+    };
+
+    /**
+     * Gets the saved settings.
+     * @returns {object} - { version, mode, palette, customAccent }
+     */
+    window.ThemeManager.getSettings = function() {
+        return window.ThemeManager.load();
+    };
+
+    /**
+     * Gets the theme showing right now.
+     * @returns {string} - 'light', 'dark' or 'high-contrast'.
+     */
+    window.ThemeManager.getTheme = function() {
+        return window.ThemeManager.resolve(window.ThemeManager.load().mode);
+    };
+
+    /**
+     * Chooses a mode and applies it.
+     * @param {string} mode - 'system', 'light', 'dark' or 'high-contrast'.
+     * @returns {boolean} - False if the mode is unknown.
+     */
+    window.ThemeManager.setMode = function(mode) {
+        if (window.ThemeManager.MODES.indexOf(mode) === -1) return false;
+
+        const settings = window.ThemeManager.load();
+        settings.mode = mode;
+        window.ThemeManager.save(settings);
+        window.ThemeManager.apply();
+        return true;
+    };
+
+    /**
+     * Chooses an accent palette and applies it.
+     * @param {string} palette - A PALETTES key, or 'custom'.
+     * @param {string} [customAccent] - For 'custom': the accent color as #rrggbb.
+     * @returns {boolean} - False if the palette or color is not valid.
+     */
+    window.ThemeManager.setPalette = function(palette, customAccent) {
+        if (palette !== 'custom' && !window.ThemeManager.PALETTES[palette]) return false;
+        if (customAccent !== undefined && !/^#[0-9a-f]{6}$/i.test(customAccent)) return false;
+
+        const settings = window.ThemeManager.load();
+        settings.palette = palette;
+        if (customAccent) settings.customAccent = customAccent.toLowerCase();
+        window.ThemeManager.save(settings);
+        window.ThemeManager.apply();
+        return true;
+    };
+
+    /**
+     * Puts the default settings back (system mode, default palette).
+     */
+    window.ThemeManager.reset = function() {
+        window.ThemeManager.save(window.ThemeManager.createSettings());
+        window.ThemeManager.apply();
+    };
+
+    // Follow the device's settings while in system mode
+    [DARK_QUERY, CONTRAST_QUERY].forEach(query => {
+        if (typeof window.matchMedia !== 'function') return;
+
+        const list = window.matchMedia(query);
+        const onChange = () => {
+            if (window.ThemeManager.load().mode === 'system') window.ThemeManager.apply();
+        };
+        if (list.addEventListener) {
+            list.addEventListener('change', onChange);
+        } else if (list.addListener) {
+            list.addListener(onChange);
+        }
+    });
+
+    // Keep other open tabs in step
+    window.addEventListener('storage', (e) => {
+        if (e.key === window.ThemeManager.STORAGE_KEY) window.ThemeManager.apply();
+    });
+
+    window.ThemeManager.apply();
+}
@@ -0,0 +1,273 @@
+/**
+ * toast.js
+ *
+ * Toast notifications for the OSI Model educational website: short messages
+ * that stack in the corner of the page and disappear on their own.
+ *
+ *   window.Toast.show('Puzzle solved!', { severity: 'success' });
+ *
+ * - Severity ('info', 'success', 'warning', 'error') sets the icon, the
+ *   color and the default duration. Errors stay until dismissed.
+ * - Every toast has a close button; Escape dismisses the focused toast.
+ * - A toast can carry one action button (e.g. "Reload"); clicking it runs
+ *   the action and dismisses the toast.
+ * - At most MAX_VISIBLE toasts show at once. Later ones wait in a queue and
+ *   appear as earlier ones leave.
+ * - A toast given an `id` replaces any toast with the same id (shown or
+ *   queued) instead of stacking a duplicate.
+ * - The timer pauses while the pointer is over a toast or focus is in it,
+ *   so there is time to read it.
+ * - Toasts are added to one live region (created on first use), so screen
+ *   readers announce them; errors and warnings use role="alert".
+ * - With prefers-reduced-motion, toasts appear and leave without animating.
+ *
+ * No external dependencies. Pure JavaScript.
+ */
+
+// Prevent re-initialization in case this script is loaded multiple times
+if (typeof window.Toast === 'undefined') {
+    window.Toast = {};
+
+    window.Toast.MAX_VISIBLE = 3;
+
+    window.Toast.SEVERITIES = {
+        info: { icon: 'ℹ', label: 'Info', duration: 4000 },
+        success: { icon: '✓', label: 'Success', duration: 4000 },
+        warning: { icon: '⚠', label: 'Warning', duration: 6000 },
+        error: { icon: '✗', label: 'Error', duration: 0 }
+    };
+
+    // How long the leaving animation in styles.css runs
+    const LEAVE_MS = 200;
+
+    const visible = [];
+    const queue = [];
+    let nextId = 1;
+
+    /**
+     * Gets the live region toasts are shown in, creating it on first use.
+     * @returns {HTMLElement} - The .toast-region element.
+     */
+    function getRegion() {
+        let region = document.getElementById('toastRegion');
+        if (!region) {
+            region = document.createElement('div');
+            region.id = 'toastRegion';
+            region.className = 'toast-region';
+            region.setAttribute('role', 'region');
+            region.setAttribute('aria-label', 'Notifications');
+            region.setAttribute('aria-live', 'polite');
+            region.setAttribute('aria-relevant', 'additions');
+            document.body.appendChild(region);
+        }
+        return region;
+    }
+
+    /**
+     * Checks whether the student asked for less motion.
+     * @returns {boolean} - True if prefers-reduced-motion is set.
+     */
+    function prefersReducedMotion() {
+        return typeof window.matchMedia === 'function' && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    }
+
+    /**
+     * Starts (or resumes) a toast's countdown.
+     * @param {object} toast - A visible toast.
+     */
+    function startTimer(toast) {
+        if (!toast.duration || toast.timer) return;
+        toast.startedAt = Date.now();
+        toast.timer = setTimeout(() => window.Toast.dismiss(toast.id), toast.remaining);
+    }
+
+    /**
+     * Pauses a toast's countdown, keeping the time it has left.
+     * @param {object} toast - A visible toast.
+     */
+    function pauseTimer(toast) {
+        if (!toast.timer) return;
+        clearTimeout(toast.timer);
+        toast.timer = null;
+        toast.remaining = Math.max(0, toast.remaining - (Date.now() - toast.startedAt));
+    }
+
+    /**
+     * Builds a toast's element.
+     * @param {object} toast - The toast.
+     * @returns {HTMLElement} - The .toast element.
+     */
+    function buildElement(toast) {
+        const severity = window.Toast.SEVERITIES[toast.severity];
+        const element = document.createElement('div');
+        element.className = `toast toast-${toast.severity}`;
+        element.dataset.toastId = toast.id;
+        if (toast.severity === 'error' || toast.severity === 'warning') {
+            element.setAttribute('role', 'alert');
+        }
+
+        const icon = document.createElement('span');
+        icon.className = 'toast-icon';
+        icon.setAttribute('aria-hidden', 'true');
+        icon.textContent = severity.icon;
+
+        const message = document.createElement('p');
+        message.className = 'toast-message';
+        const label = document.createElement('span');
+        label.className = 'visually-hidden';
+        label.textContent = `${severity.label}: `;
+        message.append(label, toast.message);
+
+        const close = document.createElement('button');
+        close.type = 'button';
+        close.className = 'toast-close';
+        close.setAttribute('aria-label', 'Dismiss notification');
+        close.textContent = '×';
+        close.addEventListener('click', () => window.Toast.dismiss(toast.id));
+
+        element.append(icon, message);
+        if (toast.action) {
+            const action = document.createElement('button');
+            action.type = 'button';
+            action.className = 'toast-action';
+            action.textContent = toast.action.label;
+            action.addEventListener('click', () => {
+                window.Toast.dismiss(toast.id);
+                toast.action.handler();
+            });
+            element.appendChild(action);
+        }
+        element.appendChild(close);
+
+        element.addEventListener('mouseenter', () => pauseTimer(toast));
+        element.addEventListener('mouseleave', () => {
+            if (!element.contains(document.activeElement)) startTimer(toast);
+        });
+        element.addEventListener('focusin', () => pauseTimer(toast));
+        element.addEventListener('focusout', (e) => {
+            if (!element.contains(e.relatedTarget)) startTimer(toast);
+        });
+        element.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                window.Toast.dismiss(toast.id);
+            }
+        });
+        return element;
+    }
+
+    /**
+     * Moves queued toasts onto the page while there is room.
+     */
+    function showQueued() {
+        while (visible.length < window.Toast.MAX_VISIBLE && queue.length) {
+            const toast = queue.shift();
+            toast.element = buildElement(toast);
+            if (!prefersReducedMotion()) toast.element.classList.add('entering');
+            getRegion().appendChild(toast.element);
+            visible.push(toast);
+            startTimer(toast);
+        }
+    }
+
+    /**
+     * Shows a toast, or queues it if MAX_VISIBLE are already showing.
+     * @param {string} message - Text to show.
+     * @param {object} [options] - Toast options.
+     * @param {string} [options.severity] - 'info' (default), 'success', 'warning' or 'error'.
+     * @param {number} [options.duration] - Milliseconds before it disappears;
+     *   0 keeps it until dismissed. Defaults to the severity's duration.
+     * @param {string} [options.id] - Replaces a toast with the same id.
+     * @param {object} [options.action] - A button for the toast: { label, handler }.
+     * @returns {string} - The toast's id, for dismiss().
+     */
+    window.Toast.show = function(message, options = {}) {
+        const severity = window.Toast.SEVERITIES[options.severity] ? options.severity : 'info';
+        const duration = options.duration !== undefined ? options.duration : window.Toast.SEVERITIES[severity].duration;
+        const toast = {
+            id: options.id || `toast${nextId++}`,
+            message: String(message),
+            severity: severity,
+            duration: duration,
+            action: options.action && options.action.label ? options.action : null,
+            remaining: duration,
+            timer: null,
+            element: null
+        };
+
+        const queued = queue.findIndex(item => item.id === toast.id);
+        if (queued !== -1) {
+            queue[queued] = toast;
+            return toast.id;
+        }
+
+        const shown = visible.findIndex(item => item.id === toast.id);
+        if (shown !== -1) {
+            const old = visible[shown];
+            pauseTimer(old);
+            toast.element = buildElement(toast);
+            old.element.replaceWith(toast.element);
+            visible[shown] = toast;
+            startTimer(toast);
+            return toast.id;
+        }
+
+        queue.push(toast);
+        showQueued();
+        return toast.id;
+    };
+
+    /**
+     * Removes a toast (shown or queued) and lets the next queued one in.
+     * @param {string} id - The toast's id.
+     */
+    window.Toast.dismiss = function(id) {
+        const queued = queue.findIndex(item => item.id === id);
+        if (queued !== -1) {
+            queue.splice(queued, 1);
+            return;
+        }
+
+        const index = visible.findIndex(item => item.id === id);
+        if (index === -1) return;
+
+        const toast = visible.splice(index, 1)[0];
+        pauseTimer(toast);
+        const hadFocus = toast.element.contains(document.activeElement);
+
+        if (prefersReducedMotion()) {
+            toast.element.remove();
+        } else {
+            toast.element.classList.add('leaving');
+            setTimeout(() => toast.element.remove(), LEAVE_MS);
+        }
+
+        // Don't strand keyboard focus on a removed toast
+        if (hadFocus) {
+            const next = visible[index] || visible[index - 1];
+            if (next) {
+                next.element.querySelector('.toast-close').focus();
+            } else {
+                toast.element.querySelector('.toast-close').blur();
+            }
+        }
+        showQueued();
+    };
+
+    /**
+     * Removes every toast, shown or queued.
+     */
+    window.Toast.clear = function() {
+        queue.length = 0;
+        visible.slice().forEach(toast => window.Toast.dismiss(toast.id));
+    };
+
+    /**
+     * Lists the toasts, for tests and debugging.
+     * @returns {object} - { visible, queued }: arrays of { id, message, severity }.
+     */
+    window.Toast.getState = function() {
+        const describe = toast => ({ id: toast.id, message: toast.message, severity: toast.severity });
+        return { visible: visible.map(describe), queued: queue.map(describe) };
+    };
+}
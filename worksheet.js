@@ -0,0 +1,270 @@
+/**
+ * worksheet.js
+ *
+ * Printable worksheets for the OSI Model educational website, for classes
+ * without a network: turns a puzzle manifest entry (puzzles.js) into a
+ * worksheet with the puzzle's A/B groups, a blank answer box under each,
+ * and a decoding reference table built from the BaconianCipher mapping.
+ * An answer key (the same groups with their letters filled in) can be added
+ * as a separate page.
+ *
+ * Output formats:
+ *   - toHtml(): a complete standalone HTML document with its styles inline,
+ *     so a downloaded copy prints the same anywhere, offline.
+ *   - toFragment(): the same worksheet as markup, for printing in place
+ *     (app.js shows it with STYLES and the print rules in styles.css).
+ *   - toSvg(): one page as a standalone SVG image; pass { answerKey: true }
+ *     for the answer key page.
+ *
+ * Like baconian.js, the module touches no window or document:
+ *   - Browser: <script src="worksheet.js"> defines window.PuzzleWorksheet.
+ *   - Node: const PuzzleWorksheet = require('./worksheet.js'); (or import)
+ *
+ * No external dependencies. Pure JavaScript.
+ */
+
+(function(root, factory) {
+    const PuzzleWorksheet = factory();
+
+    // Node / CommonJS (ESM importers get this as the default export)
+    if (typeof module === 'object' && module.exports) {
+        module.exports = PuzzleWorksheet;
+    }
+
+    // Browser global. Prevent re-initialization in case this script is loaded multiple times
+    if (root && typeof root.PuzzleWorksheet === 'undefined') {
+        root.PuzzleWorksheet = PuzzleWorksheet;
+    }
+})(typeof window !== 'undefined' ? window : null, function() {
+    const PuzzleWorksheet = {};
+
+    /**
+     * Worksheet styles. Every rule is scoped to .worksheet, so printing in
+     * place cannot restyle the rest of the page. Black on white, sized for A4
+     * and US Letter.
+     */
+    PuzzleWorksheet.STYLES = `
+.worksheet { font-family: Georgia, 'Times New Roman', serif; color: #000; background: #fff; max-width: 180mm; margin: 0 auto; }
+.worksheet-page { padding: 8mm 0; }
+.worksheet-page + .worksheet-page { break-before: page; page-break-before: always; }
+.worksheet h1 { font-size: 20pt; margin: 0 0 4mm; }
+.worksheet h2 { font-size: 13pt; margin: 6mm 0 3mm; }
+.worksheet p { font-size: 11pt; line-height: 1.4; margin: 0 0 3mm; }
+.worksheet-student { display: flex; gap: 12mm; font-size: 11pt; margin-bottom: 5mm; }
+.worksheet-student span { flex: 1; border-bottom: 1px solid #000; padding-bottom: 1mm; }
+.worksheet-groups { list-style: none; display: flex; flex-wrap: wrap; gap: 4mm; padding: 0; margin: 0; }
+.worksheet-group { width: 26mm; text-align: center; break-inside: avoid; }
+.worksheet-code { display: block; font-family: 'Courier New', monospace; font-size: 13pt; font-weight: bold; letter-spacing: 1px; }
+.worksheet-box { display: block; width: 12mm; height: 12mm; margin: 2mm auto 0; border: 1.5px solid #000; font-size: 18pt; line-height: 12mm; font-weight: bold; }
+.worksheet-answer { font-size: 12pt; margin-top: 5mm; }
+.worksheet-answer-line { display: inline-block; min-width: 80mm; border-bottom: 1px solid #000; }
+.worksheet-reference { border-collapse: collapse; font-size: 9.5pt; break-inside: avoid; }
+.worksheet-reference th, .worksheet-reference td { border: 1px solid #000; padding: 0.8mm 2.5mm; text-align: center; }
+.worksheet-reference td.worksheet-code { font-size: 9.5pt; }
+.worksheet-reference .worksheet-gap { border: none; width: 4mm; }
+.worksheet-footer { font-size: 9pt; color: #444; margin-top: 6mm; }
+`;
+
+    /**
+     * Escapes text for use in HTML or SVG markup.
+     * @param {string} text - Any text.
+     * @returns {string} - The text with &, <, >, " and ' escaped.
+     */
+    PuzzleWorksheet.escape = function(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    };
+
+    /**
+     * Collects everything a worksheet shows.
+     * @param {object} entry - Puzzle manifest entry ({ id, title, plaintext, alphabet, layer }).
+     * @param {object} cipher - The BaconianCipher module.
+     * @returns {object} - { id, title, layer, alphabet, alphabetName, description, groups,
+     *   letters, answer, rows } where rows is the reference table
+     *   (see BaconianCipher.getMappingRows).
+     */
+    PuzzleWorksheet.build = function(entry, cipher) {
+        const table = cipher.getAlphabet(entry.alphabet);
+        const groups = cipher.encodeText(entry.plaintext, table.id);
+        const letters = groups.map(group => cipher.decodeGroup(group, table.id));
+
+        return {
+            id: entry.id,
+            title: entry.title || 'Baconian Puzzle',
+            layer: entry.layer || null,
+            alphabet: table.id,
+            alphabetName: table.name,
+            description: table.description,
+            groups: groups,
+            letters: letters,
+            answer: letters.join(''),
+            rows: cipher.getMappingRows(table.id)
+        };
+    };
+
+    /**
+     * Builds the reference table markup, its rows split into side-by-side halves.
+     * @param {object} sheet - Worksheet from build().
+     * @returns {string} - HTML for a <table>.
+     */
+    function referenceTable(sheet) {
+        const half = Math.ceil(sheet.rows.length / 2);
+        const cells = row => row
+            ? `<td class="worksheet-code">${row.group}</td><td>${row.binary}</td><td>${row.letter}</td>`
+            : '<td></td><td></td><td></td>';
+
+        let body = '';
+        for (let i = 0; i < half; i++) {
+            body += `<tr>${cells(sheet.rows[i])}<td class="worksheet-gap"></td>${cells(sheet.rows[i + half])}</tr>`;
+        }
+        const heading = '<th scope="col">Group</th><th scope="col">Binary</th><th scope="col">Letter</th>';
+        return `<table class="worksheet-reference"><thead><tr>${heading}<td class="worksheet-gap"></td>${heading}</tr></thead><tbody>${body}</tbody></table>`;
+    }
+
+    /**
+     * Builds one worksheet page: the student's copy or the answer key.
+     * @param {object} sheet - Worksheet from build().
+     * @param {boolean} key - True for the answer key.
+     * @returns {string} - HTML for a .worksheet-page section.
+     */
+    function page(sheet, key) {
+        const title = PuzzleWorksheet.escape(sheet.title) + (key ? ' — Answer Key' : '');
+        const layer = sheet.layer ? `OSI Layer ${sheet.layer} · ` : '';
+        const groups = sheet.groups.map((group, i) => `
+            <li class="worksheet-group"><span class="worksheet-code">${group}</span><span class="worksheet-box">${key ? sheet.letters[i] : ''}</span></li>`).join('');
+
+        const top = key
+            ? `<p>Answer: <strong>${PuzzleWorksheet.escape(sheet.answer)}</strong></p>`
+            : `<div class="worksheet-student"><span>Name:</span><span>Date:</span></div>
+            <p>Each group of five A/B letters stands for one letter. Read A as 0 and B as 1 to get a 5-bit binary number, or find the group in the reference table. Write each letter in the box under its group, then write the whole word below.</p>`;
+        const answerLine = key ? '' : '<p class="worksheet-answer">The word is: <span class="worksheet-answer-line">&nbsp;</span></p>';
+
+        return `
+        <section class="worksheet-page${key ? ' worksheet-key' : ''}">
+            <h1>${title}</h1>
+            ${top}
+            <h2>The message</h2>
+            <ol class="worksheet-groups">${groups}
+            </ol>
+            ${answerLine}
+            <h2>Decoding reference: ${PuzzleWorksheet.escape(sheet.alphabetName)}</h2>
+            <p>${PuzzleWorksheet.escape(sheet.description)}</p>
+            ${referenceTable(sheet)}
+            <p class="worksheet-footer">${layer}OSI Model Baconian cipher worksheet (${PuzzleWorksheet.escape(sheet.id)})</p>
+        </section>`;
+    }
+
+    /**
+     * Builds the worksheet as markup for printing in place.
+     * @param {object} sheet - Worksheet from build().
+     * @param {object} [options] - Output options.
+     * @param {boolean} [options.answerKey] - Add the answer key as a second page.
+     * @returns {string} - HTML for a .worksheet element (styles not included).
+     */
+    PuzzleWorksheet.toFragment = function(sheet, options = {}) {
+        return `<div class="worksheet">${page(sheet, false)}${options.answerKey ? page(sheet, true) : ''}
+        </div>`;
+    };
+
+    /**
+     * Builds the worksheet as a standalone HTML document.
+     * @param {object} sheet - Worksheet from build().
+     * @param {object} [options] - Output options.
+     * @param {boolean} [options.answerKey] - Add the answer key as a second page.
+     * @returns {string} - A complete HTML document with no external references.
+     */
+    PuzzleWorksheet.toHtml = function(sheet, options = {}) {
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${PuzzleWorksheet.escape(sheet.title)} — Worksheet</title>
+    <style>
+@page { margin: 15mm; }
+body { margin: 0; background: #fff; }
+${PuzzleWorksheet.STYLES}
+    </style>
+</head>
+<body>
+${PuzzleWorksheet.toFragment(sheet, options)}
+</body>
+</html>
+`;
+    };
+
+    /**
+     * Builds one worksheet page as a standalone SVG image (A4 proportions,
+     * 96 units per inch).
+     * @param {object} sheet - Worksheet from build().
+     * @param {object} [options] - Output options.
+     * @param {boolean} [options.answerKey] - Draw the answer key instead of
+     *   the student's copy.
+     * @returns {string} - An SVG document.
+     */
+    PuzzleWorksheet.toSvg = function(sheet, options = {}) {
+        const key = Boolean(options.answerKey);
+        const width = 794;
+        const margin = 56;
+        const parts = [];
+        const text = (x, y, content, attributes = '') =>
+            parts.push(`<text x="${x}" y="${y}"${attributes ? ' ' + attributes : ''}>${PuzzleWorksheet.escape(content)}</text>`);
+
+        let y = margin + 24;
+        text(margin, y, sheet.title + (key ? ' — Answer Key' : ''), 'font-size="24" font-weight="bold"');
+        y += 36;
+        if (key) {
+            text(margin, y, `Answer: ${sheet.answer}`, 'font-size="16"');
+        } else {
+            text(margin, y, 'Name: ______________________    Date: ____________', 'font-size="14"');
+            y += 26;
+            text(margin, y, 'Write the letter for each A/B group in the box under it (A = 0, B = 1).', 'font-size="14"');
+        }
+
+        // The message: one cell per group, wrapping onto new rows
+        const cellWidth = 112;
+        const perRow = Math.floor((width - 2 * margin) / cellWidth);
+        y += 40;
+        sheet.groups.forEach((group, i) => {
+            const center = margin + (i % perRow) * cellWidth + cellWidth / 2;
+            const top = y + Math.floor(i / perRow) * 104;
+            text(center, top, group, 'font-family="Courier New, monospace" font-size="17" font-weight="bold" text-anchor="middle"');
+            parts.push(`<rect x="${center - 24}" y="${top + 12}" width="48" height="48" fill="none" stroke="#000" stroke-width="1.5"/>`);
+            if (key) {
+                text(center, top + 46, sheet.letters[i], 'font-size="26" font-weight="bold" text-anchor="middle"');
+            }
+        });
+        y += Math.ceil(sheet.groups.length / perRow) * 104 + 16;
+
+        // Decoding reference table, in two side-by-side halves
+        text(margin, y, `Decoding reference: ${sheet.alphabetName}`, 'font-size="16" font-weight="bold"');
+        y += 28;
+        const half = Math.ceil(sheet.rows.length / 2);
+        const columnWidth = (width - 2 * margin) / 2;
+        [0, 1].forEach(column => {
+            const x = margin + column * columnWidth;
+            text(x, y, 'Group', 'font-size="12" font-weight="bold"');
+            text(x + 90, y, 'Binary', 'font-size="12" font-weight="bold"');
+            text(x + 180, y, 'Letter', 'font-size="12" font-weight="bold"');
+            sheet.rows.slice(column * half, (column + 1) * half).forEach((row, i) => {
+                const rowY = y + 20 + i * 19;
+                text(x, rowY, row.group, 'font-family="Courier New, monospace" font-size="13"');
+                text(x + 90, rowY, row.binary, 'font-family="Courier New, monospace" font-size="13"');
+                text(x + 180, rowY, row.letter, 'font-size="13"');
+            });
+        });
+        y += 20 + half * 19 + 24;
+        text(margin, y, `${sheet.layer ? `OSI Layer ${sheet.layer} · ` : ''}OSI Model Baconian cipher worksheet (${sheet.id})`, 'font-size="11" fill="#444"');
+
+        const height = Math.max(1123, y + margin);
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Georgia, 'Times New Roman', serif">
+<title>${PuzzleWorksheet.escape(sheet.title)}${key ? ' — Answer Key' : ' — Worksheet'}</title>
+<rect width="100%" height="100%" fill="#fff"/>
+${parts.join('\n')}
+</svg>
+`;
+    };
+
+    return PuzzleWorksheet;
+});